@@ -72,6 +72,16 @@ const errorCodes = {
     message: 'Invalid caller status specified',
     statusCode: 400
   },
+  CALLER_NOT_ASSIGNED: {
+    code: 1205,
+    message: 'This caller is not assigned to an employee',
+    statusCode: 409
+  },
+  ASSIGNMENT_ROLLED_BACK: {
+    code: 1206,
+    message: 'Bulk assignment rolled back because some callers could not be assigned',
+    statusCode: 409
+  },
 
   // File upload errors (1300-1399)
   UPLOAD_INVALID_FILE_TYPE: {
@@ -155,6 +165,168 @@ const errorCodes = {
     code: 1700,
     message: 'Too many requests. Please try again later',
     statusCode: 429
+  },
+
+  // Caller note errors (1800-1899)
+  NOTE_NOT_FOUND: {
+    code: 1800,
+    message: 'Note not found',
+    statusCode: 404
+  },
+  NOTE_EDIT_FORBIDDEN: {
+    code: 1801,
+    message: 'You can only change notes you have written',
+    statusCode: 403
+  },
+
+  // Disposition errors (1900-1999)
+  DISPOSITION_NOT_FOUND: {
+    code: 1900,
+    message: 'Disposition not found',
+    statusCode: 404
+  },
+  DISPOSITION_CODE_EXISTS: {
+    code: 1901,
+    message: 'A disposition with this code already exists',
+    statusCode: 409
+  },
+  DISPOSITION_INACTIVE: {
+    code: 1902,
+    message: 'This disposition is no longer available',
+    statusCode: 400
+  },
+
+  // Callback errors (2000-2099)
+  CALLBACK_NOT_FOUND: {
+    code: 2000,
+    message: 'Callback not found',
+    statusCode: 404
+  },
+  CALLBACK_NOT_PENDING: {
+    code: 2001,
+    message: 'This callback has already been completed or cancelled',
+    statusCode: 409
+  },
+
+  // Import job errors (2100-2199)
+  IMPORT_JOB_NOT_FOUND: {
+    code: 2100,
+    message: 'Import job not found',
+    statusCode: 404
+  },
+  IMPORT_PRESET_NOT_FOUND: {
+    code: 2101,
+    message: 'Column mapping preset not found',
+    statusCode: 404
+  },
+
+  // Custom caller field errors (2200-2299)
+  CALLER_FIELD_NOT_FOUND: {
+    code: 2200,
+    message: 'Caller field not found',
+    statusCode: 404
+  },
+  CALLER_FIELD_KEY_EXISTS: {
+    code: 2201,
+    message: 'A caller field with this key already exists',
+    statusCode: 409
+  },
+
+  // Campaign errors (2300-2399)
+  CAMPAIGN_NOT_FOUND: {
+    code: 2300,
+    message: 'Campaign not found',
+    statusCode: 404
+  },
+  CAMPAIGN_NAME_EXISTS: {
+    code: 2301,
+    message: 'A campaign with this name already exists',
+    statusCode: 409
+  },
+  DISPOSITION_NOT_IN_CAMPAIGN: {
+    code: 2302,
+    message: 'This disposition is not used by the caller\'s campaign',
+    statusCode: 400
+  },
+
+  // Call script errors (2400-2499)
+  CALL_SCRIPT_NOT_FOUND: {
+    code: 2400,
+    message: 'Call script not found',
+    statusCode: 404
+  },
+  CALL_SCRIPT_NAME_EXISTS: {
+    code: 2401,
+    message: 'A call script with this name already exists',
+    statusCode: 409
+  },
+  SCRIPT_ANSWER_INVALID: {
+    code: 2402,
+    message: 'A script answer is not one of the question\'s options',
+    statusCode: 400
+  },
+
+  // Lead scoring errors (2500-2599)
+  LEAD_SCORING_RULE_NOT_FOUND: {
+    code: 2500,
+    message: 'Lead scoring rule not found',
+    statusCode: 404
+  },
+  LEAD_SCORING_FIELD_INVALID: {
+    code: 2501,
+    message: 'The custom field of a scoring rule does not exist',
+    statusCode: 400
+  },
+
+  // Do-not-call errors (2600-2699)
+  DNC_ENTRY_NOT_FOUND: {
+    code: 2600,
+    message: 'Do-not-call entry not found',
+    statusCode: 404
+  },
+  DNC_ENTRY_EXISTS: {
+    code: 2601,
+    message: 'This phone number or email is already on the do-not-call list',
+    statusCode: 409
+  },
+  CALLER_ON_DNC: {
+    code: 2602,
+    message: 'The caller is on the do-not-call list',
+    statusCode: 409
+  },
+
+  // Calling hours errors (2700-2799)
+  CALLING_WINDOW_NOT_FOUND: {
+    code: 2700,
+    message: 'Calling window not found',
+    statusCode: 404
+  },
+
+  // API errors (2800-2899)
+  API_TOKEN_MISSING: {
+    code: 2800,
+    message: 'An API token is required: send it as "Authorization: Bearer <token>"',
+    statusCode: 401
+  },
+  API_TOKEN_INVALID: {
+    code: 2801,
+    message: 'The API token is invalid, expired or revoked',
+    statusCode: 401
+  },
+  API_TOKEN_SCOPE_MISSING: {
+    code: 2802,
+    message: 'The API token does not have the scope this request needs',
+    statusCode: 403
+  },
+  API_TOKEN_NOT_FOUND: {
+    code: 2803,
+    message: 'API token not found',
+    statusCode: 404
+  },
+  API_ROUTE_NOT_FOUND: {
+    code: 2804,
+    message: 'API route not found',
+    statusCode: 404
   }
 };
 // Helper function to get error details by code
@@ -1,6 +1,7 @@
 // Configuration loader for the Call Manager application
 // This file centralizes all environment variables and provides defaults
 
+import path from 'path';
 import dotenv from 'dotenv';
 dotenv.config();
 
@@ -50,11 +51,183 @@ const config = {
       max: 5 // limit each IP to 5 requests per windowMs
     }
   },
+  // Call tracking configuration
+  calls: {
+    outcomes: ['answered', 'no_answer', 'busy', 'voicemail', 'wrong_number'],
+    // Caller status lifecycle; open statuses are still in an employee's queue
+    statuses: ['active', 'retry', 'completed', 'inactive'],
+    openStatuses: ['active', 'retry'],
+    // Timezone used for callbacks when the employee does not pick one, and for the calling
+    // hours of callers whose timezone is unknown
+    defaultTimezone: process.env.DEFAULT_TIMEZONE || 'UTC'
+  },
+  // Automatic assignment configuration
+  assignment: {
+    defaultStrategy: 'least_loaded',
+    // Maximum open callers an employee may hold after auto-assignment
+    defaultCapacity: parseInt(process.env.ASSIGNMENT_CAPACITY) || 50,
+    maxPerRun: 500
+  },
+  // Dialing queue configuration
+  queue: {
+    lockMinutes: parseInt(process.env.QUEUE_LOCK_MINUTES) || 10, // how long a served caller stays with the employee
+    retryDelayMinutes: parseInt(process.env.QUEUE_RETRY_DELAY_MINUTES) || 60 // before a called caller is served again
+  },
+  // Lead scoring configuration
+  leadScoring: {
+    ruleTypes: ['batch', 'custom_field', 'attempts', 'age'],
+    maxPriority: 5 // caller priority runs from 0 (normal) to 5 (most urgent)
+  },
+  // Phone numbers are kept as entered for display and in E.164 (+<calling code><number>) for matching
+  phone: {
+    // Country of numbers written without a calling code (a key of countries below)
+    defaultCountry: (process.env.DEFAULT_PHONE_COUNTRY || 'US').toUpperCase(),
+    // Per country: calling code, the trunk prefix dropped from national numbers ("020 ..." in the UK),
+    // the prefix dialled before international numbers when it is not 00, and the national number
+    // length where it is fixed
+    countries: {
+      US: { callingCode: '1', trunkPrefix: '1', internationalPrefix: '011', nationalLength: 10 },
+      CA: { callingCode: '1', trunkPrefix: '1', internationalPrefix: '011', nationalLength: 10 },
+      GB: { callingCode: '44', trunkPrefix: '0' },
+      IE: { callingCode: '353', trunkPrefix: '0' },
+      FR: { callingCode: '33', trunkPrefix: '0', nationalLength: 9 },
+      DE: { callingCode: '49', trunkPrefix: '0' },
+      ES: { callingCode: '34', nationalLength: 9 },
+      IT: { callingCode: '39' },
+      NL: { callingCode: '31', trunkPrefix: '0', nationalLength: 9 },
+      BE: { callingCode: '32', trunkPrefix: '0' },
+      CH: { callingCode: '41', trunkPrefix: '0', nationalLength: 9 },
+      AT: { callingCode: '43', trunkPrefix: '0' },
+      PT: { callingCode: '351', nationalLength: 9 },
+      SE: { callingCode: '46', trunkPrefix: '0' },
+      PL: { callingCode: '48', nationalLength: 9 },
+      AU: { callingCode: '61', trunkPrefix: '0', internationalPrefix: '0011', nationalLength: 9 },
+      NZ: { callingCode: '64', trunkPrefix: '0' },
+      IN: { callingCode: '91', trunkPrefix: '0', nationalLength: 10 },
+      SG: { callingCode: '65', nationalLength: 8 },
+      JP: { callingCode: '81', trunkPrefix: '0', internationalPrefix: '010' },
+      ZA: { callingCode: '27', trunkPrefix: '0', nationalLength: 9 },
+      MX: { callingCode: '52', nationalLength: 10 },
+      BR: { callingCode: '55', trunkPrefix: '0' }
+    }
+  },
+  // Do-not-call list: how an entry got on the list
+  doNotCall: {
+    sources: ['admin', 'upload', 'disposition', 'consent'],
+    // Whether a caller agreed to be called; withdrawing consent lists them as do not call
+    consentStatuses: ['unknown', 'granted', 'withdrawn']
+  },
+  // Calling hours: when callers may be phoned, in their own timezone
+  callingHours: {
+    days: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    // Timezone of each country calling code, used to guess a caller's timezone from a phone
+    // number (national numbers count as phone.defaultCountry numbers). Countries spanning several
+    // timezones get their most populous one; set those callers' timezone by hand or in the file.
+    countryTimezones: {
+      1: 'America/New_York', 7: 'Europe/Moscow', 20: 'Africa/Cairo', 27: 'Africa/Johannesburg',
+      30: 'Europe/Athens', 31: 'Europe/Amsterdam', 32: 'Europe/Brussels', 33: 'Europe/Paris',
+      34: 'Europe/Madrid', 36: 'Europe/Budapest', 39: 'Europe/Rome', 40: 'Europe/Bucharest',
+      41: 'Europe/Zurich', 43: 'Europe/Vienna', 44: 'Europe/London', 45: 'Europe/Copenhagen',
+      46: 'Europe/Stockholm', 47: 'Europe/Oslo', 48: 'Europe/Warsaw', 49: 'Europe/Berlin',
+      52: 'America/Mexico_City', 54: 'America/Argentina/Buenos_Aires', 55: 'America/Sao_Paulo',
+      56: 'America/Santiago', 57: 'America/Bogota', 60: 'Asia/Kuala_Lumpur', 61: 'Australia/Sydney',
+      62: 'Asia/Jakarta', 63: 'Asia/Manila', 64: 'Pacific/Auckland', 65: 'Asia/Singapore',
+      66: 'Asia/Bangkok', 81: 'Asia/Tokyo', 82: 'Asia/Seoul', 84: 'Asia/Ho_Chi_Minh',
+      86: 'Asia/Shanghai', 90: 'Europe/Istanbul', 91: 'Asia/Kolkata', 92: 'Asia/Karachi',
+      234: 'Africa/Lagos', 254: 'Africa/Nairobi', 351: 'Europe/Lisbon', 353: 'Europe/Dublin',
+      358: 'Europe/Helsinki', 966: 'Asia/Riyadh', 971: 'Asia/Dubai', 972: 'Asia/Jerusalem'
+    }
+  },
+  // JSON API under /api/v1, authenticated with personal API tokens
+  api: {
+    // Scopes a token can be given, and the roles whose tokens may carry them
+    scopes: {
+      'users:read': { label: 'Read users', roles: ['super_admin'] },
+      'users:write': { label: 'Create, update and delete users', roles: ['super_admin'] },
+      'callers:read': { label: 'Read callers', roles: ['super_admin', 'employee'] },
+      'callers:write': { label: 'Create, update and delete callers', roles: ['super_admin', 'employee'] },
+      'assignments:read': { label: 'Read assignment history', roles: ['super_admin', 'employee'] },
+      'assignments:write': { label: 'Assign and unassign callers', roles: ['super_admin'] },
+      'notes:read': { label: 'Read caller notes', roles: ['super_admin', 'employee'] },
+      'notes:write': { label: 'Add, edit and delete own notes', roles: ['super_admin', 'employee'] },
+      'reports:read': { label: 'Read reports', roles: ['super_admin', 'employee'] }
+    },
+    tokenPrefix: 'cm_', // makes tokens recognisable, e.g. in secret scanners
+    maxTokenDays: 365,
+    defaultPageSize: 25,
+    maxPageSize: 100
+  },
+  // Campaign configuration
+  campaigns: {
+    // Campaign status lifecycle; callers of a paused campaign are hidden from employee queues
+    statuses: ['draft', 'active', 'paused', 'completed']
+  },
+  // Admin-defined custom caller fields
+  callerFields: {
+    types: ['text', 'number', 'date', 'select', 'boolean'],
+    // Keys taken by built-in caller columns
+    reservedKeys: ['id', 'name', 'email', 'phone', 'status', 'batch_id', 'assigned_to', 'assigned_at',
+      'created_at', 'updated_at', 'duplicate_of', 'custom_fields']
+  },
+  // Admin caller export configuration
+  callerExport: {
+    batchSize: parseInt(process.env.EXPORT_BATCH_SIZE) || 1000, // rows read and written at a time
+    // Selectable columns and their CSV headers; custom fields are offered as custom.<field_key>
+    columns: {
+      id: 'ID',
+      name: 'Name',
+      email: 'Email',
+      phone: 'Phone',
+      status: 'Status',
+      batch_id: 'Batch ID',
+      assigned_employee: 'Assigned Employee',
+      assigned_at: 'Assigned Date',
+      campaign: 'Campaign',
+      priority: 'Priority',
+      lead_score: 'Lead Score',
+      timezone: 'Timezone',
+      last_disposition: 'Last Disposition',
+      notes_count: 'Notes',
+      duplicate_of: 'Duplicate Of',
+      created_at: 'Created Date'
+    },
+    defaultColumns: ['id', 'name', 'email', 'phone', 'status', 'batch_id', 'assigned_employee', 'notes_count']
+  },
   // File upload configuration
   upload: {
-    maxFileSize: 1 * 1024 * 1024, // 1MB (updated to match validation)
-    allowedMimeTypes: ['text/csv'],
-    maxRows: 200
+    directory: path.join(process.cwd(), 'uploads'),
+    maxFileSize: (parseInt(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 20) * 1024 * 1024,
+    // Accepted import files by extension, with the MIME types browsers send for them
+    formats: {
+      '.csv': { format: 'csv', mimeTypes: ['text/csv', 'application/vnd.ms-excel'] },
+      '.xlsx': { format: 'xlsx', mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'] },
+      '.json': { format: 'json', mimeTypes: ['application/json'] }
+    },
+    // Files up to maxPreviewRows are previewed before importing; larger ones become background jobs
+    maxPreviewRows: 200,
+    maxRows: parseInt(process.env.UPLOAD_MAX_ROWS) || 100000,
+    // What to do with rows that match an existing caller: skip, update the existing caller, or create a flagged duplicate
+    duplicatePolicies: ['skip', 'update', 'create'],
+    defaultDuplicatePolicy: 'skip',
+    // File headers suggested for each caller field on the column mapping step
+    // (compared ignoring case, spaces and punctuation)
+    columnAliases: {
+      name: ['name', 'full name', 'contact name', 'customer name', 'caller name'],
+      email: ['email', 'e-mail', 'email address', 'mail'],
+      phone: ['phone', 'phone number', 'mobile', 'mobile number', 'cell', 'telephone', 'tel'],
+      batch_id: ['batch_id', 'batch', 'batch id'],
+      timezone: ['timezone', 'time zone', 'tz']
+    }
+  },
+  // Background caller import jobs
+  importJobs: {
+    chunkSize: parseInt(process.env.IMPORT_CHUNK_SIZE) || 500,
+    pollInterval: 5000, // how often the worker looks for queued jobs (ms)
+    refreshInterval: 2000, // how often the job page polls for progress (ms)
+    // Uploads waiting on the mapping or preview step live in the admin's session; the worker
+    // removes the files of those left longer than a session lasts
+    staleUploadAge: 24 * 60 * 60 * 1000, // 24 hours, as session.cookie.maxAge
+    sweepInterval: 60 * 60 * 1000 // how often the worker looks for stale uploads (ms)
   }
 };
 // Validate required configuration
@@ -72,4 +245,8 @@ for (const configPath of requiredConfigs) {
   }
 }
 
+if (!config.phone.countries[config.phone.defaultCountry]) {
+  throw new Error(`Unknown phone country in DEFAULT_PHONE_COUNTRY: ${config.phone.defaultCountry}`);
+}
+
 export default config;
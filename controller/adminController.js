@@ -6,19 +6,136 @@ import path from 'path';
 import fs from 'fs';
 import User from '../models/User.js';
 import Caller from '../models/Caller.js';
+import Note from '../models/Note.js';
+import Disposition from '../models/Disposition.js';
+import Callback from '../models/Callback.js';
+import ImportJob from '../models/ImportJob.js';
+import ImportMappingPreset from '../models/ImportMappingPreset.js';
+import CallerField from '../models/CallerField.js';
+import Campaign from '../models/Campaign.js';
+import CallScript from '../models/CallScript.js';
+import LeadScoringRule from '../models/LeadScoringRule.js';
+import DoNotCall from '../models/DoNotCall.js';
+import CallingWindow from '../models/CallingWindow.js';
 // import {userSchemas} from '../utils/validation.js';
-import { validateData, userSchemas, sanitizeData, callerSchemas, assignmentSchemas, uploadSchemas } from '../utils/validation.js';
-import csvHandler from '../utils/csvHandler.js';
+import { validateData, userSchemas, sanitizeData, callerSchemas, assignmentSchemas, uploadSchemas, dispositionSchemas, callbackSchemas, importSchemas, callerFieldSchemas, customFieldsSchema, campaignSchemas, callScriptSchemas, leadScoringRuleSchemas, doNotCallSchemas, callingWindowSchemas } from '../utils/validation.js';
+import importHandler from '../utils/importHandler.js';
+import { getImportFormat } from '../utils/importReaders.js';
+import { formatCSVRow } from '../utils/csvParser.js';
 import logger from '../utils/logger.js';
 import AppError from '../utils/AppError.js';
 import config from '../config/index.js';
+import { planAssignments } from '../utils/assignmentStrategies.js';
+import { formatScriptQuestions } from '../utils/callScript.js';
+import importWorker from '../utils/importWorker.js';
+import { refreshLeadScores, rescoreCallers } from '../utils/leadScoring.js';
+import { getCallingStatus } from '../utils/callingHours.js';
+import { listTimeZones } from '../utils/timezone.js';
+
+// Parse a pending import file and check its rows against existing callers and the do-not-call list
+async function loadImportPreview(filePath, mapping) {
+  const parseResult = await importHandler.parseFile(filePath, mapping);
+  if (!parseResult.validRows) {
+    throw new Error(parseResult.errors[0].message);
+  }
+
+  const emails = parseResult.validRows.map(({ data }) => data.email);
+  const phones = parseResult.validRows.map(({ data }) => data.phone);
+  const existingCallers = await Caller.findByEmailsOrPhones(emails, phones);
+  const doNotCall = await DoNotCall.findByEmailsOrPhones(emails, phones);
+
+  return importHandler.classifyRows(parseResult, existingCallers, doNotCall);
+}
+
+// Get the pending upload from the session
+// Redirects and returns null when there is none or its columns have not been mapped yet
+function getMappedImport(req, res) {
+  const pendingImport = req.session.callerImport;
+  if (!pendingImport) {
+    req.flash('error', 'There is no import waiting for confirmation');
+    res.redirect('/admin/callers/upload');
+    return null;
+  }
+  if (!pendingImport.mapping) {
+    req.flash('error', 'Map the file columns to caller fields first');
+    res.redirect('/admin/callers/upload/mapping');
+    return null;
+  }
+  return pendingImport;
+}
+
+// Pick the custom field filters (?custom[field_key]=value) of the caller list
+// Express's simple query parser keeps "custom[field_key]" as a flat key, so each is read by name.
+// Only active fields with a value are used
+function getCustomFieldFilters(query, customFields) {
+  const filters = {};
+
+  for (const { field_key } of customFields) {
+    const value = query[`custom[${field_key}]`];
+    if (typeof value === 'string' && value.trim()) {
+      filters[field_key] = value.trim();
+    }
+  }
+  return filters;
+}
+
+// Read the caller list filters shared by the caller list and the caller export
+function getCallerListFilters(query, customFields) {
+  const { search, status, assigned_to, batch_id, campaign_id } = query;
+
+  return {
+    search: search || '',
+    status: status || null,
+    assigned_to: assigned_to || null,
+    batch_id: batch_id || null,
+    campaign_id: parseInt(campaign_id) || null,
+    custom_fields: getCustomFieldFilters(query, customFields)
+  };
+}
+
+// Format a value for a CSV export cell
+function exportValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'yes' : 'no';
+  }
+  return value;
+}
+
+// Wait until a response can take more data, or the client has gone away
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Store a custom field rule's value the way the field's values are stored so the rule matches:
+// "Yes" for a boolean field becomes "true" and a select value takes its option's spelling
+function customRuleMatchValue(field, value) {
+  const validation = validateData(customFieldsSchema([{ ...field, is_required: true }]), { [field.field_key]: value });
+  if (!validation.success) {
+    throw AppError.validationError(validation.errors[0].message);
+  }
+  return String(validation.data[field.field_key]);
+}
 
 class AdminController {
   constructor() {
     // Configure multer for file uploads
     this.storage = multer.diskStorage({
       destination: (req, file, cb) => {
-        const uploadDir = path.join(process.cwd(), 'uploads');
+        const uploadDir = config.upload.directory;
         if (!fs.existsSync(uploadDir)) {
           fs.mkdirSync(uploadDir, { recursive: true });
         }
@@ -37,10 +154,10 @@ class AdminController {
         files: 1
       },
       fileFilter: (req, file, cb) => {
-        if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+        if (getImportFormat(file.originalname)) {
           cb(null, true);
         } else {
-          cb(new Error('Only CSV files are allowed'), false);
+          cb(new Error('Only CSV, XLSX and JSON files are allowed'), false);
         }
       }
     });
@@ -63,6 +180,8 @@ class AdminController {
       let callerStatsObj = {
         total_callers: 0,
         active_callers: 0,
+        retry_callers: 0,
+        completed_callers: 0,
         inactive_callers: 0,
         assigned_callers: 0,
         unassigned_callers: 0
@@ -277,27 +396,41 @@ class AdminController {
   // Show caller management page
   async showCallers(req, res) {
     try {
-      const { page, limit, search, status, assigned_to, batch_id, sortBy, sortOrder } = req.query;
+      const { page, limit, sortBy, sortOrder } = req.query;
+      const customFields = await CallerField.findAll({ activeOnly: true });
       
       const options = {
         page: parseInt(page) || 1,
         limit: parseInt(limit) || 10,
-        search: search || '',
-        status: status || null,
-        assigned_to: assigned_to || null,
-        batch_id: batch_id || null,
+        ...getCallerListFilters(req.query, customFields),
         sortBy: sortBy || 'created_at',
         sortOrder: sortOrder || 'DESC'
       };
 
       const result = await Caller.findAll(options);
+      const employees = await User.getEmployeesWithCallerCount();
+      const campaigns = await Campaign.findAll();
+
+      // Query string of the current filters for the pagination links
+      const { custom_fields, ...filters } = options;
+      const filterQuery = new URLSearchParams([
+        ...Object.entries({ ...filters, page: undefined }).filter(([, value]) => value),
+        ...Object.entries(custom_fields).map(([key, value]) => [`custom[${key}]`, value])
+      ]).toString();
       
-      res.render('admin/callers', {
+      res.render('admin/callers/index', {
         title: 'Caller Management - Call Manager',
         user: req.user,
         callers: result.callers,
         pagination: result.pagination,
         filters: options,
+        filterQuery,
+        customFields,
+        exportColumns: config.callerExport.columns,
+        defaultExportColumns: config.callerExport.defaultColumns,
+        employees,
+        campaigns,
+        flash: req.flash(),
         path: '/admin/callers'
       });
     } catch (error) {
@@ -307,14 +440,118 @@ class AdminController {
     }
   }
 
+  // Export the callers matching the caller list filters as CSV
+  // ?columns picks the columns (built-in keys or custom.<field_key>). Rows are written batch
+  // by batch as they are read, so an export of any size never sits in memory.
+  async exportCallers(req, res) {
+    try {
+      const customFields = await CallerField.findAll({ activeOnly: true });
+      const filters = getCallerListFilters(req.query, customFields);
+
+      const available = {
+        ...config.callerExport.columns,
+        ...Object.fromEntries(customFields.map(field => [`custom.${field.field_key}`, field.label]))
+      };
+      const requested = req.query.columns ? [req.query.columns].flat() : config.callerExport.defaultColumns;
+      const columns = [...new Set(requested.map(column => String(column).trim()))];
+
+      const unknown = columns.filter(column => !available[column]);
+      if (columns.length === 0 || unknown.length > 0) {
+        req.flash('error', unknown.length > 0 ? `Unknown export columns: ${unknown.join(', ')}` : 'Choose at least one column to export');
+        return res.redirect('/admin/callers');
+      }
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="callers-${Date.now()}.csv"`);
+      res.write(formatCSVRow(columns.map(column => available[column])));
+
+      let exported = 0;
+      for await (const rows of Caller.findForExport(filters, columns)) {
+        // Stop reading when the admin has cancelled the download
+        if (res.destroyed) {
+          break;
+        }
+
+        const csv = rows.map(row => formatCSVRow(columns.map(column => exportValue(
+          column.startsWith('custom.') ? row.custom_fields?.[column.slice('custom.'.length)] : row[column]
+        )))).join('');
+        exported += rows.length;
+
+        // Wait for the client to catch up before reading the next batch
+        if (!res.write(csv)) {
+          await waitForDrain(res);
+        }
+      }
+
+      res.end();
+      logger.info(`Callers exported by ${req.user.email}: ${exported} records`, { filters, columns });
+    } catch (error) {
+      logger.error('Error exporting callers:', error);
+
+      // Once rows are streamed the download can only be cut short
+      if (res.headersSent) {
+        return res.end();
+      }
+
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to export callers');
+      res.redirect('/admin/callers');
+    }
+  }
+
+  // Show caller details with all notes
+  async showCallerDetails(req, res) {
+    try {
+      const callerId = req.params.id;
+      const caller = await Caller.findById(callerId);
+      const notes = await Note.findByCaller(callerId);
+      const assignmentHistory = await Caller.getAssignmentHistory(callerId);
+      const employees = await User.getEmployeesWithCallerCount();
+      const customFields = await CallerField.findAll();
+      const callingStatus = getCallingStatus(caller, await CallingWindow.findAll());
+
+      res.render('admin/callers/view', {
+        title: `Caller: ${caller.name} - Call Manager`,
+        user: req.user,
+        caller,
+        customFields,
+        notes: notes || [],
+        assignmentHistory,
+        employees,
+        callingStatus,
+        timeZones: listTimeZones(),
+        maxPriority: config.leadScoring.maxPriority,
+        flash: req.flash(),
+        path: '/admin/callers'
+      });
+    } catch (error) {
+      logger.error('Error loading caller details:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to load caller details');
+      res.redirect('/admin/callers');
+    }
+  }
+
   // Show create caller form
-  showCreateCaller(req, res) {
-    res.render('admin/callers/new', {
-      title: 'Create Caller - Call Manager',
-      user: req.user,
-      path: '/admin/callers/new',
-      flash: req.flash()
-    });
+  async showCreateCaller(req, res) {
+    try {
+      const customFields = await CallerField.findAll({ activeOnly: true });
+      const campaigns = await Campaign.findAll();
+
+      res.render('admin/callers/new', {
+        title: 'Create Caller - Call Manager',
+        user: req.user,
+        customFields,
+        campaigns,
+        timeZones: listTimeZones(),
+        phoneCountry: config.phone.defaultCountry,
+        maxPriority: config.leadScoring.maxPriority,
+        path: '/admin/callers/new',
+        flash: req.flash()
+      });
+    } catch (error) {
+      logger.error('Error loading create caller form:', error);
+      req.flash('error', 'Failed to load caller form');
+      res.redirect('/admin/callers');
+    }
   }
 
   // Create new caller
@@ -327,23 +564,21 @@ class AdminController {
         return res.redirect('/admin/callers/new');
       }
 
-      const callerData = validation.data;
-
-      // Check if caller already exists
-      const existingCaller = await Caller.exists({ email: callerData.email });
-      if (existingCaller) {
-        req.flash('error', 'A caller with this email already exists');
+      const customFields = await CallerField.findAll({ activeOnly: true });
+      const customValidation = validateData(customFieldsSchema(customFields), req.body.custom_fields || {});
+      if (!customValidation.success) {
+        req.flash('error', customValidation.errors[0].message);
         return res.redirect('/admin/callers/new');
       }
 
-      const existingPhone = await Caller.exists({ phone: callerData.phone });
-      if (existingPhone) {
-        req.flash('error', 'A caller with this phone number already exists');
-        return res.redirect('/admin/callers/new');
+      const callerData = { ...validation.data, custom_fields: customValidation.data };
+      if (callerData.campaign_id) {
+        await Campaign.findById(callerData.campaign_id);
       }
 
-      // Create caller
+      // Create caller; an email or phone number another caller has is refused with a conflict
       const newCaller = await Caller.create(callerData);
+      await rescoreCallers({ callerIds: [newCaller.id] });
       
       logger.upload(`New caller created by ${req.user.email}: ${newCaller.email}`);
       req.flash('success', `Caller ${newCaller.name} has been created successfully`);
@@ -362,7 +597,57 @@ class AdminController {
     }
   }
 
-  // Show CSV upload form
+  // Set a caller's priority
+  async setCallerPriority(req, res) {
+    const callerId = req.params.id;
+
+    try {
+      const validation = validateData(callerSchemas.priority, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect(`/admin/callers/${callerId}`);
+      }
+
+      const caller = await Caller.setPriority(callerId, validation.data.priority);
+
+      logger.info(`Caller ${callerId} priority set to ${caller.priority} by ${req.user.email}`);
+      req.flash('success', `Priority of ${caller.name} set to ${caller.priority}`);
+
+      res.redirect(`/admin/callers/${callerId}`);
+    } catch (error) {
+      logger.error('Error setting caller priority:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to set caller priority');
+      res.redirect(`/admin/callers/${callerId}`);
+    }
+  }
+
+  // Set a caller's timezone by hand; a blank one is guessed from the phone number again
+  async setCallerTimezone(req, res) {
+    const callerId = req.params.id;
+
+    try {
+      const validation = validateData(callerSchemas.timezone, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect(`/admin/callers/${callerId}`);
+      }
+
+      const caller = await Caller.update(callerId, { timezone: validation.data.timezone });
+
+      logger.info(`Caller ${callerId} timezone set to ${caller.timezone || 'unknown'} by ${req.user.email}`);
+      req.flash('success', caller.timezone
+        ? `Timezone of ${caller.name} set to ${caller.timezone}`
+        : `Timezone of ${caller.name} cleared`);
+
+      res.redirect(`/admin/callers/${callerId}`);
+    } catch (error) {
+      logger.error('Error setting caller timezone:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to set caller timezone');
+      res.redirect(`/admin/callers/${callerId}`);
+    }
+  }
+
+  // Show caller upload form
   showUploadCallers(req, res) {
     console.log('Token value:', req.csrfToken());
 
@@ -372,65 +657,437 @@ class AdminController {
       callers,
       user: req.user,
       path: '/admin/callers/upload',
+      maxPreviewRows: config.upload.maxPreviewRows,
+      maxRows: config.upload.maxRows,
+      maxFileSizeMB: config.upload.maxFileSize / (1024 * 1024),
+      phoneCountry: config.phone.defaultCountry,
+      flash: req.flash(),
       csrfToken: req.csrfToken() 
     });
   }
 
-  // Handle CSV upload
-  async handleCSVUpload(req, res) {
+  // Handle caller file upload (CSV, XLSX or JSON)
+  // Keeps the file on disk and sends the admin to the column mapping step
+  async handleImportUpload(req, res) {
     try {
-      console.log('BODY:', req.body);
-      console.log('FILE:', req.file);
       if (!req.file) {
-        req.flash('error', 'Please select a CSV file to upload');
+        req.flash('error', 'Please select a CSV, XLSX or JSON file to upload');
         return res.redirect('/admin/callers/upload');
       }
 
-      // Validate file using CSV handler
-      const fileValidation = csvHandler.validateCSVFile(req.file);
+      // Validate file type and size
+      const fileValidation = importHandler.validateFile(req.file);
       if (!fileValidation.success) {
         req.flash('error', fileValidation.errors[0].message);
-        csvHandler.cleanupTempFile(req.file.path);
+        importHandler.cleanupTempFile(req.file.path);
         return res.redirect('/admin/callers/upload');
       }
 
-      // Process CSV file
-      const result = await csvHandler.processCSVUpload(req.file);
+      // Rejects files without a header row, without rows or over the row limit
+      const { headers, totalRows, samples } = await importHandler.inspectFile(req.file.path);
+
+      // Replace any import that was left unconfirmed
+      if (req.session.callerImport) {
+        importHandler.cleanupTempFile(req.session.callerImport.filePath);
+      }
+
+      req.session.callerImport = {
+        filePath: req.file.path,
+        originalName: req.file.originalname,
+        uploadedAt: new Date().toISOString(),
+        headers,
+        samples,
+        totalRows,
+        mapping: null
+      };
+
+      logger.upload(`File uploaded by ${req.user.email}: ${req.file.originalname} (${totalRows} rows)`);
+      res.redirect('/admin/callers/upload/mapping');
+    } catch (error) {
+      logger.error('Error processing caller upload:', error);
+      
+      if (req.file) {
+        importHandler.cleanupTempFile(req.file.path);
+      }
       
-      if (!result.success) {
-        req.flash('error', `CSV processing failed: ${result.errors.length} errors found`);
+      if (error instanceof AppError) {
+        req.flash('error', `File processing failed: ${error.message}`);
+      } else {
+        req.flash('error', 'Failed to process the uploaded file. Please try again.');
+      }
+      res.redirect('/admin/callers/upload');
+    }
+  }
+
+  // Show the column mapping step for the pending upload
+  // The mapping is suggested from the headers, or taken from a saved preset (?preset=id)
+  async showColumnMapping(req, res) {
+    try {
+      const pendingImport = req.session.callerImport;
+      if (!pendingImport) {
+        req.flash('error', 'There is no import waiting for confirmation');
         return res.redirect('/admin/callers/upload');
       }
 
-      // Create callers from valid data
-      const createdCallers = [];
-      for (const callerData of result.data) {
-        try {
-          const newCaller = await Caller.create(callerData);
-          createdCallers.push(newCaller);
-        } catch (error) {
-          logger.error('Error creating caller from CSV:', { callerData, error: error.message });
+      const presets = await ImportMappingPreset.findAll();
+      const fields = await importHandler.getImportFields();
+      let mapping = pendingImport.mapping || importHandler.suggestMapping(pendingImport.headers, fields);
+      let selectedPreset = null;
+
+      if (req.query.preset) {
+        const preset = await ImportMappingPreset.findById(req.query.preset);
+        mapping = importHandler.matchMapping(pendingImport.headers, preset.mapping, fields);
+        selectedPreset = preset.id;
+      }
+
+      res.render('admin/callers/mapping', {
+        title: 'Map Columns - Call Manager',
+        user: req.user,
+        pendingImport,
+        fields,
+        mapping,
+        presets,
+        selectedPreset,
+        background: pendingImport.totalRows > config.upload.maxPreviewRows,
+        maxPreviewRows: config.upload.maxPreviewRows,
+        flash: req.flash(),
+        path: '/admin/callers/upload'
+      });
+    } catch (error) {
+      logger.error('Error loading column mapping:', error);
+
+      if (error instanceof AppError && req.query.preset) {
+        req.flash('error', error.message);
+        return res.redirect('/admin/callers/upload/mapping');
+      }
+
+      req.flash('error', 'Failed to load column mapping. Please upload the file again.');
+      res.redirect('/admin/callers/upload');
+    }
+  }
+
+  // Save the column mapping, optionally as a named preset
+  // Small files go on to the preview; files with more rows than can be previewed
+  // are queued as a background import job
+  async saveColumnMapping(req, res) {
+    try {
+      const pendingImport = req.session.callerImport;
+      if (!pendingImport) {
+        req.flash('error', 'There is no import waiting for confirmation');
+        return res.redirect('/admin/callers/upload');
+      }
+
+      const validation = validateData(importSchemas.mapping, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect('/admin/callers/upload/mapping');
+      }
+
+      const { preset_name, duplicate_policy } = validation.data;
+      const fields = await importHandler.getImportFields();
+      const mapping = {};
+      for (const { field } of fields) {
+        if (validation.data.mapping[field]) {
+          mapping[field] = validation.data.mapping[field];
         }
       }
 
-      req.flash('success', `Successfully created ${createdCallers.length} callers from CSV`);
-      res.redirect('/admin/callers');
+      const mappedColumns = Object.values(mapping).map(column => column.toLowerCase());
+      if (new Set(mappedColumns).size !== mappedColumns.length) {
+        req.flash('error', 'Each file column can only be mapped to one caller field');
+        return res.redirect('/admin/callers/upload/mapping');
+      }
+
+      // Every required field must be mapped to a column of this file
+      importHandler.resolveColumns(pendingImport.headers, mapping, fields);
+
+      if (preset_name) {
+        await ImportMappingPreset.save(preset_name, mapping, req.user.id);
+      }
+
+      if (pendingImport.totalRows > config.upload.maxPreviewRows) {
+        const job = await ImportJob.create({
+          file_path: pendingImport.filePath,
+          file_name: pendingImport.originalName,
+          uploaded_by: req.user.id,
+          batch_id: Caller.generateBatchId(),
+          duplicate_policy,
+          column_mapping: mapping
+        });
+        importWorker.wake();
+        delete req.session.callerImport;
+
+        logger.upload(`File queued for background import by ${req.user.email}: ${pendingImport.originalName} (${pendingImport.totalRows} rows) as job ${job.id}`);
+        req.flash('success', `${pendingImport.originalName} has ${pendingImport.totalRows} rows and is being imported in the background`);
+        return res.redirect(`/admin/imports/${job.id}`);
+      }
+
+      req.session.callerImport = { ...pendingImport, mapping };
+      if (preset_name) {
+        req.flash('success', `Column mapping saved as preset "${preset_name}"`);
+      }
+      res.redirect('/admin/callers/upload/preview');
     } catch (error) {
-      logger.error('Error processing CSV upload:', error);
-      
-      if (req.file) {
-        csvHandler.cleanupTempFile(req.file.path);
+      logger.error('Error saving column mapping:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to save column mapping');
+      res.redirect('/admin/callers/upload/mapping');
+    }
+  }
+
+  // Delete a saved column mapping preset
+  async deleteMappingPreset(req, res) {
+    try {
+      await ImportMappingPreset.delete(req.params.id);
+      req.flash('success', 'Column mapping preset deleted');
+    } catch (error) {
+      logger.error('Error deleting column mapping preset:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to delete column mapping preset');
+    }
+
+    res.redirect(req.session.callerImport ? '/admin/callers/upload/mapping' : '/admin/callers/upload');
+  }
+
+  // Show the import preview: valid rows, invalid rows and duplicates of existing callers
+  async showImportPreview(req, res) {
+    try {
+      const pendingImport = getMappedImport(req, res);
+      if (!pendingImport) {
+        return;
       }
-      
-      req.flash('error', 'Failed to process CSV file. Please try again.');
+
+      const preview = await loadImportPreview(pendingImport.filePath, pendingImport.mapping);
+
+      res.render('admin/callers/preview', {
+        title: 'Import Preview - Call Manager',
+        user: req.user,
+        pendingImport,
+        preview,
+        flash: req.flash(),
+        path: '/admin/callers/upload'
+      });
+    } catch (error) {
+      logger.error('Error loading import preview:', error);
+      req.flash('error', 'Failed to load import preview. Please upload the file again.');
       res.redirect('/admin/callers/upload');
     }
   }
 
+  // Import the previewed rows
+  async confirmImport(req, res) {
+    try {
+      const pendingImport = getMappedImport(req, res);
+      if (!pendingImport) {
+        return;
+      }
+
+      const validation = validateData(importSchemas.confirm, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect('/admin/callers/upload/preview');
+      }
+
+      const { valid_only, duplicate_policy } = validation.data;
+      const preview = await loadImportPreview(pendingImport.filePath, pendingImport.mapping);
+
+      if (preview.invalid.length > 0 && !valid_only) {
+        req.flash('error', `The file has ${preview.invalid.length} invalid rows. Fix them or choose to import only the valid rows.`);
+        return res.redirect('/admin/callers/upload/preview');
+      }
+
+      const { creates, updates, outcomes } = importHandler.planImport(preview, duplicate_policy);
+      if (creates.length === 0 && updates.length === 0) {
+        req.flash('error', 'There are no callers to import or update with this duplicate policy');
+        return res.redirect('/admin/callers/upload/preview');
+      }
+
+      // Rows without their own batch_id go into a new batch
+      const batchId = Caller.generateBatchId();
+      const createdCallers = await Caller.createBatch(creates, batchId, {
+        file_name: pendingImport.originalName,
+        uploaded_by: req.user.id,
+        total_rows: preview.totalRows,
+        invalid_rows: preview.invalid.length,
+        duplicate_rows: preview.duplicates.length + preview.inFileDuplicates.length,
+        dnc_rows: preview.doNotCall.length
+      }, updates);
+      await rescoreCallers({ callerIds: [...createdCallers.map(caller => caller.id), ...updates.map(update => update.id)] });
+
+      importHandler.cleanupTempFile(pendingImport.filePath);
+      delete req.session.callerImport;
+
+      req.session.callerImportSummary = {
+        fileName: pendingImport.originalName,
+        batchId,
+        duplicatePolicy: duplicate_policy,
+        created: createdCallers.length,
+        updated: updates.length,
+        invalid: preview.invalid.length,
+        doNotCall: preview.doNotCall.length,
+        outcomes
+      };
+
+      logger.upload(`Import confirmed by ${req.user.email}: ${pendingImport.originalName} as batch ${batchId} (${duplicate_policy} duplicates), ${createdCallers.length} created, ${updates.length} updated, ${preview.invalid.length} invalid, ${outcomes.length} duplicates`);
+
+      req.flash('success', `Imported ${pendingImport.originalName}: ${createdCallers.length} callers created, ${updates.length} updated`);
+      res.redirect('/admin/callers/upload/summary');
+    } catch (error) {
+      logger.error('Error confirming caller import:', error);
+
+      // The batch is written in one transaction, so nothing was imported
+      if (error instanceof AppError) {
+        req.flash('error', `Nothing was imported: ${error.message}`);
+      } else {
+        req.flash('error', 'Failed to import callers. Please try again.');
+      }
+
+      res.redirect('/admin/callers/upload/preview');
+    }
+  }
+
+  // Show what happened to each duplicate in the last confirmed import
+  showImportSummary(req, res) {
+    const summary = req.session.callerImportSummary;
+    if (!summary) {
+      return res.redirect('/admin/callers');
+    }
+
+    res.render('admin/callers/import-summary', {
+      title: 'Import Summary - Call Manager',
+      user: req.user,
+      summary,
+      flash: req.flash(),
+      path: '/admin/callers/upload'
+    });
+  }
+
+  // Download the invalid rows of the pending import as a CSV report
+  async downloadImportErrors(req, res) {
+    try {
+      const pendingImport = getMappedImport(req, res);
+      if (!pendingImport) {
+        return;
+      }
+
+      const result = await importHandler.parseFile(pendingImport.filePath, pendingImport.mapping);
+      const fields = await importHandler.getImportFields();
+      const baseName = path.basename(pendingImport.originalName, path.extname(pendingImport.originalName));
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName.replace(/[^\w.-]/g, '_')}-errors.csv"`);
+      res.send(importHandler.createErrorCSV(result.errors, fields));
+    } catch (error) {
+      logger.error('Error generating import error report:', error);
+      req.flash('error', 'Failed to generate error report');
+      res.redirect('/admin/callers/upload/preview');
+    }
+  }
+
+  // Discard the pending import
+  cancelImport(req, res) {
+    if (req.session.callerImport) {
+      importHandler.cleanupTempFile(req.session.callerImport.filePath);
+      delete req.session.callerImport;
+    }
+
+    req.flash('success', 'Import cancelled');
+    res.redirect('/admin/callers/upload');
+  }
+
+  // Show recent background import jobs
+  async showImportJobs(req, res) {
+    try {
+      const jobs = await ImportJob.findRecent();
+
+      res.render('admin/imports/index', {
+        title: 'Import Jobs - Call Manager',
+        user: req.user,
+        jobs,
+        maxPreviewRows: config.upload.maxPreviewRows,
+        flash: req.flash(),
+        path: '/admin/imports'
+      });
+    } catch (error) {
+      logger.error('Error loading import jobs:', error);
+      req.flash('error', 'Failed to load import jobs');
+      res.redirect('/admin/callers');
+    }
+  }
+
+  // Show a background import job with its progress and the first invalid rows
+  async showImportJob(req, res) {
+    try {
+      const job = await ImportJob.findById(req.params.id);
+      const errors = await ImportJob.getErrors(job.id, 100);
+
+      res.render('admin/imports/view', {
+        title: `Import: ${job.file_name} - Call Manager`,
+        user: req.user,
+        job,
+        errors,
+        refreshInterval: config.importJobs.refreshInterval,
+        flash: req.flash(),
+        path: '/admin/imports'
+      });
+    } catch (error) {
+      logger.error('Error loading import job:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to load import job');
+      res.redirect('/admin/imports');
+    }
+  }
+
+  // Return a background import job's status and counters for polling
+  async getImportJobStatus(req, res) {
+    try {
+      const job = await ImportJob.findById(req.params.id);
+
+      res.json({
+        success: true,
+        job: {
+          id: job.id,
+          status: job.status,
+          total_rows: job.total_rows,
+          processed_rows: job.processed_rows,
+          imported_rows: job.imported_rows,
+          updated_rows: job.updated_rows,
+          duplicate_rows: job.duplicate_rows,
+          invalid_rows: job.invalid_rows,
+          dnc_rows: job.dnc_rows,
+          error_message: job.error_message,
+          started_at: job.started_at,
+          finished_at: job.finished_at
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting import job status:', error);
+      res.status(error instanceof AppError ? error.statusCode : 500).json({
+        success: false,
+        message: error instanceof AppError ? error.message : 'Failed to get import job status'
+      });
+    }
+  }
+
+  // Download every invalid row of a background import job as a CSV report
+  async downloadImportJobErrors(req, res) {
+    try {
+      const job = await ImportJob.findById(req.params.id);
+      const errors = await ImportJob.getErrors(job.id);
+      const fields = await importHandler.getImportFields();
+      const baseName = path.basename(job.file_name, path.extname(job.file_name));
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName.replace(/[^\w.-]/g, '_')}-errors.csv"`);
+      res.send(importHandler.createErrorCSV(errors, fields));
+    } catch (error) {
+      logger.error('Error generating import job error report:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to generate error report');
+      res.redirect(`/admin/imports/${req.params.id}`);
+    }
+  }
+
   // Download CSV template
-  downloadCSVTemplate(req, res) {
+  async downloadCSVTemplate(req, res) {
     try {
-      csvHandler.downloadTemplate(res);
+      await importHandler.downloadTemplate(res);
     } catch (error) {
       logger.error('Error generating CSV template:', error);
       req.flash('error', 'Failed to generate template');
@@ -450,35 +1107,1109 @@ class AdminController {
         });
       }
 
-      const { caller_ids, employee_id } = validation.data;
+      const { caller_ids, employee_id, atomic } = validation.data;
 
-      // Assign callers
-      const results = [];
-      for (const callerId of caller_ids) {
-        try {
-          const result = await Caller.assignToEmployee(callerId, employee_id, req.user.id, 'manual');
-          results.push({ callerId, success: true, data: result });
-        } catch (error) {
-          results.push({ callerId, success: false, error: error.message });
-        }
+      const employee = await User.findById(employee_id);
+      if (employee.role_name !== 'employee') {
+        return res.status(400).json({
+          success: false,
+          message: 'Callers can only be assigned to employees'
+        });
       }
 
+      // Assign callers in a single transaction
+      const assignments = caller_ids.map(callerId => ({ callerId, employeeId: employee_id }));
+      const { committed, results } = await Caller.assignBatch(assignments, req.user.id, { method: 'manual', atomic });
+
       const successCount = results.filter(r => r.success).length;
       const failureCount = results.filter(r => !r.success).length;
 
-      logger.upload(`Caller assignment by ${req.user.email}: ${successCount} successful, ${failureCount} failed`);
+      logger.upload(`Caller assignment to ${employee.email} by ${req.user.email}: ${successCount} successful, ${failureCount} failed${committed ? '' : ' (rolled back)'}`);
+
+      res.status(committed ? 200 : 409).json({
+        success: committed,
+        message: committed
+          ? `Assignment complete: ${successCount} successful, ${failureCount} failed`
+          : `Assignment rolled back: ${failureCount} of ${results.length} callers could not be assigned`,
+        atomic,
+        committed,
+        summary: {
+          requested: results.length,
+          assigned: successCount,
+          failed: failureCount
+        },
+        results
+      });
+    } catch (error) {
+      logger.error('Error assigning callers:', error);
+      res.status(error instanceof AppError ? error.statusCode : 500).json({
+        success: false,
+        message: error instanceof AppError ? error.message : 'Failed to assign callers'
+      });
+    }
+  }
+
+  // Move callers to another employee, whether or not they are assigned yet
+  async reassignCallers(req, res) {
+    try {
+      // Validate input
+      const validation = validateData(assignmentSchemas.reassign, req.body);
+      if (!validation.success) {
+        return res.status(400).json({
+          success: false,
+          message: validation.errors[0].message
+        });
+      }
+
+      const { caller_ids, employee_id, atomic } = validation.data;
+
+      const employee = await User.findById(employee_id);
+      if (employee.role_name !== 'employee') {
+        return res.status(400).json({
+          success: false,
+          message: 'Callers can only be assigned to employees'
+        });
+      }
+
+      // Reassign callers in a single transaction
+      const assignments = caller_ids.map(callerId => ({ callerId, employeeId: employee_id }));
+      const { committed, results } = await Caller.reassignBatch(assignments, req.user.id, { atomic });
+
+      const successCount = results.filter(r => r.success).length;
+      const failureCount = results.filter(r => !r.success).length;
+
+      logger.upload(`Caller reassignment to ${employee.email} by ${req.user.email}: ${successCount} successful, ${failureCount} failed${committed ? '' : ' (rolled back)'}`);
+
+      res.status(committed ? 200 : 409).json({
+        success: committed,
+        message: committed
+          ? `Reassignment complete: ${successCount} successful, ${failureCount} failed`
+          : `Reassignment rolled back: ${failureCount} of ${results.length} callers could not be moved`,
+        atomic,
+        committed,
+        summary: {
+          requested: results.length,
+          reassigned: successCount,
+          failed: failureCount
+        },
+        results
+      });
+    } catch (error) {
+      logger.error('Error reassigning callers:', error);
+      res.status(error instanceof AppError ? error.statusCode : 500).json({
+        success: false,
+        message: error instanceof AppError ? error.message : 'Failed to reassign callers'
+      });
+    }
+  }
+
+  // Release callers back to the unassigned pool
+  async unassignCallers(req, res) {
+    try {
+      // Validate input
+      const validation = validateData(assignmentSchemas.unassign, req.body);
+      if (!validation.success) {
+        return res.status(400).json({
+          success: false,
+          message: validation.errors[0].message
+        });
+      }
+
+      // Unassign callers
+      const results = [];
+      for (const callerId of validation.data.caller_ids) {
+        try {
+          const result = await Caller.unassign(callerId, req.user.id);
+          results.push({ callerId, success: true, data: result });
+        } catch (error) {
+          results.push({ callerId, success: false, error: error.message });
+        }
+      }
+
+      const successCount = results.filter(r => r.success).length;
+      const failureCount = results.filter(r => !r.success).length;
+
+      logger.upload(`Caller unassignment by ${req.user.email}: ${successCount} successful, ${failureCount} failed`);
 
       res.json({
         success: true,
-        message: `Assignment complete: ${successCount} successful, ${failureCount} failed`,
+        message: `Unassignment complete: ${successCount} successful, ${failureCount} failed`,
         results
       });
     } catch (error) {
-      logger.error('Error assigning callers:', error);
+      logger.error('Error unassigning callers:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to assign callers'
+        message: 'Failed to unassign callers'
+      });
+    }
+  }
+
+  // Automatically distribute unassigned callers across employees
+  async autoAssignCallers(req, res) {
+    try {
+      // Validate input
+      const validation = validateData(assignmentSchemas.autoAssign, req.body || {});
+      if (!validation.success) {
+        return res.status(400).json({
+          success: false,
+          message: validation.errors[0].message
+        });
+      }
+
+      const { strategy, batch_id, campaign_id, capacity, limit, employee_ids } = validation.data;
+
+      // Employees come back ordered by current load, then name
+      let employees = await User.getEmployeesWithCallerCount();
+      if (employee_ids && employee_ids.length > 0) {
+        employees = employees.filter(employee => employee_ids.includes(employee.id));
+      }
+
+      // A campaign's callers go to its team, when it has one
+      if (campaign_id) {
+        const campaign = await Campaign.findById(campaign_id);
+        if (campaign.status === 'paused' || campaign.status === 'completed') {
+          return res.status(400).json({
+            success: false,
+            message: `Campaign "${campaign.name}" is ${campaign.status}`
+          });
+        }
+        if (campaign.member_ids.length > 0) {
+          employees = employees.filter(employee => campaign.member_ids.includes(employee.id));
+        }
+      }
+      if (employees.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No employees available for assignment'
+        });
+      }
+
+      // Fresh scores first: age and attempts rules change while callers wait
+      await refreshLeadScores({ unassignedOnly: true });
+      const callers = await Caller.getUnassignedCallers(limit, batch_id, campaign_id);
+      const plan = planAssignments(callers, employees, { strategy, capacity });
+
+      // Apply the plan in a single transaction
+      const { results } = await Caller.assignBatch(plan, req.user.id, { method: 'auto' });
+
+      const successCount = results.filter(r => r.success).length;
+      const failureCount = results.filter(r => !r.success).length;
+      const skippedCount = callers.length - plan.length;
+
+      logger.upload(`Auto-assignment (${strategy}) by ${req.user.email}: ${successCount} successful, ${failureCount} failed, ${skippedCount} left unassigned`);
+
+      res.json({
+        success: true,
+        message: `Auto-assignment complete: ${successCount} assigned, ${failureCount} failed, ${skippedCount} left unassigned (capacity reached)`,
+        strategy,
+        results
+      });
+    } catch (error) {
+      logger.error('Error auto-assigning callers:', error);
+      res.status(error instanceof AppError ? error.statusCode : 500).json({
+        success: false,
+        message: error instanceof AppError ? error.message : 'Failed to auto-assign callers'
+      });
+    }
+  }
+
+  // Show disposition catalogue
+  async showDispositions(req, res) {
+    try {
+      const dispositions = await Disposition.findAll();
+
+      res.render('admin/dispositions/index', {
+        title: 'Call Dispositions - Call Manager',
+        user: req.user,
+        dispositions,
+        path: '/admin/dispositions',
+        flash: req.flash()
+      });
+    } catch (error) {
+      logger.error('Error loading dispositions:', error);
+      req.flash('error', 'Failed to load dispositions');
+      res.redirect('/admin/dashboard');
+    }
+  }
+
+  // Create new disposition
+  async createDisposition(req, res) {
+    try {
+      // Validate input
+      const validation = validateData(dispositionSchemas.create, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect('/admin/dispositions');
+      }
+
+      const disposition = await Disposition.create(validation.data);
+
+      logger.info(`Disposition created by ${req.user.email}: ${disposition.code}`);
+      req.flash('success', `Disposition "${disposition.label}" has been created successfully`);
+
+      res.redirect('/admin/dispositions');
+    } catch (error) {
+      logger.error('Error creating disposition:', error);
+
+      if (error instanceof AppError) {
+        req.flash('error', error.message);
+      } else {
+        req.flash('error', 'Failed to create disposition. Please try again.');
+      }
+
+      res.redirect('/admin/dispositions');
+    }
+  }
+
+  // Update disposition
+  async updateDisposition(req, res) {
+    try {
+      const dispositionId = req.params.id;
+
+      // Validate input
+      const validation = validateData(dispositionSchemas.update, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect('/admin/dispositions');
+      }
+
+      const disposition = await Disposition.update(dispositionId, validation.data);
+
+      logger.info(`Disposition updated by ${req.user.email}: ${disposition.code}`);
+      req.flash('success', `Disposition "${disposition.label}" updated successfully`);
+
+      res.redirect('/admin/dispositions');
+    } catch (error) {
+      logger.error('Error updating disposition:', error);
+
+      if (error instanceof AppError) {
+        req.flash('error', error.message);
+      } else {
+        req.flash('error', 'Failed to update disposition. Please try again.');
+      }
+
+      res.redirect('/admin/dispositions');
+    }
+  }
+
+  // Show custom caller field definitions
+  async showCallerFields(req, res) {
+    try {
+      const fields = await CallerField.findAll();
+
+      res.render('admin/caller-fields/index', {
+        title: 'Caller Fields - Call Manager',
+        user: req.user,
+        fields,
+        fieldTypes: config.callerFields.types,
+        path: '/admin/caller-fields',
+        flash: req.flash()
+      });
+    } catch (error) {
+      logger.error('Error loading caller fields:', error);
+      req.flash('error', 'Failed to load caller fields');
+      res.redirect('/admin/dashboard');
+    }
+  }
+
+  // Create new custom caller field
+  async createCallerField(req, res) {
+    try {
+      // Validate input
+      const validation = validateData(callerFieldSchemas.create, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect('/admin/caller-fields');
+      }
+
+      const field = await CallerField.create(validation.data);
+
+      logger.info(`Caller field created by ${req.user.email}: ${field.field_key}`);
+      req.flash('success', `Caller field "${field.label}" has been created successfully`);
+
+      res.redirect('/admin/caller-fields');
+    } catch (error) {
+      logger.error('Error creating caller field:', error);
+
+      if (error instanceof AppError) {
+        req.flash('error', error.message);
+      } else {
+        req.flash('error', 'Failed to create caller field. Please try again.');
+      }
+
+      res.redirect('/admin/caller-fields');
+    }
+  }
+
+  // Update custom caller field
+  async updateCallerField(req, res) {
+    try {
+      const fieldId = req.params.id;
+
+      // Validate input
+      const validation = validateData(callerFieldSchemas.update, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect('/admin/caller-fields');
+      }
+
+      const field = await CallerField.update(fieldId, validation.data);
+
+      logger.info(`Caller field updated by ${req.user.email}: ${field.field_key}`);
+      req.flash('success', `Caller field "${field.label}" updated successfully`);
+
+      res.redirect('/admin/caller-fields');
+    } catch (error) {
+      logger.error('Error updating caller field:', error);
+
+      if (error instanceof AppError) {
+        req.flash('error', error.message);
+      } else {
+        req.flash('error', 'Failed to update caller field. Please try again.');
+      }
+
+      res.redirect('/admin/caller-fields');
+    }
+  }
+
+  // Show lead scoring rules
+  async showLeadScoring(req, res) {
+    try {
+      const rules = await LeadScoringRule.findAll();
+      const customFields = await CallerField.findAll();
+
+      res.render('admin/lead-scoring/index', {
+        title: 'Lead Scoring - Call Manager',
+        user: req.user,
+        rules,
+        customFields,
+        ruleTypes: config.leadScoring.ruleTypes,
+        path: '/admin/lead-scoring',
+        flash: req.flash()
       });
+    } catch (error) {
+      logger.error('Error loading lead scoring rules:', error);
+      req.flash('error', 'Failed to load lead scoring rules');
+      res.redirect('/admin/dashboard');
+    }
+  }
+
+  // Create new lead scoring rule and rescore every caller
+  async createLeadScoringRule(req, res) {
+    try {
+      // Validate input
+      const validation = validateData(leadScoringRuleSchemas.create, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect('/admin/lead-scoring');
+      }
+
+      const ruleData = { ...validation.data };
+      if (ruleData.rule_type === 'custom_field') {
+        const fields = await CallerField.findAll();
+        const field = fields.find(candidate => candidate.field_key === ruleData.field_key);
+        if (!field) {
+          throw AppError.validationError('Choose an existing custom field', 'LEAD_SCORING_FIELD_INVALID');
+        }
+        ruleData.match_value = customRuleMatchValue(field, ruleData.match_value);
+      } else {
+        ruleData.field_key = null;
+      }
+      // Only batch and custom field rules match a value; only attempts and age rules count units
+      if (['attempts', 'age'].includes(ruleData.rule_type)) {
+        ruleData.match_value = null;
+      } else {
+        ruleData.max_units = null;
+      }
+
+      const rule = await LeadScoringRule.create(ruleData);
+      const rescored = await rescoreCallers();
+
+      logger.info(`Lead scoring rule created by ${req.user.email}: ${rule.name}`);
+      req.flash('success', `Scoring rule "${rule.name}" has been created and ${rescored} callers rescored`);
+
+      res.redirect('/admin/lead-scoring');
+    } catch (error) {
+      logger.error('Error creating lead scoring rule:', error);
+
+      if (error instanceof AppError) {
+        req.flash('error', error.message);
+      } else {
+        req.flash('error', 'Failed to create scoring rule. Please try again.');
+      }
+
+      res.redirect('/admin/lead-scoring');
+    }
+  }
+
+  // Update lead scoring rule and rescore every caller
+  async updateLeadScoringRule(req, res) {
+    try {
+      const ruleId = req.params.id;
+
+      // Validate input
+      const validation = validateData(leadScoringRuleSchemas.update, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect('/admin/lead-scoring');
+      }
+
+      const existing = await LeadScoringRule.findById(ruleId);
+      const ruleData = { ...validation.data };
+
+      if (['attempts', 'age'].includes(existing.rule_type)) {
+        delete ruleData.match_value;
+      } else {
+        delete ruleData.max_units;
+        if (!ruleData.match_value) {
+          req.flash('error', 'Enter the value this rule matches');
+          return res.redirect('/admin/lead-scoring');
+        }
+      }
+      if (existing.rule_type === 'custom_field') {
+        const fields = await CallerField.findAll();
+        const field = fields.find(candidate => candidate.field_key === existing.field_key);
+        if (field) {
+          ruleData.match_value = customRuleMatchValue(field, ruleData.match_value);
+        }
+      }
+
+      const rule = await LeadScoringRule.update(ruleId, ruleData);
+      const rescored = await rescoreCallers();
+
+      logger.info(`Lead scoring rule updated by ${req.user.email}: ${rule.name}`);
+      req.flash('success', `Scoring rule "${rule.name}" updated and ${rescored} callers rescored`);
+
+      res.redirect('/admin/lead-scoring');
+    } catch (error) {
+      logger.error('Error updating lead scoring rule:', error);
+
+      if (error instanceof AppError) {
+        req.flash('error', error.message);
+      } else {
+        req.flash('error', 'Failed to update scoring rule. Please try again.');
+      }
+
+      res.redirect('/admin/lead-scoring');
+    }
+  }
+
+  // Delete lead scoring rule and rescore every caller
+  async deleteLeadScoringRule(req, res) {
+    try {
+      const rule = await LeadScoringRule.findById(req.params.id);
+      await LeadScoringRule.delete(rule.id);
+      const rescored = await rescoreCallers();
+
+      logger.info(`Lead scoring rule deleted by ${req.user.email}: ${rule.name}`);
+      req.flash('success', `Scoring rule "${rule.name}" deleted and ${rescored} callers rescored`);
+    } catch (error) {
+      logger.error('Error deleting lead scoring rule:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to delete scoring rule');
+    }
+
+    res.redirect('/admin/lead-scoring');
+  }
+
+  // Recalculate every caller's lead score with the active rules
+  async recalculateLeadScores(req, res) {
+    try {
+      const rescored = await refreshLeadScores();
+
+      logger.info(`Lead scores recalculated by ${req.user.email}: ${rescored} callers`);
+      req.flash('success', `Lead scores recalculated for ${rescored} callers`);
+    } catch (error) {
+      logger.error('Error recalculating lead scores:', error);
+      req.flash('error', 'Failed to recalculate lead scores');
+    }
+
+    res.redirect('/admin/lead-scoring');
+  }
+
+  // Show the do-not-call list
+  async showDoNotCall(req, res) {
+    try {
+      const { page, search, source } = req.query;
+      const filters = {
+        search: (search || '').trim(),
+        source: config.doNotCall.sources.includes(source) ? source : null
+      };
+
+      const result = await DoNotCall.findAll({ page: parseInt(page) || 1, ...filters });
+
+      // Query string of the current filters for the pagination links
+      const filterQuery = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+
+      res.render('admin/do-not-call/index', {
+        title: 'Do Not Call - Call Manager',
+        user: req.user,
+        entries: result.entries,
+        pagination: result.pagination,
+        filters,
+        filterQuery,
+        sources: config.doNotCall.sources,
+        maxFileSize: importHandler.getFileSizeLimit(),
+        path: '/admin/do-not-call',
+        flash: req.flash()
+      });
+    } catch (error) {
+      logger.error('Error loading do-not-call list:', error);
+      req.flash('error', 'Failed to load the do-not-call list');
+      res.redirect('/admin/dashboard');
+    }
+  }
+
+  // Add a phone number and/or email to the do-not-call list
+  async addDoNotCall(req, res) {
+    try {
+      // Validate input
+      const validation = validateData(doNotCallSchemas.add, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect('/admin/do-not-call');
+      }
+
+      const { added } = await DoNotCall.add([validation.data], { source: 'admin', added_by: req.user.id });
+      if (added === 0) {
+        throw AppError.conflictError('Already on the do-not-call list', 'DNC_ENTRY_EXISTS');
+      }
+
+      logger.info(`Do-not-call entry added by ${req.user.email}`);
+      req.flash('success', 'Added to the do-not-call list');
+    } catch (error) {
+      logger.error('Error adding do-not-call entry:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to add to the do-not-call list');
+    }
+
+    res.redirect('/admin/do-not-call');
+  }
+
+  // Add every phone number and email of an uploaded file (CSV, XLSX or JSON) to the do-not-call list
+  async uploadDoNotCall(req, res) {
+    try {
+      if (!req.file) {
+        req.flash('error', 'Please select a CSV, XLSX or JSON file to upload');
+        return res.redirect('/admin/do-not-call');
+      }
+
+      const fileValidation = importHandler.validateFile(req.file);
+      if (!fileValidation.success) {
+        req.flash('error', fileValidation.errors[0].message);
+        return res.redirect('/admin/do-not-call');
+      }
+
+      const { entries, invalidRows } = await importHandler.readDoNotCallFile(req.file.path);
+      const { added, alreadyListed } = entries.length > 0
+        ? await DoNotCall.add(entries, { source: 'upload', added_by: req.user.id })
+        : { added: 0, alreadyListed: 0 };
+
+      logger.upload(`Do-not-call list uploaded by ${req.user.email}: ${req.file.originalname} (${added} added)`);
+
+      let message = `${added} contacts added to the do-not-call list`;
+      if (alreadyListed > 0) {
+        message += `, ${alreadyListed} already listed`;
+      }
+      if (invalidRows.length > 0) {
+        message += `; ${invalidRows.length} rows skipped for an invalid phone or email (rows ${invalidRows.slice(0, 10).join(', ')}${invalidRows.length > 10 ? ', ...' : ''})`;
+      }
+      req.flash('success', message);
+    } catch (error) {
+      logger.error('Error uploading do-not-call list:', error);
+      req.flash('error', error instanceof AppError ? `File processing failed: ${error.message}` : 'Failed to process the uploaded file');
+    } finally {
+      if (req.file) {
+        importHandler.cleanupTempFile(req.file.path);
+      }
+    }
+
+    res.redirect('/admin/do-not-call');
+  }
+
+  // Remove an entry from the do-not-call list
+  async deleteDoNotCall(req, res) {
+    try {
+      await DoNotCall.delete(req.params.id);
+
+      logger.info(`Do-not-call entry ${req.params.id} removed by ${req.user.email}`);
+      req.flash('success', 'Removed from the do-not-call list');
+    } catch (error) {
+      logger.error('Error removing do-not-call entry:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to remove the entry');
+    }
+
+    res.redirect('/admin/do-not-call');
+  }
+
+  // Show the calling windows, global and per campaign
+  async showCallingHours(req, res) {
+    try {
+      const windows = await CallingWindow.findAll();
+      const campaigns = await Campaign.findAll();
+
+      res.render('admin/calling-hours/index', {
+        title: 'Calling Hours - Call Manager',
+        user: req.user,
+        windows,
+        campaigns,
+        days: config.callingHours.days,
+        defaultTimezone: config.calls.defaultTimezone,
+        path: '/admin/calling-hours',
+        flash: req.flash()
+      });
+    } catch (error) {
+      logger.error('Error loading calling hours:', error);
+      req.flash('error', 'Failed to load calling hours');
+      res.redirect('/admin/dashboard');
+    }
+  }
+
+  // Add a calling window on one or more days, globally or for a campaign
+  async createCallingWindow(req, res) {
+    try {
+      // Validate input
+      const validation = validateData(callingWindowSchemas.create, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect('/admin/calling-hours');
+      }
+
+      const windowData = validation.data;
+      const campaign = windowData.campaign_id ? await Campaign.findById(windowData.campaign_id) : null;
+      const created = await CallingWindow.create(windowData);
+
+      logger.info(`Calling windows added by ${req.user.email}: ${created} (${campaign ? campaign.name : 'global'})`);
+      req.flash('success', `${windowData.start_time}-${windowData.end_time} added on ${created} day(s) ${campaign ? `for ${campaign.name}` : 'for all callers'}`);
+    } catch (error) {
+      logger.error('Error creating calling window:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to add calling window');
+    }
+
+    res.redirect('/admin/calling-hours');
+  }
+
+  // Delete calling window
+  async deleteCallingWindow(req, res) {
+    try {
+      await CallingWindow.delete(req.params.id);
+
+      logger.info(`Calling window ${req.params.id} deleted by ${req.user.email}`);
+      req.flash('success', 'Calling window deleted');
+    } catch (error) {
+      logger.error('Error deleting calling window:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to delete calling window');
+    }
+
+    res.redirect('/admin/calling-hours');
+  }
+
+  // Show campaigns
+  async showCampaigns(req, res) {
+    try {
+      const campaigns = await Campaign.findAll();
+
+      res.render('admin/campaigns/index', {
+        title: 'Campaigns - Call Manager',
+        user: req.user,
+        campaigns,
+        path: '/admin/campaigns',
+        flash: req.flash()
+      });
+    } catch (error) {
+      logger.error('Error loading campaigns:', error);
+      req.flash('error', 'Failed to load campaigns');
+      res.redirect('/admin/dashboard');
+    }
+  }
+
+  // Show create campaign form
+  async showCreateCampaign(req, res) {
+    try {
+      const employees = await User.getEmployeesWithCallerCount();
+      const dispositions = await Disposition.findAll({ activeOnly: true });
+      const scripts = await CallScript.findAll({ activeOnly: true });
+
+      res.render('admin/campaigns/new', {
+        title: 'Create Campaign - Call Manager',
+        user: req.user,
+        employees,
+        dispositions,
+        scripts,
+        statuses: config.campaigns.statuses,
+        path: '/admin/campaigns',
+        flash: req.flash()
+      });
+    } catch (error) {
+      logger.error('Error loading create campaign form:', error);
+      req.flash('error', 'Failed to load campaign form');
+      res.redirect('/admin/campaigns');
+    }
+  }
+
+  // Create new campaign
+  async createCampaign(req, res) {
+    try {
+      // Validate input
+      const validation = validateData(campaignSchemas.save, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect('/admin/campaigns/new');
+      }
+
+      if (validation.data.script_id) {
+        await CallScript.findById(validation.data.script_id);
+      }
+
+      const campaign = await Campaign.create(validation.data, req.user.id);
+
+      logger.info(`Campaign created by ${req.user.email}: ${campaign.name}`);
+      req.flash('success', `Campaign "${campaign.name}" has been created successfully`);
+
+      res.redirect(`/admin/campaigns/${campaign.id}/edit`);
+    } catch (error) {
+      logger.error('Error creating campaign:', error);
+
+      if (error instanceof AppError) {
+        req.flash('error', error.message);
+      } else {
+        req.flash('error', 'Failed to create campaign. Please try again.');
+      }
+
+      res.redirect('/admin/campaigns/new');
+    }
+  }
+
+  // Show edit campaign form
+  async showEditCampaign(req, res) {
+    try {
+      const campaign = await Campaign.findById(req.params.id);
+      const employees = await User.getEmployeesWithCallerCount();
+      const dispositions = await Disposition.findAll();
+      const scripts = await CallScript.findAll();
+
+      res.render('admin/campaigns/edit', {
+        title: `${campaign.name} - Call Manager`,
+        user: req.user,
+        campaign,
+        employees,
+        dispositions,
+        scripts,
+        statuses: config.campaigns.statuses,
+        path: '/admin/campaigns',
+        flash: req.flash()
+      });
+    } catch (error) {
+      logger.error('Error loading campaign:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to load campaign');
+      res.redirect('/admin/campaigns');
+    }
+  }
+
+  // Update campaign
+  async updateCampaign(req, res) {
+    const campaignId = req.params.id;
+
+    try {
+      // Validate input
+      const validation = validateData(campaignSchemas.save, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect(`/admin/campaigns/${campaignId}/edit`);
+      }
+
+      if (validation.data.script_id) {
+        await CallScript.findById(validation.data.script_id);
+      }
+
+      const campaign = await Campaign.update(campaignId, validation.data);
+
+      logger.info(`Campaign updated by ${req.user.email}: ${campaign.name} (${campaign.status})`);
+      req.flash('success', `Campaign "${campaign.name}" updated successfully`);
+
+      res.redirect(`/admin/campaigns/${campaignId}/edit`);
+    } catch (error) {
+      logger.error('Error updating campaign:', error);
+
+      if (error instanceof AppError) {
+        req.flash('error', error.message);
+      } else {
+        req.flash('error', 'Failed to update campaign. Please try again.');
+      }
+
+      res.redirect(`/admin/campaigns/${campaignId}/edit`);
+    }
+  }
+
+  // Delete campaign; its callers are kept and detached
+  async deleteCampaign(req, res) {
+    try {
+      await Campaign.delete(req.params.id);
+
+      logger.info(`Campaign ${req.params.id} deleted by ${req.user.email}`);
+      req.flash('success', 'Campaign deleted successfully');
+    } catch (error) {
+      logger.error('Error deleting campaign:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to delete campaign');
+    }
+
+    res.redirect('/admin/campaigns');
+  }
+
+  // Attach every caller of an upload batch to a campaign
+  async attachCampaignBatch(req, res) {
+    const campaignId = req.params.id;
+
+    try {
+      // Validate input
+      const validation = validateData(campaignSchemas.attachBatch, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect(`/admin/campaigns/${campaignId}/edit`);
+      }
+
+      const { batch_id } = validation.data;
+      const attached = await Campaign.attachBatch(campaignId, batch_id);
+
+      logger.info(`Batch ${batch_id} attached to campaign ${campaignId} by ${req.user.email}: ${attached} callers`);
+      if (attached === 0) {
+        req.flash('error', `No callers found in batch ${batch_id}`);
+      } else {
+        req.flash('success', `${attached} callers from batch ${batch_id} attached to the campaign`);
+      }
+
+      res.redirect(`/admin/campaigns/${campaignId}/edit`);
+    } catch (error) {
+      logger.error('Error attaching batch to campaign:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to attach batch');
+      res.redirect(`/admin/campaigns/${campaignId}/edit`);
+    }
+  }
+
+  // Show call scripts
+  async showCallScripts(req, res) {
+    try {
+      const scripts = await CallScript.findAll();
+
+      res.render('admin/scripts/index', {
+        title: 'Call Scripts - Call Manager',
+        user: req.user,
+        scripts,
+        path: '/admin/scripts',
+        flash: req.flash()
+      });
+    } catch (error) {
+      logger.error('Error loading call scripts:', error);
+      req.flash('error', 'Failed to load call scripts');
+      res.redirect('/admin/dashboard');
+    }
+  }
+
+  // Show create call script form
+  async showCreateCallScript(req, res) {
+    try {
+      const customFields = await CallerField.findAll({ activeOnly: true });
+
+      res.render('admin/scripts/new', {
+        title: 'Create Call Script - Call Manager',
+        user: req.user,
+        customFields,
+        path: '/admin/scripts',
+        flash: req.flash()
+      });
+    } catch (error) {
+      logger.error('Error loading create call script form:', error);
+      req.flash('error', 'Failed to load call script form');
+      res.redirect('/admin/scripts');
+    }
+  }
+
+  // Create new call script
+  async createCallScript(req, res) {
+    try {
+      // Validate input
+      const validation = validateData(callScriptSchemas.save, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect('/admin/scripts/new');
+      }
+
+      const script = await CallScript.create(validation.data, req.user.id);
+
+      logger.info(`Call script created by ${req.user.email}: ${script.name}`);
+      req.flash('success', `Call script "${script.name}" has been created successfully`);
+
+      res.redirect(`/admin/scripts/${script.id}/edit`);
+    } catch (error) {
+      logger.error('Error creating call script:', error);
+
+      if (error instanceof AppError) {
+        req.flash('error', error.message);
+      } else {
+        req.flash('error', 'Failed to create call script. Please try again.');
+      }
+
+      res.redirect('/admin/scripts/new');
+    }
+  }
+
+  // Show edit call script form
+  async showEditCallScript(req, res) {
+    try {
+      const script = await CallScript.findById(req.params.id);
+      const customFields = await CallerField.findAll({ activeOnly: true });
+
+      res.render('admin/scripts/edit', {
+        title: `${script.name} - Call Manager`,
+        user: req.user,
+        script,
+        questionsText: formatScriptQuestions(script.questions),
+        customFields,
+        path: '/admin/scripts',
+        flash: req.flash()
+      });
+    } catch (error) {
+      logger.error('Error loading call script:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to load call script');
+      res.redirect('/admin/scripts');
+    }
+  }
+
+  // Update call script
+  async updateCallScript(req, res) {
+    const scriptId = req.params.id;
+
+    try {
+      // Validate input
+      const validation = validateData(callScriptSchemas.save, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect(`/admin/scripts/${scriptId}/edit`);
+      }
+
+      const script = await CallScript.update(scriptId, validation.data);
+
+      logger.info(`Call script updated by ${req.user.email}: ${script.name}`);
+      req.flash('success', `Call script "${script.name}" updated successfully`);
+
+      res.redirect(`/admin/scripts/${scriptId}/edit`);
+    } catch (error) {
+      logger.error('Error updating call script:', error);
+
+      if (error instanceof AppError) {
+        req.flash('error', error.message);
+      } else {
+        req.flash('error', 'Failed to update call script. Please try again.');
+      }
+
+      res.redirect(`/admin/scripts/${scriptId}/edit`);
+    }
+  }
+
+  // Use a call script for the callers of an upload batch
+  async attachCallScriptBatch(req, res) {
+    const scriptId = req.params.id;
+
+    try {
+      // Validate input
+      const validation = validateData(callScriptSchemas.attachBatch, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect(`/admin/scripts/${scriptId}/edit`);
+      }
+
+      const { batch_id } = validation.data;
+      await CallScript.attachBatch(scriptId, batch_id);
+
+      logger.info(`Call script ${scriptId} attached to batch ${batch_id} by ${req.user.email}`);
+      req.flash('success', `Callers of batch ${batch_id} now use this script`);
+
+      res.redirect(`/admin/scripts/${scriptId}/edit`);
+    } catch (error) {
+      logger.error('Error attaching call script to batch:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to attach batch');
+      res.redirect(`/admin/scripts/${scriptId}/edit`);
+    }
+  }
+
+  // Stop using a call script for an upload batch
+  async detachCallScriptBatch(req, res) {
+    const scriptId = req.params.id;
+
+    try {
+      // Validate input
+      const validation = validateData(callScriptSchemas.attachBatch, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect(`/admin/scripts/${scriptId}/edit`);
+      }
+
+      const { batch_id } = validation.data;
+      await CallScript.detachBatch(scriptId, batch_id);
+
+      logger.info(`Call script ${scriptId} detached from batch ${batch_id} by ${req.user.email}`);
+      req.flash('success', `Batch ${batch_id} no longer uses this script`);
+
+      res.redirect(`/admin/scripts/${scriptId}/edit`);
+    } catch (error) {
+      logger.error('Error detaching call script from batch:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to detach batch');
+      res.redirect(`/admin/scripts/${scriptId}/edit`);
+    }
+  }
+
+  // Show overdue callbacks across all employees
+  async showOverdueCallbacks(req, res) {
+    try {
+      const callbacks = await Callback.getOverdue();
+      const employees = await User.getEmployeesWithCallerCount();
+
+      res.render('admin/callbacks', {
+        title: 'Overdue Callbacks - Call Manager',
+        user: req.user,
+        callbacks,
+        employees,
+        path: '/admin/callbacks',
+        flash: req.flash()
+      });
+    } catch (error) {
+      logger.error('Error loading overdue callbacks:', error);
+      req.flash('error', 'Failed to load callbacks');
+      res.redirect('/admin/dashboard');
+    }
+  }
+
+  // Reassign a callback (and its caller) to another employee
+  async reassignCallback(req, res) {
+    try {
+      // Validate input
+      const validation = validateData(callbackSchemas.reassign, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect('/admin/callbacks');
+      }
+
+      const employee = await User.findById(validation.data.employee_id);
+      if (employee.role_name !== 'employee') {
+        req.flash('error', 'Callbacks can only be reassigned to employees');
+        return res.redirect('/admin/callbacks');
+      }
+
+      const callback = await Callback.reassign(req.params.id, employee.id, req.user.id);
+
+      logger.info(`Callback ${callback.id} reassigned by ${req.user.email} to ${employee.email}`);
+      req.flash('success', `Callback for ${callback.caller_name} reassigned to ${employee.name}`);
+
+      res.redirect('/admin/callbacks');
+    } catch (error) {
+      logger.error('Error reassigning callback:', error);
+
+      if (error instanceof AppError) {
+        req.flash('error', error.message);
+      } else {
+        req.flash('error', 'Failed to reassign callback. Please try again.');
+      }
+
+      res.redirect('/admin/callbacks');
     }
   }
 
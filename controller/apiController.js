@@ -0,0 +1,545 @@
+// JSON API controller for the Call Manager application
+// Serves /api/v1 to integrations authenticated with personal API tokens, and its
+// documentation at /api/docs.
+// Successes answer { data } (lists add the pagination of findAll); failures answer the
+// AppError.getResponse() envelope.
+
+import User from '../models/User.js';
+import Caller from '../models/Caller.js';
+import Note from '../models/Note.js';
+import CallAttempt from '../models/CallAttempt.js';
+import CallerField from '../models/CallerField.js';
+import Campaign from '../models/Campaign.js';
+import { validateData, userSchemas, callerSchemas, assignmentSchemas, noteSchemas, customFieldsSchema, apiQuerySchemas } from '../utils/validation.js';
+import { rescoreCallers } from '../utils/leadScoring.js';
+import { getOpenApiDocument } from '../utils/openApi.js';
+import logger from '../utils/logger.js';
+import AppError from '../utils/AppError.js';
+import config from '../config/index.js';
+
+// Send an error in the AppError envelope; unexpected errors become a 500 with the fallback message
+function sendError(res, error, fallbackMessage) {
+  const appError = error instanceof AppError ? error : new AppError(fallbackMessage, 500, 'SERVER_INTERNAL_ERROR');
+  res.status(appError.statusCode).json(appError.getResponse());
+}
+
+// Validate data against a schema, throwing a validation error listing every failed field
+// A request without a body leaves req.body undefined; it validates as an empty one
+function validateOrThrow(schema, data) {
+  const validation = validateData(schema, data ?? {});
+  if (!validation.success) {
+    throw AppError.validationError(validation.errors[0].message, 'VALIDATION_FAILED', validation.errors);
+  }
+  return validation.data;
+}
+
+// A numeric ID from the route parameters
+function idParam(req, name = 'id') {
+  const id = Number(req.params[name]);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw AppError.validationError(`Invalid ${name}: must be a positive integer`);
+  }
+  return id;
+}
+
+// Find a caller the token's user may see: admins see every caller, employees their own
+async function findVisibleCaller(req, callerId) {
+  const caller = await Caller.findById(callerId);
+  if (req.user.role_name !== 'super_admin' && caller.assigned_to !== req.user.id) {
+    throw AppError.permissionError('You can only access callers assigned to you');
+  }
+  return caller;
+}
+
+// Validate the custom field values of a caller against the active field definitions
+async function validateCustomFields(values) {
+  const customFields = await CallerField.findAll({ activeOnly: true });
+  return validateOrThrow(customFieldsSchema(customFields), values || {});
+}
+
+class ApiController {
+  // Serve the OpenAPI document of the API
+  openApiDocument(req, res) {
+    try {
+      res.json(getOpenApiDocument());
+    } catch (error) {
+      logger.error('Error building OpenAPI document:', error);
+      sendError(res, error, 'Failed to build the API document');
+    }
+  }
+
+  // Show the interactive API documentation
+  showDocs(req, res) {
+    res.render('api/docs', {
+      title: 'API Documentation - Call Manager',
+      spec: getOpenApiDocument(),
+      tokenPrefix: config.api.tokenPrefix,
+      path: '/api/docs'
+    });
+  }
+
+  // Get the token's user and scopes
+  async me(req, res) {
+    try {
+      const user = await User.findById(req.user.id);
+
+      res.json({
+        data: {
+          user,
+          token: {
+            id: req.apiToken.id,
+            name: req.apiToken.name,
+            scopes: req.apiToken.scopes,
+            expires_at: req.apiToken.expires_at
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Error loading API user:', error);
+      sendError(res, error, 'Failed to load user');
+    }
+  }
+
+  // List users
+  async listUsers(req, res) {
+    try {
+      const options = validateOrThrow(apiQuerySchemas.users, req.query);
+      const { users, pagination } = await User.findAll(options);
+
+      res.json({ data: users, pagination });
+    } catch (error) {
+      logger.error('Error listing users via API:', error);
+      sendError(res, error, 'Failed to load users');
+    }
+  }
+
+  // Get a user
+  async getUser(req, res) {
+    try {
+      const user = await User.findById(idParam(req));
+
+      res.json({ data: user });
+    } catch (error) {
+      logger.error('Error getting user via API:', error);
+      sendError(res, error, 'Failed to load user');
+    }
+  }
+
+  // Create a user
+  async createUser(req, res) {
+    try {
+      const userData = validateOrThrow(userSchemas.create, req.body);
+
+      if (await User.findByEmail(userData.email)) {
+        throw AppError.conflictError('A user with this email already exists', 'USER_EMAIL_EXISTS');
+      }
+      if (await User.findByPhone(userData.phone)) {
+        throw AppError.conflictError('A user with this phone number already exists', 'USER_PHONE_EXISTS');
+      }
+
+      const newUser = await User.create(userData);
+
+      logger.auth(`New user created via API by ${req.user.email}: ${newUser.email} (${newUser.role_id})`);
+      res.status(201).json({ data: await User.findById(newUser.id) });
+    } catch (error) {
+      logger.error('Error creating user via API:', error);
+      sendError(res, error, 'Failed to create user');
+    }
+  }
+
+  // Update a user
+  async updateUser(req, res) {
+    try {
+      const userId = idParam(req);
+      const userData = validateOrThrow(userSchemas.update, req.body);
+
+      if (userData.email) {
+        const existingUser = await User.findByEmail(userData.email);
+        if (existingUser && existingUser.id !== userId) {
+          throw AppError.conflictError('A user with this email already exists', 'USER_EMAIL_EXISTS');
+        }
+      }
+      if (userData.phone) {
+        const existingUser = await User.findByPhone(userData.phone);
+        if (existingUser && existingUser.id !== userId) {
+          throw AppError.conflictError('A user with this phone number already exists', 'USER_PHONE_EXISTS');
+        }
+      }
+
+      const updatedUser = await User.update(userId, userData);
+
+      logger.auth(`User updated via API by ${req.user.email}: ${updatedUser.email}`);
+      res.json({ data: updatedUser });
+    } catch (error) {
+      logger.error('Error updating user via API:', error);
+      sendError(res, error, 'Failed to update user');
+    }
+  }
+
+  // Delete a user
+  async deleteUser(req, res) {
+    try {
+      const userId = idParam(req);
+      if (userId === req.user.id) {
+        throw AppError.validationError('You cannot delete your own account');
+      }
+
+      await User.delete(userId);
+
+      logger.auth(`User deleted via API by ${req.user.email}: ID ${userId}`);
+      res.status(204).end();
+    } catch (error) {
+      logger.error('Error deleting user via API:', error);
+      sendError(res, error, 'Failed to delete user');
+    }
+  }
+
+  // List callers; employees only see the callers assigned to them
+  async listCallers(req, res) {
+    try {
+      const options = validateOrThrow(apiQuerySchemas.callers, req.query);
+      if (req.user.role_name !== 'super_admin') {
+        options.assigned_to = req.user.id;
+      }
+
+      const { callers, pagination } = await Caller.findAll(options);
+
+      res.json({ data: callers, pagination });
+    } catch (error) {
+      logger.error('Error listing callers via API:', error);
+      sendError(res, error, 'Failed to load callers');
+    }
+  }
+
+  // Get a caller
+  async getCaller(req, res) {
+    try {
+      const caller = await findVisibleCaller(req, idParam(req));
+
+      res.json({ data: caller });
+    } catch (error) {
+      logger.error('Error getting caller via API:', error);
+      sendError(res, error, 'Failed to load caller');
+    }
+  }
+
+  // Create a caller
+  async createCaller(req, res) {
+    try {
+      const callerData = {
+        ...validateOrThrow(callerSchemas.create, req.body),
+        custom_fields: await validateCustomFields(req.body?.custom_fields)
+      };
+      if (callerData.campaign_id) {
+        await Campaign.findById(callerData.campaign_id);
+      }
+
+      const newCaller = await Caller.create(callerData);
+      await rescoreCallers({ callerIds: [newCaller.id] });
+
+      logger.upload(`New caller created via API by ${req.user.email}: ${newCaller.email}`);
+      res.status(201).json({ data: await Caller.findById(newCaller.id) });
+    } catch (error) {
+      logger.error('Error creating caller via API:', error);
+      sendError(res, error, 'Failed to create caller');
+    }
+  }
+
+  // Update a caller; employees only their own, and only admins set the priority or status
+  async updateCaller(req, res) {
+    try {
+      const caller = await findVisibleCaller(req, idParam(req));
+
+      let priority;
+      if (req.body?.priority !== undefined) {
+        if (req.user.role_name !== 'super_admin') {
+          throw AppError.permissionError('Only admins can set a caller\'s priority');
+        }
+        priority = validateOrThrow(callerSchemas.priority, req.body).priority;
+      }
+
+      const updateData = {
+        ...validateOrThrow(callerSchemas.update, req.body),
+        custom_fields: await validateCustomFields(req.body?.custom_fields)
+      };
+      if (updateData.status !== undefined && req.user.role_name !== 'super_admin') {
+        throw AppError.permissionError('Only admins can change a caller\'s status');
+      }
+
+      // An unchanged timezone keeps its source, so a guessed one is still re-guessed on a new phone number
+      if (updateData.timezone === caller.timezone) {
+        delete updateData.timezone;
+      }
+
+      const hasUpdates = Object.entries(updateData)
+        .some(([key, value]) => value !== undefined && (key !== 'custom_fields' || Object.keys(value).length > 0));
+      if (!hasUpdates && priority === undefined) {
+        throw AppError.validationError('No valid fields to update');
+      }
+
+      if (hasUpdates) {
+        await Caller.update(caller.id, updateData);
+      }
+      if (priority !== undefined) {
+        await Caller.setPriority(caller.id, priority);
+      }
+      await rescoreCallers({ callerIds: [caller.id] });
+
+      logger.upload(`Caller updated via API by ${req.user.email}: ${caller.email}`);
+      res.json({ data: await Caller.findById(caller.id) });
+    } catch (error) {
+      logger.error('Error updating caller via API:', error);
+      sendError(res, error, 'Failed to update caller');
+    }
+  }
+
+  // Delete a caller
+  async deleteCaller(req, res) {
+    try {
+      const callerId = idParam(req);
+      await Caller.delete(callerId);
+
+      logger.upload(`Caller deleted via API by ${req.user.email}: ID ${callerId}`);
+      res.status(204).end();
+    } catch (error) {
+      logger.error('Error deleting caller via API:', error);
+      sendError(res, error, 'Failed to delete caller');
+    }
+  }
+
+  // Get the assignment timeline of a caller
+  async listCallerAssignments(req, res) {
+    try {
+      const caller = await findVisibleCaller(req, idParam(req));
+      const history = await Caller.getAssignmentHistory(caller.id);
+
+      res.json({ data: history });
+    } catch (error) {
+      logger.error('Error getting caller assignments via API:', error);
+      sendError(res, error, 'Failed to load assignments');
+    }
+  }
+
+  // Assign unassigned callers to an employee
+  // With atomic, a batch in which any caller fails is rolled back and answered with a 409
+  async assignCallers(req, res) {
+    try {
+      const { caller_ids, employee_id, atomic } = validateOrThrow(assignmentSchemas.assign, req.body);
+
+      const employee = await User.findById(employee_id);
+      if (employee.role_name !== 'employee') {
+        throw AppError.validationError('Callers can only be assigned to employees', 'USER_INVALID_ROLE');
+      }
+
+      const assignments = caller_ids.map(callerId => ({ callerId, employeeId: employee_id }));
+      const { committed, results } = await Caller.assignBatch(assignments, req.user.id, { method: 'manual', atomic });
+
+      const assigned = results.filter(result => result.success).length;
+      logger.upload(`Caller assignment via API by ${req.user.email}: ${assigned} successful, ${results.length - assigned} failed${committed ? '' : ' (rolled back)'}`);
+
+      if (!committed) {
+        const error = AppError.conflictError(
+          `Assignment rolled back: ${results.length - assigned} of ${results.length} callers could not be assigned`,
+          'ASSIGNMENT_ROLLED_BACK'
+        );
+        error.details = results;
+        throw error;
+      }
+
+      res.json({
+        data: {
+          summary: { requested: results.length, assigned, failed: results.length - assigned },
+          results
+        }
+      });
+    } catch (error) {
+      logger.error('Error assigning callers via API:', error);
+      sendError(res, error, 'Failed to assign callers');
+    }
+  }
+
+  // Move callers to another employee, whether or not they are assigned yet
+  async reassignCallers(req, res) {
+    try {
+      const { caller_ids, employee_id, atomic } = validateOrThrow(assignmentSchemas.reassign, req.body);
+
+      const employee = await User.findById(employee_id);
+      if (employee.role_name !== 'employee') {
+        throw AppError.validationError('Callers can only be assigned to employees', 'USER_INVALID_ROLE');
+      }
+
+      const assignments = caller_ids.map(callerId => ({ callerId, employeeId: employee_id }));
+      const { committed, results } = await Caller.reassignBatch(assignments, req.user.id, { atomic });
+
+      const reassigned = results.filter(result => result.success).length;
+      logger.upload(`Caller reassignment via API to ${employee.email} by ${req.user.email}: ${reassigned} successful, ${results.length - reassigned} failed${committed ? '' : ' (rolled back)'}`);
+
+      if (!committed) {
+        const error = AppError.conflictError(
+          `Reassignment rolled back: ${results.length - reassigned} of ${results.length} callers could not be moved`,
+          'ASSIGNMENT_ROLLED_BACK'
+        );
+        error.details = results;
+        throw error;
+      }
+
+      res.json({
+        data: {
+          summary: { requested: results.length, reassigned, failed: results.length - reassigned },
+          results
+        }
+      });
+    } catch (error) {
+      logger.error('Error reassigning callers via API:', error);
+      sendError(res, error, 'Failed to reassign callers');
+    }
+  }
+
+  // Release callers back to the unassigned pool
+  async unassignCallers(req, res) {
+    try {
+      const { caller_ids } = validateOrThrow(assignmentSchemas.unassign, req.body);
+
+      const results = [];
+      for (const callerId of caller_ids) {
+        try {
+          await Caller.unassign(callerId, req.user.id);
+          results.push({ callerId, success: true, status: 'unassigned' });
+        } catch (error) {
+          results.push({ callerId, success: false, code: error.errorCode, error: error.message });
+        }
+      }
+
+      const unassigned = results.filter(result => result.success).length;
+      logger.upload(`Caller unassignment via API by ${req.user.email}: ${unassigned} successful, ${results.length - unassigned} failed`);
+
+      res.json({
+        data: {
+          summary: { requested: results.length, unassigned, failed: results.length - unassigned },
+          results
+        }
+      });
+    } catch (error) {
+      logger.error('Error unassigning callers via API:', error);
+      sendError(res, error, 'Failed to unassign callers');
+    }
+  }
+
+  // List the notes of a caller, newest first
+  async listCallerNotes(req, res) {
+    try {
+      const caller = await findVisibleCaller(req, idParam(req));
+      const notes = await Note.findByCaller(caller.id);
+
+      res.json({ data: notes });
+    } catch (error) {
+      logger.error('Error listing caller notes via API:', error);
+      sendError(res, error, 'Failed to load notes');
+    }
+  }
+
+  // Add a note to a caller
+  async addCallerNote(req, res) {
+    try {
+      const caller = await findVisibleCaller(req, idParam(req));
+      const { note } = validateOrThrow(noteSchemas.create, req.body);
+
+      const newNote = await Note.create({ caller_id: caller.id, author_id: req.user.id, note });
+
+      logger.upload(`Note added via API to caller ${caller.email} by ${req.user.email}`);
+      res.status(201).json({ data: newNote });
+    } catch (error) {
+      logger.error('Error adding caller note via API:', error);
+      sendError(res, error, 'Failed to add note');
+    }
+  }
+
+  // Edit a note; only its author may
+  async updateNote(req, res) {
+    try {
+      const noteId = idParam(req);
+      const { note } = validateOrThrow(noteSchemas.create, req.body);
+
+      const existingNote = await Note.findById(noteId);
+      if (existingNote.author_id !== req.user.id) {
+        throw AppError.permissionError('You can only change notes you have written', 'NOTE_EDIT_FORBIDDEN');
+      }
+
+      const updatedNote = await Note.update(noteId, note);
+
+      logger.upload(`Note ${noteId} updated via API by ${req.user.email}`);
+      res.json({ data: updatedNote });
+    } catch (error) {
+      logger.error('Error updating note via API:', error);
+      sendError(res, error, 'Failed to update note');
+    }
+  }
+
+  // Delete a note; only its author may
+  async deleteNote(req, res) {
+    try {
+      const noteId = idParam(req);
+
+      const note = await Note.findById(noteId);
+      if (note.author_id !== req.user.id) {
+        throw AppError.permissionError('You can only change notes you have written', 'NOTE_EDIT_FORBIDDEN');
+      }
+
+      await Note.delete(noteId);
+
+      logger.upload(`Note ${noteId} deleted via API by ${req.user.email}`);
+      res.status(204).end();
+    } catch (error) {
+      logger.error('Error deleting note via API:', error);
+      sendError(res, error, 'Failed to delete note');
+    }
+  }
+
+  // Summary report: the whole system for admins, their own callers for employees
+  async reportSummary(req, res) {
+    try {
+      if (req.user.role_name === 'super_admin') {
+        const [users, [callers], batches] = await Promise.all([
+          User.getStats(),
+          Caller.getStats(),
+          Caller.getBatchStats()
+        ]);
+
+        return res.json({ data: { users, callers, batches } });
+      }
+
+      // Completed callers are released, so they are counted from the employee's calls
+      const [assignedCallers, completed] = await Promise.all([
+        Caller.getAssignedToEmployee(req.user.id),
+        CallAttempt.countCompletedByEmployee(req.user.id)
+      ]);
+      const handled = assignedCallers.length + completed;
+
+      res.json({
+        data: {
+          totalAssigned: assignedCallers.length,
+          activeCallers: assignedCallers.filter(caller => caller.status === 'active').length,
+          completedCallers: completed,
+          completionRate: handled > 0 ? Number(((completed / handled) * 100).toFixed(2)) : 0
+        }
+      });
+    } catch (error) {
+      logger.error('Error loading report summary via API:', error);
+      sendError(res, error, 'Failed to load reports');
+    }
+  }
+
+  // Employees with the number of open callers each holds
+  async reportEmployees(req, res) {
+    try {
+      const employees = await User.getEmployeesWithCallerCount();
+
+      res.json({ data: employees });
+    } catch (error) {
+      logger.error('Error loading employee report via API:', error);
+      sendError(res, error, 'Failed to load reports');
+    }
+  }
+}
+
+export default new ApiController();
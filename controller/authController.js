@@ -3,9 +3,37 @@
 
 // import bcrypt from 'bcrypt';
 import User from '../models/User.js';
-import { validateData, sanitizeData, userSchemas } from '../utils/validation.js';
+import ApiToken from '../models/ApiToken.js';
+import { validateData, sanitizeData, userSchemas, apiTokenSchemas } from '../utils/validation.js';
 import logger from '../utils/logger.js';
-// import AppError from '../utils/AppError.js';
+import AppError from '../utils/AppError.js';
+import config from '../config/index.js';
+
+// Render the profile page with the user's API tokens
+// newToken is shown once, straight after it is created, and never again
+async function renderProfile(req, res, { newToken = null, form = {}, error = req.flash('error') } = {}) {
+  const user = await User.findById(req.user.id);
+  const tokens = await ApiToken.findByUser(req.user.id);
+
+  // Only the scopes the user's role can use are offered
+  const scopes = Object.entries(config.api.scopes)
+    .filter(([, scope]) => scope.roles.includes(user.role_name))
+    .map(([key, scope]) => ({ key, label: scope.label }));
+
+  res.render('auth/profile', {
+    title: 'My Profile - Call Manager',
+    user,
+    tokens,
+    scopes,
+    newToken,
+    form,
+    maxTokenDays: config.api.maxTokenDays,
+    error,
+    success: req.flash('success'),
+    csrfToken: req.csrfToken(),
+    path: '/auth/profile'
+  });
+}
 
 class AuthController {
   // Show login page
@@ -106,15 +134,7 @@ class AuthController {
   // Show user profile
   async showProfile(req, res) {
     try {
-      const user = await User.findById(req.user.id);
-      
-      res.render('auth/profile', {
-        title: 'My Profile - Call Manager',
-        user,
-        error: req.flash('error'),
-        success: req.flash('success'),
-        path: '/auth/profile'
-      });
+      await renderProfile(req, res);
     } catch (error) {
       logger.error('Error loading user profile:', error);
       req.flash('error', 'Failed to load profile');
@@ -122,6 +142,46 @@ class AuthController {
     }
   }
 
+  // Create a personal API token; the token is shown on the page once and only its hash is kept
+  async createApiToken(req, res) {
+    try {
+      const validation = validateData(apiTokenSchemas.create, req.body);
+      if (!validation.success) {
+        return await renderProfile(req, res, { form: req.body, error: [validation.errors[0].message] });
+      }
+
+      // A token can only carry the scopes of its owner's role
+      const tokenData = validation.data;
+      const refused = tokenData.scopes.filter(scope => !config.api.scopes[scope].roles.includes(req.user.role_name));
+      if (refused.length > 0) {
+        return await renderProfile(req, res, { form: req.body, error: [`Your role cannot use the scopes: ${refused.join(', ')}`] });
+      }
+
+      const token = await ApiToken.create(req.user.id, tokenData);
+
+      logger.auth(`API token created by ${req.user.email}: ${token.name} (${token.scopes.join(', ')})`);
+      await renderProfile(req, res, { newToken: token });
+    } catch (error) {
+      logger.error('Error creating API token:', error);
+      req.flash('error', 'Failed to create API token. Please try again.');
+      res.redirect('/auth/profile');
+    }
+  }
+
+  // Revoke one of the user's API tokens
+  async revokeApiToken(req, res) {
+    try {
+      await ApiToken.revoke(req.params.id, req.user.id);
+
+      logger.auth(`API token ${req.params.id} revoked by ${req.user.email}`);
+      req.flash('success', 'API token revoked; it no longer works');
+      res.redirect('/auth/profile');
+    } catch (error) {
+      logger.error('Error revoking API token:', error);
+      req.flash('error', error instanceof AppError ? error.message : 'Failed to revoke API token');
+      res.redirect('/auth/profile');
+    }
+  }
 
 
 
@@ -1,30 +1,50 @@
 // Employee controller for the Call Manager application
-// Handles employee functionality including viewing assigned callers and marking them as called
+// Handles employee functionality including viewing assigned callers and recording their calls
 
 import Caller from '../models/Caller.js';
+import Note from '../models/Note.js';
+import CallAttempt from '../models/CallAttempt.js';
+import Disposition from '../models/Disposition.js';
+import Callback from '../models/Callback.js';
+import CallerField from '../models/CallerField.js';
+import Campaign from '../models/Campaign.js';
+import CallScript from '../models/CallScript.js';
+import DoNotCall from '../models/DoNotCall.js';
+import CallingWindow from '../models/CallingWindow.js';
+import { formatCSVRow } from '../utils/csvParser.js';
+import { renderScript, cleanScriptAnswers } from '../utils/callScript.js';
+import { rescoreCallers } from '../utils/leadScoring.js';
+import { getCallableSql, getCallingStatus } from '../utils/callingHours.js';
+import { listTimeZones } from '../utils/timezone.js';
 import logger from '../utils/logger.js';
 import AppError from '../utils/AppError.js';
-import { validateData, assignmentSchemas } from '../utils/validation.js';
+import { validateData, noteSchemas, callAttemptSchemas, callbackSchemas, callerSchemas, customFieldsSchema, doNotCallSchemas } from '../utils/validation.js';
+import config from '../config/index.js';
 
 class EmployeeController {
   // Show employee dashboard
   async showDashboard(req, res) {
     try {
-      // Get callers assigned to this employee
-      const assignedCallers = await Caller.getAssignedToEmployee(req.user.id);
+      // Get callers assigned to this employee, flagging those outside their calling hours
+      const assignedCallers = await Caller.getAssignedToEmployee(req.user.id, await getCallableSql());
+      
+      // Get pending callbacks, soonest first
+      const callbacks = await Callback.getPendingForEmployee(req.user.id);
       
-      // Get employee statistics with safe defaults
+      // Get employee statistics with safe defaults; completed callers are released, so they are counted from calls
       const stats = {
         totalAssigned: assignedCallers ? assignedCallers.length : 0,
         activeCallers: assignedCallers ? assignedCallers.filter(c => c.status === 'active').length : 0,
-        completedCallers: assignedCallers ? assignedCallers.filter(c => c.status === 'inactive').length : 0
+        completedCallers: await CallAttempt.countCompletedByEmployee(req.user.id)
       };
       
       res.render('employee/dashboard', {
         title: 'Employee Dashboard - Call Manager',
         user: req.user || {},
         callers: assignedCallers || [],
+        callbacks: callbacks || [],
         stats: stats,
+        flash: req.flash(),
         path: '/employee/dashboard'
       });
     } catch (error) {
@@ -35,6 +55,7 @@ class EmployeeController {
         title: 'Employee Dashboard - Call Manager',
         user: req.user || {},
         callers: [],
+        callbacks: [],
         stats: {
           totalAssigned: 0,
           activeCallers: 0,
@@ -48,13 +69,17 @@ class EmployeeController {
   // Show assigned callers
   async showCallers(req, res) {
     try {
-      const { page = 1, limit = 10, status, sortBy = 'assigned_at', sortOrder = 'ASC' } = req.query;
+      const { page = 1, limit = 10, status, sortBy = 'priority', sortOrder = 'DESC', callable } = req.query;
       
+      // Callers outside their calling hours are flagged, or hidden with ?callable=1
       const options = {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 10,
         assigned_to: req.user.id,
         status: status || null,
+        hide_paused_campaigns: true,
+        callable: await getCallableSql(),
+        callable_only: callable === '1',
         sortBy,
         sortOrder
       };
@@ -67,6 +92,9 @@ class EmployeeController {
         callers: result.callers || [],
         pagination: result.pagination || {},
         filters: options,
+        statuses: config.calls.statuses,
+        defaultTimezone: config.calls.defaultTimezone,
+        flash: req.flash(),
         path: '/employee/callers'
       });
     } catch (error) {
@@ -76,6 +104,26 @@ class EmployeeController {
     }
   }
 
+  // Serve the next caller of the employee's dialing queue
+  async nextInQueue(req, res) {
+    try {
+      // Fresh scores first: age and attempts rules change while callers wait
+      await rescoreCallers({ assignedTo: req.user.id });
+      const caller = await Caller.claimNextInQueue(req.user.id, { callable: await getCallableSql() });
+      
+      if (!caller) {
+        req.flash('success', 'Your queue is empty: no callers are due and inside their calling hours right now');
+        return res.redirect('/employee/dashboard');
+      }
+      
+      res.redirect(`/employee/callers/${caller.id}?queue=1`);
+    } catch (error) {
+      logger.error('Error serving next caller:', error);
+      req.flash('error', 'Failed to load the next caller');
+      res.redirect('/employee/dashboard');
+    }
+  }
+
   // Show caller details
   async showCallerDetails(req, res) {
     try {
@@ -93,10 +141,43 @@ class EmployeeController {
         return res.redirect('/employee/callers');
       }
       
+      const notes = await Note.findByCaller(callerId);
+      // A campaign can narrow down the dispositions its callers may get; a caller on the
+      // do-not-call list can only be closed with a disposition that keeps them there
+      let dispositions;
+      if (caller.on_dnc) {
+        dispositions = (await Disposition.findAll({ activeOnly: true })).filter(item => item.adds_to_dnc);
+      } else if (caller.campaign_id) {
+        dispositions = await Campaign.getDispositions(caller.campaign_id);
+      } else {
+        dispositions = await Disposition.findAll({ activeOnly: true });
+      }
+      const doNotCall = caller.on_dnc ? await DoNotCall.findByEmailsOrPhones([caller.email], [caller.phone]) : [];
+      const campaign = caller.campaign_id ? await Campaign.findById(caller.campaign_id) : null;
+      const script = await CallScript.findForCaller(caller);
+      const callbacks = await Callback.getPendingForCaller(callerId);
+      const customFields = await CallerField.findAll();
+      const callingStatus = getCallingStatus(caller, await CallingWindow.findAll());
+      
       res.render('employee/callers/view', {
         title: `Caller: ${caller.name} - Call Manager`,
         user: req.user,
         caller,
+        campaign,
+        script: script && {
+          ...script,
+          body: renderScript(script.body, { caller, agent: req.user, campaign: campaign || {} })
+        },
+        customFields,
+        notes: notes || [],
+        dispositions: dispositions || [],
+        doNotCall,
+        callingStatus,
+        callbacks: callbacks || [],
+        outcomes: config.calls.outcomes,
+        defaultTimezone: config.calls.defaultTimezone,
+        // Opened from "Next caller": saving a disposition moves on to the next one
+        queueMode: req.query.queue === '1' && caller.locked_by === req.user.id,
         path: `/employee/callers/${callerId}`
       });
     } catch (error) {
@@ -106,13 +187,117 @@ class EmployeeController {
     }
   }
 
-  // Mark caller as called
-  async markCallerAsCalled(req, res) {
+  // Record a call disposition for a caller
+  async recordDisposition(req, res) {
     try {
       const callerId = req.params.id;
       
       // Validate input
-      const validation = validateData(assignmentSchemas.markCalled, { caller_id: parseInt(callerId) });
+      const validation = validateData(callAttemptSchemas.disposition, req.body || {});
+      if (!validation.success) {
+        return res.status(400).json({
+          success: false,
+          message: validation.errors[0].message
+        });
+      }
+      
+      // Get caller to check ownership; checked again under a lock when the call is saved
+      const caller = await Caller.findById(callerId);
+      if (caller.assigned_to !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only record dispositions for callers assigned to you'
+        });
+      }
+      
+      const { disposition_id, script_answers, ...attemptData } = validation.data;
+      const disposition = await Disposition.findById(disposition_id);
+      if (!disposition.is_active) {
+        throw new AppError('This disposition is no longer available', 400, 'DISPOSITION_INACTIVE');
+      }
+      if (caller.campaign_id && !caller.on_dnc) {
+        const allowed = await Campaign.getDispositions(caller.campaign_id);
+        if (!allowed.some(item => item.id === disposition.id)) {
+          throw new AppError('This disposition is not used by the caller\'s campaign', 400, 'DISPOSITION_NOT_IN_CAMPAIGN');
+        }
+      }
+      
+      // Keep the answers to the caller's script questions with the call
+      const script = await CallScript.findForCaller(caller);
+      const answers = script ? cleanScriptAnswers(script.questions, script_answers) : null;
+      
+      // The call, the caller's new state, any do-not-call entry and the callback changes are saved together,
+      // so a failure leaves nothing behind and the employee can simply record the call again
+      const attempt = await CallAttempt.withTransaction(async (execute) => {
+        // Checked again on the locked caller, so it cannot be reassigned between the check and the save
+        const locked = await Caller.findForUpdate(caller.id, execute);
+        if (locked.assigned_to !== req.user.id) {
+          throw AppError.permissionError('You can only record dispositions for callers assigned to you');
+        }
+        if (locked.on_dnc && !disposition.adds_to_dnc) {
+          throw AppError.conflictError('This caller is on the do-not-call list', 'CALLER_ON_DNC');
+        }
+
+        const recorded = await CallAttempt.create({
+          ...attemptData,
+          disposition_id: disposition.id,
+          caller_id: caller.id,
+          employee_id: req.user.id,
+          script_id: script ? script.id : null,
+          script_answers: answers
+        }, execute);
+        await Caller.applyDisposition(caller.id, disposition, execute);
+
+        // The person asked not to be contacted again: list their phone and email
+        if (disposition.adds_to_dnc) {
+          await DoNotCall.add(
+            [{ phone: caller.phone, email: caller.email, reason: (attemptData.summary || disposition.label).slice(0, 255) }],
+            { source: 'disposition', added_by: req.user.id, caller_id: caller.id },
+            execute
+          );
+        }
+
+        // A closed caller needs no more callbacks; otherwise this call covers any that were due
+        if (disposition.is_final) {
+          await Callback.cancelPendingForCaller(caller.id, execute);
+        } else {
+          await Callback.completeDueForCaller(caller.id, execute);
+        }
+
+        return recorded;
+      });
+      await rescoreCallers({ callerIds: [caller.id] });
+      const updatedCaller = await Caller.findById(caller.id);
+      
+      logger.upload(`Disposition ${disposition.code} recorded by employee ${req.user.email}: ${caller.email}`);
+      
+      res.json({
+        success: true,
+        message: disposition.is_final
+          ? 'Call recorded and caller closed'
+          : 'Call recorded, caller kept in your queue',
+        attempt,
+        caller: updatedCaller
+      });
+    } catch (error) {
+      logger.error('Error recording disposition:', error);
+      
+      res.status(error instanceof AppError ? error.statusCode : 500).json({
+        success: false,
+        message: error instanceof AppError ? error.message : 'Failed to record disposition'
+      });
+    }
+  }
+
+  // Record whether the caller consents to be called
+  // Withdrawn consent lists the caller's phone and email as do not call in the same transaction;
+  // only an admin can take a caller off the list, so consent cannot be granted while they are on it
+  async recordConsent(req, res) {
+    try {
+      const callerId = req.params.id;
+      
+      // Validate input
+      const validation = validateData(doNotCallSchemas.consent, req.body || {});
       if (!validation.success) {
         return res.status(400).json({
           success: false,
@@ -122,36 +307,127 @@ class EmployeeController {
       
       // Get caller to check ownership
       const caller = await Caller.findById(callerId);
-      if (!caller) {
-        return res.status(404).json({
+      if (caller.assigned_to !== req.user.id) {
+        return res.status(403).json({
           success: false,
-          message: 'Caller not found'
+          message: 'You can only record consent for callers assigned to you'
         });
       }
       
-      // Check if caller is assigned to this employee
+      const { consent_status } = validation.data;
+      await Caller.withTransaction(async (execute) => {
+        // Checked on the locked caller, so it cannot be reassigned between the check and the save
+        const locked = await Caller.findForUpdate(caller.id, execute);
+        if (locked.assigned_to !== req.user.id) {
+          throw AppError.permissionError('You can only record consent for callers assigned to you');
+        }
+        if (consent_status === 'granted' && locked.on_dnc) {
+          throw AppError.conflictError('This caller is on the do-not-call list; an admin has to remove them first', 'CALLER_ON_DNC');
+        }
+
+        await Caller.setConsent(caller.id, consent_status, req.user.id, execute);
+        if (consent_status === 'withdrawn') {
+          await DoNotCall.add(
+            [{ phone: caller.phone, email: caller.email, reason: 'Consent withdrawn' }],
+            { source: 'consent', added_by: req.user.id, caller_id: caller.id },
+            execute
+          );
+        }
+      });
+      
+      logger.info(`Consent ${consent_status} recorded by employee ${req.user.email}: ${caller.email}`);
+      
+      res.json({
+        success: true,
+        message: consent_status === 'granted'
+          ? 'Consent recorded'
+          : 'Consent withdrawn; the caller is now on the do-not-call list'
+      });
+    } catch (error) {
+      logger.error('Error recording consent:', error);
+      
+      res.status(error instanceof AppError ? error.statusCode : 500).json({
+        success: false,
+        message: error instanceof AppError ? error.message : 'Failed to record consent'
+      });
+    }
+  }
+
+  // Schedule a callback for a caller
+  async scheduleCallback(req, res) {
+    try {
+      const callerId = req.params.id;
+      
+      // Validate input
+      const validation = validateData(callbackSchemas.create, req.body || {});
+      if (!validation.success) {
+        return res.status(400).json({
+          success: false,
+          message: validation.errors[0].message
+        });
+      }
+      
+      // Get caller to check ownership
+      const caller = await Caller.findById(callerId);
       if (caller.assigned_to !== req.user.id) {
         return res.status(403).json({
           success: false,
-          message: 'You can only mark callers assigned to you as called'
+          message: 'You can only schedule callbacks for callers assigned to you'
         });
       }
+      if (caller.on_dnc) {
+        throw AppError.conflictError('This caller is on the do-not-call list', 'CALLER_ON_DNC');
+      }
       
-      // Mark caller as called
-      await Caller.markAsCalled(callerId);
+      const callback = await Callback.create({
+        ...validation.data,
+        caller_id: caller.id,
+        employee_id: req.user.id,
+        scheduled_by: req.user.id
+      });
       
-      logger.upload(`Caller marked as called by employee ${req.user.email}: ${caller.email}`);
+      logger.info(`Callback scheduled by employee ${req.user.email}: ${caller.email}`);
       
       res.json({
         success: true,
-        message: 'Caller marked as called successfully'
+        message: 'Callback scheduled successfully',
+        callback
       });
     } catch (error) {
-      logger.error('Error marking caller as called:', error);
+      logger.error('Error scheduling callback:', error);
       
-      res.status(500).json({
+      res.status(error instanceof AppError ? error.statusCode : 500).json({
         success: false,
-        message: 'Failed to mark caller as called'
+        message: error instanceof AppError ? error.message : 'Failed to schedule callback'
+      });
+    }
+  }
+
+  // Mark a callback as done
+  async completeCallback(req, res) {
+    try {
+      const callback = await Callback.findById(req.params.id);
+      
+      // Check if callback belongs to this employee
+      if (callback.employee_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only complete your own callbacks'
+        });
+      }
+      
+      await Callback.complete(callback.id);
+      
+      res.json({
+        success: true,
+        message: 'Callback marked as done'
+      });
+    } catch (error) {
+      logger.error('Error completing callback:', error);
+      
+      res.status(error instanceof AppError ? error.statusCode : 500).json({
+        success: false,
+        message: error instanceof AppError ? error.message : 'Failed to complete callback'
       });
     }
   }
@@ -173,10 +449,15 @@ class EmployeeController {
         return res.redirect('/employee/callers');
       }
       
+      const customFields = await CallerField.findAll({ activeOnly: true });
+      
       res.render('employee/callers/edit', {
         title: `Edit Caller: ${caller.name} - Call Manager`,
         user: req.user,
         caller,
+        customFields,
+        timeZones: listTimeZones(),
+        flash: req.flash(),
         path: `/employee/callers/${callerId}/edit`
       });
     } catch (error) {
@@ -190,7 +471,26 @@ class EmployeeController {
   async updateCaller(req, res) {
     try {
       const callerId = req.params.id;
-      const updateData = req.body;
+      
+      // Validate input, custom field values against their definitions
+      const validation = validateData(callerSchemas.update, req.body);
+      if (!validation.success) {
+        req.flash('error', validation.errors[0].message);
+        return res.redirect(`/employee/callers/${callerId}/edit`);
+      }
+
+      const customFields = await CallerField.findAll({ activeOnly: true });
+      const customValidation = validateData(customFieldsSchema(customFields), req.body.custom_fields || {});
+      if (!customValidation.success) {
+        req.flash('error', customValidation.errors[0].message);
+        return res.redirect(`/employee/callers/${callerId}/edit`);
+      }
+
+      const updateData = { ...validation.data, custom_fields: customValidation.data };
+      if (updateData.status !== undefined) {
+        req.flash('error', 'Only admins can change a caller\'s status');
+        return res.redirect(`/employee/callers/${callerId}/edit`);
+      }
       
       // Get caller to check ownership
       const caller = await Caller.findById(callerId);
@@ -205,8 +505,14 @@ class EmployeeController {
         return res.redirect('/employee/callers');
       }
       
+      // An unchanged timezone keeps its source, so a guessed one is still re-guessed on a new phone number
+      if (updateData.timezone === caller.timezone) {
+        delete updateData.timezone;
+      }
+      
       // Update caller
       await Caller.update(callerId, updateData);
+      await rescoreCallers({ callerIds: [caller.id] });
       
       logger.upload(`Caller updated by employee ${req.user.email}: ${caller.email}`);
       req.flash('success', 'Caller updated successfully');
@@ -237,17 +543,18 @@ class EmployeeController {
   // Show employee reports page
   async showReports(req, res) {
     try {
-      // Get callers assigned to this employee
+      // Get callers assigned to this employee, and how many they completed
       const assignedCallers = await Caller.getAssignedToEmployee(req.user.id);
+      const completedCallers = await CallAttempt.countCompletedByEmployee(req.user.id);
       
       // Calculate statistics with safe defaults
+      // The completion rate is out of every caller the employee handled: those still open plus those completed.
+      const handledCallers = (assignedCallers ? assignedCallers.length : 0) + completedCallers;
       const stats = {
         totalAssigned: assignedCallers ? assignedCallers.length : 0,
         activeCallers: assignedCallers ? assignedCallers.filter(c => c.status === 'active').length : 0,
-        completedCallers: assignedCallers ? assignedCallers.filter(c => c.status === 'inactive').length : 0,
-        completionRate: assignedCallers && assignedCallers.length > 0 
-          ? ((assignedCallers.filter(c => c.status === 'inactive').length / assignedCallers.length) * 100).toFixed(2)
-          : 0
+        completedCallers,
+        completionRate: handledCallers > 0 ? ((completedCallers / handledCallers) * 100).toFixed(2) : 0
       };
       
       // Group callers by batch
@@ -281,6 +588,7 @@ class EmployeeController {
     try {
       // Get all callers assigned to this employee
       const assignedCallers = await Caller.getAssignedToEmployee(req.user.id);
+      const customFields = await CallerField.findAll({ activeOnly: true });
       
       // Prepare CSV data
       const csvData = (assignedCallers || []).map(caller => ({
@@ -289,31 +597,33 @@ class EmployeeController {
         email: caller.email || 'N/A',
         phone: caller.phone || 'N/A',
         status: caller.status || 'N/A',
-        assigned_at: caller.assigned_at
+        assigned_at: caller.assigned_at,
+        custom_fields: caller.custom_fields || {}
       }));
       
       // Set response headers for CSV download
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', `attachment; filename="my-callers-${Date.now()}.csv"`);
       
-      // Generate CSV content
-      const headers = ['ID', 'Name', 'Email', 'Phone', 'Status', 'Assigned Date'];
-      const csvContent = [headers.join(',')];
+      // Generate CSV content; custom fields follow the built-in columns
+      const headers = ['ID', 'Name', 'Email', 'Phone', 'Status', 'Assigned Date', ...customFields.map(field => field.label)];
+      let csvContent = formatCSVRow(headers);
       
       // Add data rows
       csvData.forEach(row => {
-        csvContent.push([
+        csvContent += formatCSVRow([
           row.id,
-          `"${row.name}"`,
-          `"${row.email}"`,
-          `"${row.phone}"`,
+          row.name,
+          row.email,
+          row.phone,
           row.status,
-          row.assigned_at ? new Date(row.assigned_at).toISOString() : ''
-        ].join(','));
+          row.assigned_at ? new Date(row.assigned_at).toISOString() : '',
+          ...customFields.map(field => row.custom_fields[field.field_key])
+        ]);
       });
       
       // Send CSV content
-      res.send(csvContent.join('\n'));
+      res.send(csvContent);
       
       logger.upload(`Callers exported by employee ${req.user.email}: ${csvData.length} records`);
     } catch (error) {
@@ -336,12 +646,13 @@ class EmployeeController {
   async addNoteToCaller(req, res) {
     try {
       const callerId = req.params.id;
-      const { note } = req.body;
       
-      if (!note || note.trim().length === 0) {
+      // Validate input
+      const validation = validateData(noteSchemas.create, req.body);
+      if (!validation.success) {
         return res.status(400).json({
           success: false,
-          message: 'Note content is required'
+          message: validation.errors[0].message
         });
       }
       
@@ -362,20 +673,131 @@ class EmployeeController {
         });
       }
       
-      // In a real application, you would save the note to a separate table
-      // For now, we'll just log it
-      logger.upload(`Note added to caller ${caller.email} by employee ${req.user.email}: ${note}`);
+      const note = await Note.create({
+        caller_id: caller.id,
+        author_id: req.user.id,
+        note: validation.data.note
+      });
+      
+      logger.upload(`Note added to caller ${caller.email} by employee ${req.user.email}`);
       
       res.json({
         success: true,
-        message: 'Note added successfully'
+        message: 'Note added successfully',
+        note
       });
     } catch (error) {
       logger.error('Error adding note to caller:', error);
       
-      res.status(500).json({
+      res.status(error instanceof AppError ? error.statusCode : 500).json({
+        success: false,
+        message: error instanceof AppError ? error.message : 'Failed to add note'
+      });
+    }
+  }
+
+  // List notes for a caller
+  async listCallerNotes(req, res) {
+    try {
+      const callerId = req.params.id;
+      
+      // Get caller to check ownership
+      const caller = await Caller.findById(callerId);
+      if (caller.assigned_to !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view notes for callers assigned to you'
+        });
+      }
+      
+      const notes = await Note.findByCaller(callerId);
+      
+      res.json({
+        success: true,
+        notes
+      });
+    } catch (error) {
+      logger.error('Error listing caller notes:', error);
+      
+      res.status(error instanceof AppError ? error.statusCode : 500).json({
         success: false,
-        message: 'Failed to add note'
+        message: error instanceof AppError ? error.message : 'Failed to load notes'
+      });
+    }
+  }
+
+  // Edit a note on a caller
+  async updateCallerNote(req, res) {
+    try {
+      const { id: callerId, noteId } = req.params;
+      
+      // Validate input
+      const validation = validateData(noteSchemas.create, req.body);
+      if (!validation.success) {
+        return res.status(400).json({
+          success: false,
+          message: validation.errors[0].message
+        });
+      }
+      
+      const note = await Note.findById(noteId);
+      if (note.caller_id !== parseInt(callerId)) {
+        throw AppError.notFoundError('Note not found', 'NOTE_NOT_FOUND');
+      }
+      
+      // Only the author may change a note
+      if (note.author_id !== req.user.id) {
+        throw AppError.permissionError('You can only change notes you have written', 'NOTE_EDIT_FORBIDDEN');
+      }
+      
+      const updatedNote = await Note.update(noteId, validation.data.note);
+      
+      logger.upload(`Note ${noteId} updated by employee ${req.user.email}`);
+      
+      res.json({
+        success: true,
+        message: 'Note updated successfully',
+        note: updatedNote
+      });
+    } catch (error) {
+      logger.error('Error updating caller note:', error);
+      
+      res.status(error instanceof AppError ? error.statusCode : 500).json({
+        success: false,
+        message: error instanceof AppError ? error.message : 'Failed to update note'
+      });
+    }
+  }
+
+  // Delete a note on a caller
+  async deleteCallerNote(req, res) {
+    try {
+      const { id: callerId, noteId } = req.params;
+      
+      const note = await Note.findById(noteId);
+      if (note.caller_id !== parseInt(callerId)) {
+        throw AppError.notFoundError('Note not found', 'NOTE_NOT_FOUND');
+      }
+      
+      // Only the author may remove a note
+      if (note.author_id !== req.user.id) {
+        throw AppError.permissionError('You can only change notes you have written', 'NOTE_EDIT_FORBIDDEN');
+      }
+      
+      await Note.delete(noteId);
+      
+      logger.upload(`Note ${noteId} deleted by employee ${req.user.email}`);
+      
+      res.json({
+        success: true,
+        message: 'Note deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting caller note:', error);
+      
+      res.status(error instanceof AppError ? error.statusCode : 500).json({
+        success: false,
+        message: error instanceof AppError ? error.message : 'Failed to delete note'
       });
     }
   }
@@ -397,13 +819,13 @@ class EmployeeController {
         return res.redirect('/employee/callers');
       }
       
-      // In a real application, you would fetch call history from a separate table
-      // For now, we'll just show the caller details
+      const callHistory = await CallAttempt.findByCaller(callerId);
+      
       res.render('employee/callers/history', {
         title: `Call History: ${caller.name} - Call Manager`,
         user: req.user,
         caller,
-        callHistory: [], // Placeholder for actual call history
+        callHistory: callHistory || [],
         path: `/employee/callers/${callerId}/history`
       });
     } catch (error) {
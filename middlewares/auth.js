@@ -2,8 +2,10 @@
 // Handles user authentication, role checking, and session management
 
 import User from '../models/User.js';
+import ApiToken from '../models/ApiToken.js';
 import AppError from '../utils/AppError.js';
 import logger from '../utils/logger.js';
+import config from '../config/index.js';
 
 // Check if user is authenticated
 const requireAuth = (req, res, next) => {
@@ -149,6 +151,60 @@ const requireOwnership = (resourceModel, resourceIdField = 'id') => {
   };
 };
 
+// Authenticate a JSON API request by its personal API token ("Authorization: Bearer <token>")
+// Sets req.user to the token's owner and req.apiToken to the token
+const requireApiToken = async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return next(AppError.authError('An API token is required: send it as "Authorization: Bearer <token>"', 'API_TOKEN_MISSING'));
+    }
+
+    const apiToken = await ApiToken.findActiveByToken(token);
+    if (!apiToken) {
+      logger.auth('API request with an invalid, expired or revoked token:', req.originalUrl);
+      return next(AppError.authError('The API token is invalid, expired or revoked', 'API_TOKEN_INVALID'));
+    }
+
+    await ApiToken.markUsed(apiToken.id);
+
+    req.apiToken = apiToken;
+    req.user = {
+      id: apiToken.user_id,
+      name: apiToken.user_name,
+      email: apiToken.user_email,
+      role_name: apiToken.role_name
+    };
+    next();
+  } catch (error) {
+    logger.error('Error in requireApiToken middleware:', error);
+    next(AppError.authError('API token verification failed'));
+  }
+};
+
+// Check that the API token has a scope, and that its owner's role may still use it
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    const allowedRoles = config.api.scopes[scope].roles;
+    if (!req.apiToken.scopes.includes(scope) || !allowedRoles.includes(req.user.role_name)) {
+      logger.auth(`Scope check failed: token ${req.apiToken.id} of ${req.user.email} lacks scope ${scope}`);
+      return next(AppError.permissionError(`This request needs an API token with the ${scope} scope`, 'API_TOKEN_SCOPE_MISSING'));
+    }
+    next();
+  };
+};
+
+// Check that the API token belongs to a user with one of the roles
+const requireApiRole = (roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role_name)) {
+      logger.auth(`API role check failed: User ${req.user.email} (${req.user.role_name}) lacks required roles: ${roles.join(', ')}`);
+      return next(AppError.permissionError());
+    }
+    next();
+  };
+};
+
 // Rate limiting for authentication routes
 const authRateLimit = {
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -258,6 +314,9 @@ export {
   requireEmployeeOnly,
   loadUser,
   requireOwnership,
+  requireApiToken,
+  requireScope,
+  requireApiRole,
   authRateLimit,
   sessionConfig,
   logout,
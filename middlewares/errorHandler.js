@@ -2,6 +2,7 @@
 // Inspired by wallet-api error handling approach
 
 import logger from '../utils/logger.js';
+import AppError from '../utils/AppError.js';
 
 // Simple error handler middleware
 const errorHandler = (error, req, res, next) => {
@@ -62,6 +63,35 @@ const notFoundHandler = (req, res) => {
   });
 };
 
+// Error handler for the JSON API
+// Always answers with the AppError.getResponse() envelope; unexpected errors become a 500
+const apiErrorHandler = (error, req, res, next) => {
+  let appError = error;
+  if (!(error instanceof AppError)) {
+    // Body parser errors carry their own 4xx status (malformed JSON, too large)
+    appError = error.status && error.status < 500
+      ? new AppError(error.expose ? error.message : 'Invalid request', error.status, 'VALIDATION_FAILED')
+      : new AppError('Something went wrong', 500, 'SERVER_INTERNAL_ERROR');
+  }
+
+  if (appError.statusCode >= 500) {
+    logger.error('API error occurred:', {
+      message: error.message,
+      stack: error.stack,
+      url: req.originalUrl,
+      method: req.method
+    });
+  }
+
+  res.status(appError.statusCode).json(appError.getResponse());
+};
+
+// 404 handler for unmatched JSON API routes
+const apiNotFoundHandler = (req, res, next) => {
+  logger.warn('API route not found:', req.originalUrl);
+  next(AppError.notFoundError(`No API route for ${req.method} ${req.originalUrl}`, 'API_ROUTE_NOT_FOUND'));
+};
+
 // Async error wrapper for route handlers
 const asyncHandler = (fn) => {
   return (req, res, next) => {
@@ -72,5 +102,7 @@ const asyncHandler = (fn) => {
 export {
   errorHandler,
   notFoundHandler,
+  apiErrorHandler,
+  apiNotFoundHandler,
   asyncHandler
 };
@@ -0,0 +1,122 @@
+// ApiToken model for the Call Manager application
+// Handles the personal API tokens users create on their profile page to call the JSON API
+
+import crypto from 'crypto';
+import BaseModel from './BaseModel.js';
+import AppError from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+import config from '../config/index.js';
+
+// Tokens are random, so a plain SHA-256 hash is enough to store them safely
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+class ApiToken extends BaseModel {
+  constructor() {
+    super();
+    this.tableName = 'api_tokens';
+  }
+
+  // Create a token for a user
+  // Returns the token itself along with the stored record; only its hash is kept, so it
+  // cannot be shown again later
+  async create(userId, { name, scopes, expires_in_days = null }) {
+    try {
+      const token = `${config.api.tokenPrefix}${crypto.randomBytes(24).toString('hex')}`;
+      const tokenPrefix = token.slice(0, config.api.tokenPrefix.length + 6);
+
+      const sql = `
+        INSERT INTO ${this.tableName} (user_id, name, token_hash, token_prefix, scopes, expires_at)
+        VALUES (?, ?, ?, ?, ?, IF(? IS NULL, NULL, DATE_ADD(NOW(), INTERVAL ? DAY)))
+      `;
+
+      const result = await this.query(sql, [
+        userId, name, hashToken(token), tokenPrefix, JSON.stringify(scopes), expires_in_days, expires_in_days
+      ]);
+      logger.auth(`API token ${result.insertId} created for user ${userId}: ${name}`);
+
+      return { id: result.insertId, name, token, token_prefix: tokenPrefix, scopes };
+    } catch (error) {
+      logger.error('Error creating API token:', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get a user's tokens, newest first; revoked ones are kept for reference
+  async findByUser(userId) {
+    try {
+      const sql = `
+        SELECT id, name, token_prefix, scopes, expires_at, last_used_at, revoked_at, created_at,
+               revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW()) as is_active
+        FROM ${this.tableName}
+        WHERE user_id = ?
+        ORDER BY created_at DESC, id DESC
+      `;
+
+      return await this.query(sql, [userId]);
+    } catch (error) {
+      logger.error('Error getting API tokens for user:', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Find the active token matching a token string, with the user it belongs to
+  // Returns null for unknown, revoked and expired tokens
+  async findActiveByToken(token) {
+    try {
+      const sql = `
+        SELECT t.id, t.user_id, t.name, t.scopes, t.expires_at,
+               u.name as user_name, u.email as user_email, r.name as role_name
+        FROM ${this.tableName} t
+        JOIN users u ON t.user_id = u.id
+        JOIN roles r ON u.role_id = r.id
+        WHERE t.token_hash = ?
+          AND t.revoked_at IS NULL
+          AND (t.expires_at IS NULL OR t.expires_at > NOW())
+      `;
+
+      const result = await this.query(sql, [hashToken(token)]);
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      logger.error('Error finding API token:', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Record that a token was just used
+  async markUsed(id) {
+    try {
+      await this.query(`UPDATE ${this.tableName} SET last_used_at = NOW() WHERE id = ?`, [id]);
+    } catch (error) {
+      logger.error('Error marking API token as used:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Revoke one of a user's tokens; it stops working straight away
+  async revoke(id, userId) {
+    try {
+      const sql = `
+        UPDATE ${this.tableName}
+        SET revoked_at = NOW()
+        WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+      `;
+
+      const result = await this.query(sql, [id, userId]);
+      if (result.affectedRows === 0) {
+        throw AppError.notFoundError('API token not found', 'API_TOKEN_NOT_FOUND');
+      }
+
+      logger.auth(`API token ${id} revoked by user ${userId}`);
+      return true;
+    } catch (error) {
+      logger.error('Error revoking API token:', { id, userId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+// Create and export an instance
+const apiTokenModel = new ApiToken();
+export default apiTokenModel;
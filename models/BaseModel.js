@@ -63,8 +63,30 @@ class BaseModel {
     }
   }
 
+  // Execute a COUNT(*) AS count query and return the number
+  async queryCount(sql, params = []) {
+    const rows = await this.query(sql, params);
+    return rows && rows.length > 0 ? Number(rows[0].count) : 0;
+  }
+
   // Execute multiple queries in a transaction
   async transaction(queries) {
+    const results = await this.withTransaction(async (execute) => {
+      const rows = [];
+      for (const { sql, params } of queries) {
+        rows.push(await execute(sql, params));
+      }
+      return rows;
+    });
+
+    logger.debug('Transaction completed successfully', { queryCount: queries.length });
+    return results;
+  }
+
+  // Run work(execute) on one connection inside a transaction
+  // Lets callers read rows (e.g. SELECT ... FOR UPDATE) and decide what to write;
+  // throwing from work rolls everything back
+  async withTransaction(work) {
     let connection;
     try {
       if (!this.pool) {
@@ -74,17 +96,17 @@ class BaseModel {
       connection = await this.pool.getConnection();
       await connection.beginTransaction();
 
-      const results = [];
-      for (const { sql, params } of queries) {
+      const execute = async (sql, params = []) => {
         const [rows] = await connection.execute(sql, params);
-        results.push(rows);
-      }
+        return rows;
+      };
+
+      const result = await work(execute);
 
       await connection.commit();
       connection.release();
 
-      logger.debug('Transaction completed successfully', { queryCount: queries.length });
-      return results;
+      return result;
     } catch (error) {
       if (connection) {
         try {
@@ -95,7 +117,7 @@ class BaseModel {
         }
       }
 
-      logger.error('Transaction failed:', { error: error.message, queries: queries.length });
+      logger.error('Transaction failed:', { error: error.message });
       throw error;
     }
   }
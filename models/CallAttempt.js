@@ -0,0 +1,120 @@
+// CallAttempt model for the Call Manager application
+// Records every call an employee makes to a caller and its outcome
+
+import BaseModel from './BaseModel.js';
+import logger from '../utils/logger.js';
+
+class CallAttempt extends BaseModel {
+  constructor() {
+    super();
+    this.tableName = 'call_attempts';
+  }
+
+  // Record a call attempt
+  // Inside a transaction, pass its execute so the attempt commits with the rest
+  async create(attemptData, execute = (sql, params) => this.query(sql, params)) {
+    try {
+      const {
+        caller_id,
+        employee_id,
+        outcome,
+        disposition_id = null,
+        summary = null,
+        started_at = null,
+        ended_at = null,
+        script_id = null,
+        script_answers = null
+      } = attemptData;
+
+      // Work out the duration from the call times when it is not given
+      let duration_seconds = attemptData.duration_seconds ?? null;
+      if (duration_seconds === null && started_at && ended_at) {
+        duration_seconds = Math.round((new Date(ended_at) - new Date(started_at)) / 1000);
+      }
+
+      const sql = `
+        INSERT INTO ${this.tableName}
+          (caller_id, employee_id, started_at, ended_at, duration_seconds, outcome, disposition_id, summary,
+           script_id, script_answers)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      // Answers are only kept when the script's questions were answered
+      const answers = script_answers && Object.keys(script_answers).length > 0 ? script_answers : null;
+      const params = [
+        caller_id, employee_id, started_at, ended_at, duration_seconds, outcome, disposition_id, summary || null,
+        script_id, answers ? JSON.stringify(answers) : null
+      ];
+
+      const result = await execute(sql, params);
+      logger.upload(`Call attempt recorded for caller ${caller_id} by employee ${employee_id}: ${outcome}`);
+
+      return {
+        id: result.insertId,
+        caller_id,
+        employee_id,
+        started_at,
+        ended_at,
+        duration_seconds,
+        outcome,
+        disposition_id,
+        summary,
+        script_id,
+        script_answers: answers,
+        created_at: new Date()
+      };
+    } catch (error) {
+      logger.error('Error recording call attempt:', { caller_id: attemptData.caller_id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get call history for a caller, newest first
+  async findByCaller(callerId) {
+    try {
+      const sql = `
+        SELECT a.id, a.caller_id, a.employee_id, a.started_at, a.ended_at,
+               a.duration_seconds, a.outcome, a.disposition_id, a.summary, a.created_at,
+               a.script_id, a.script_answers,
+               u.name as employee_name,
+               d.label as disposition_label, d.is_final as disposition_is_final,
+               s.name as script_name, s.questions as script_questions
+        FROM ${this.tableName} a
+        LEFT JOIN users u ON a.employee_id = u.id
+        LEFT JOIN dispositions d ON a.disposition_id = d.id
+        LEFT JOIN call_scripts s ON a.script_id = s.id
+        WHERE a.caller_id = ?
+        ORDER BY COALESCE(a.started_at, a.created_at) DESC, a.id DESC
+      `;
+
+      return await this.query(sql, [callerId]);
+    } catch (error) {
+      logger.error('Error getting call history for caller:', { callerId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Count the callers an employee completed: closed by a final disposition on a call they made
+  // Completed callers are released, so they no longer show among the employee's assigned callers.
+  async countCompletedByEmployee(employeeId) {
+    try {
+      const sql = `
+        SELECT COUNT(DISTINCT a.caller_id) as completed
+        FROM ${this.tableName} a
+        JOIN dispositions d ON a.disposition_id = d.id AND d.is_final = 1
+        JOIN callers c ON a.caller_id = c.id AND c.status = 'completed'
+        WHERE a.employee_id = ?
+      `;
+
+      const [row] = await this.query(sql, [employeeId]);
+      return Number(row.completed);
+    } catch (error) {
+      logger.error('Error counting callers completed by employee:', { employeeId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+// Create and export an instance
+const callAttemptModel = new CallAttempt();
+export default callAttemptModel;
@@ -0,0 +1,198 @@
+// CallScript model for the Call Manager application
+// Handles the call scripts shown to employees, used by campaigns and upload batches
+
+import BaseModel from './BaseModel.js';
+import AppError from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+
+const scriptColumns = 's.id, s.name, s.body, s.questions, s.is_active, s.created_by, s.created_at, s.updated_at';
+
+class CallScript extends BaseModel {
+  constructor() {
+    super();
+    this.tableName = 'call_scripts';
+  }
+
+  // Create a new call script
+  async create(scriptData, createdBy) {
+    try {
+      const { name, body, questions = [], is_active = true } = scriptData;
+
+      const sql = `
+        INSERT INTO ${this.tableName} (name, body, questions, is_active, created_by)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      const result = await this.query(sql, [name, body, JSON.stringify(questions), is_active, createdBy]);
+      logger.info(`Call script created successfully: ${name}`);
+
+      return await this.findById(result.insertId);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw AppError.conflictError('A call script with this name already exists', 'CALL_SCRIPT_NAME_EXISTS');
+      }
+      logger.error('Error creating call script:', { name: scriptData.name, error: error.message });
+      throw error;
+    }
+  }
+
+  // Find call script by ID, with the batches that use it
+  async findById(id) {
+    try {
+      const sql = `
+        SELECT ${scriptColumns}
+        FROM ${this.tableName} s
+        WHERE s.id = ?
+      `;
+
+      const result = await this.query(sql, [id]);
+      if (!result || result.length === 0) {
+        throw AppError.notFoundError('Call script not found', 'CALL_SCRIPT_NOT_FOUND');
+      }
+
+      const batches = await this.query(
+        'SELECT batch_id FROM call_script_batches WHERE script_id = ? ORDER BY batch_id ASC',
+        [id]
+      );
+
+      return {
+        ...result[0],
+        questions: result[0].questions || [],
+        batch_ids: batches.map(row => row.batch_id)
+      };
+    } catch (error) {
+      logger.error('Error finding call script by ID:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get all call scripts with how many campaigns and batches use them, optionally only the active ones
+  async findAll(options = {}) {
+    try {
+      const { activeOnly = false } = options;
+
+      const sql = `
+        SELECT ${scriptColumns},
+               (SELECT COUNT(*) FROM campaigns cp WHERE cp.script_id = s.id) as campaign_count,
+               (SELECT COUNT(*) FROM call_script_batches b WHERE b.script_id = s.id) as batch_count
+        FROM ${this.tableName} s
+        ${activeOnly ? 'WHERE s.is_active = TRUE' : ''}
+        ORDER BY s.name ASC
+      `;
+
+      return await this.query(sql);
+    } catch (error) {
+      logger.error('Error finding all call scripts:', { options, error: error.message });
+      throw error;
+    }
+  }
+
+  // Update a call script
+  async update(id, updateData) {
+    try {
+      const { name, body, questions = [], is_active } = updateData;
+
+      const sql = `
+        UPDATE ${this.tableName}
+        SET name = ?, body = ?, questions = ?, is_active = ?, updated_at = NOW()
+        WHERE id = ?
+      `;
+
+      const result = await this.query(sql, [name, body, JSON.stringify(questions), is_active, id]);
+      if (result.affectedRows === 0) {
+        throw AppError.notFoundError('Call script not found', 'CALL_SCRIPT_NOT_FOUND');
+      }
+
+      logger.info(`Call script updated successfully: ID ${id}`);
+      return await this.findById(id);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw AppError.conflictError('A call script with this name already exists', 'CALL_SCRIPT_NAME_EXISTS');
+      }
+      logger.error('Error updating call script:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Use a script for the callers of an upload batch, replacing the batch's previous script
+  async attachBatch(id, batchId) {
+    try {
+      await this.findById(id);
+
+      await this.query(
+        `
+          INSERT INTO call_script_batches (batch_id, script_id)
+          VALUES (?, ?)
+          ON DUPLICATE KEY UPDATE script_id = VALUES(script_id)
+        `,
+        [batchId, id]
+      );
+
+      logger.info(`Call script ${id} attached to batch ${batchId}`);
+      return true;
+    } catch (error) {
+      logger.error('Error attaching call script to batch:', { id, batchId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Stop using a script for an upload batch
+  async detachBatch(id, batchId) {
+    try {
+      const result = await this.query(
+        'DELETE FROM call_script_batches WHERE script_id = ? AND batch_id = ?',
+        [id, batchId]
+      );
+
+      logger.info(`Call script ${id} detached from batch ${batchId}`);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error detaching call script from batch:', { id, batchId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get the active script for a caller: the script of its upload batch first, then its campaign's
+  async findForCaller(caller) {
+    try {
+      if (caller.batch_id) {
+        const result = await this.query(
+          `
+            SELECT ${scriptColumns}
+            FROM ${this.tableName} s
+            JOIN call_script_batches b ON b.script_id = s.id
+            WHERE b.batch_id = ? AND s.is_active = TRUE
+          `,
+          [caller.batch_id]
+        );
+        if (result.length > 0) {
+          return { ...result[0], questions: result[0].questions || [] };
+        }
+      }
+
+      if (caller.campaign_id) {
+        const result = await this.query(
+          `
+            SELECT ${scriptColumns}
+            FROM ${this.tableName} s
+            JOIN campaigns cp ON cp.script_id = s.id
+            WHERE cp.id = ? AND s.is_active = TRUE
+          `,
+          [caller.campaign_id]
+        );
+        if (result.length > 0) {
+          return { ...result[0], questions: result[0].questions || [] };
+        }
+      }
+
+      return null;
+    } catch (error) {
+      logger.error('Error finding call script for caller:', { callerId: caller.id, error: error.message });
+      throw error;
+    }
+  }
+}
+
+// Create and export an instance
+const callScriptModel = new CallScript();
+export default callScriptModel;
@@ -0,0 +1,210 @@
+// Callback model for the Call Manager application
+// Handles callbacks scheduled by employees and the due/overdue callback queues
+
+import BaseModel from './BaseModel.js';
+import Caller from './Caller.js';
+import AppError from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+
+class Callback extends BaseModel {
+  constructor() {
+    super();
+    this.tableName = 'callbacks';
+  }
+
+  // Schedule a new callback
+  async create(callbackData) {
+    try {
+      const { caller_id, employee_id, scheduled_by, due_at, timezone, reason = null } = callbackData;
+
+      const sql = `
+        INSERT INTO ${this.tableName} (caller_id, employee_id, scheduled_by, due_at, timezone, reason)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      const result = await this.query(sql, [caller_id, employee_id, scheduled_by, due_at, timezone, reason || null]);
+      logger.info(`Callback scheduled for caller ${caller_id} at ${due_at.toISOString()} (${timezone})`);
+
+      return await this.findById(result.insertId);
+    } catch (error) {
+      logger.error('Error scheduling callback:', { caller_id: callbackData.caller_id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Find callback by ID
+  async findById(id) {
+    try {
+      const sql = `
+        SELECT cb.id, cb.caller_id, cb.employee_id, cb.scheduled_by, cb.due_at, cb.timezone,
+               cb.reason, cb.status, cb.completed_at, cb.created_at,
+               (cb.status = 'pending' AND cb.due_at < NOW()) as is_overdue,
+               c.name as caller_name, c.phone as caller_phone, c.assigned_to as caller_assigned_to,
+               u.name as employee_name
+        FROM ${this.tableName} cb
+        JOIN callers c ON cb.caller_id = c.id
+        JOIN users u ON cb.employee_id = u.id
+        WHERE cb.id = ?
+      `;
+
+      const result = await this.query(sql, [id]);
+      if (!result || result.length === 0) {
+        throw AppError.notFoundError('Callback not found', 'CALLBACK_NOT_FOUND');
+      }
+      return result[0];
+    } catch (error) {
+      logger.error('Error finding callback by ID:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get pending callbacks for an employee, soonest first
+  async getPendingForEmployee(employeeId) {
+    try {
+      const sql = `
+        SELECT cb.id, cb.caller_id, cb.due_at, cb.timezone, cb.reason, cb.status,
+               (cb.due_at < NOW()) as is_overdue,
+               c.name as caller_name, c.phone as caller_phone
+        FROM ${this.tableName} cb
+        JOIN callers c ON cb.caller_id = c.id
+        WHERE cb.employee_id = ? AND cb.status = 'pending'
+        ORDER BY cb.due_at ASC
+      `;
+
+      return await this.query(sql, [employeeId]);
+    } catch (error) {
+      logger.error('Error getting pending callbacks for employee:', { employeeId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get pending callbacks for a caller
+  async getPendingForCaller(callerId) {
+    try {
+      const sql = `
+        SELECT cb.id, cb.caller_id, cb.employee_id, cb.due_at, cb.timezone, cb.reason, cb.status,
+               (cb.due_at < NOW()) as is_overdue
+        FROM ${this.tableName} cb
+        WHERE cb.caller_id = ? AND cb.status = 'pending'
+        ORDER BY cb.due_at ASC
+      `;
+
+      return await this.query(sql, [callerId]);
+    } catch (error) {
+      logger.error('Error getting pending callbacks for caller:', { callerId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get overdue callbacks across all employees, oldest first
+  async getOverdue() {
+    try {
+      const sql = `
+        SELECT cb.id, cb.caller_id, cb.employee_id, cb.due_at, cb.timezone, cb.reason,
+               c.name as caller_name, c.phone as caller_phone,
+               u.name as employee_name
+        FROM ${this.tableName} cb
+        JOIN callers c ON cb.caller_id = c.id
+        JOIN users u ON cb.employee_id = u.id
+        WHERE cb.status = 'pending' AND cb.due_at < NOW()
+        ORDER BY cb.due_at ASC
+      `;
+
+      return await this.query(sql);
+    } catch (error) {
+      logger.error('Error getting overdue callbacks:', error);
+      throw error;
+    }
+  }
+
+  // Mark a pending callback as completed
+  async complete(id) {
+    try {
+      const sql = `
+        UPDATE ${this.tableName}
+        SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+        WHERE id = ? AND status = 'pending'
+      `;
+
+      const result = await this.query(sql, [id]);
+
+      if (result.affectedRows === 0) {
+        throw AppError.conflictError('This callback has already been completed or cancelled', 'CALLBACK_NOT_PENDING');
+      }
+
+      logger.info(`Callback completed: ID ${id}`);
+      return true;
+    } catch (error) {
+      logger.error('Error completing callback:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Complete the pending callbacks for a caller that are already due
+  // execute, when given, runs it inside a transaction another model opened
+  async completeDueForCaller(callerId, execute = (sql, params) => this.query(sql, params)) {
+    try {
+      const sql = `
+        UPDATE ${this.tableName}
+        SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+        WHERE caller_id = ? AND status = 'pending' AND due_at <= NOW()
+      `;
+
+      const result = await execute(sql, [callerId]);
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error completing due callbacks for caller:', { callerId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Cancel every pending callback for a caller (e.g. when the caller is closed)
+  // Takes the same optional execute as completeDueForCaller
+  async cancelPendingForCaller(callerId, execute = (sql, params) => this.query(sql, params)) {
+    try {
+      const sql = `
+        UPDATE ${this.tableName}
+        SET status = 'cancelled', updated_at = NOW()
+        WHERE caller_id = ? AND status = 'pending'
+      `;
+
+      const result = await execute(sql, [callerId]);
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error cancelling callbacks for caller:', { callerId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Move a pending callback, and the caller it belongs to, to another employee
+  // The caller is moved by Caller.reassignToEmployee, which locks it, takes all of its pending
+  // callbacks along and refuses callers on the do-not-call list
+  async reassign(id, employeeId, assignedBy) {
+    try {
+      const callback = await this.findById(id);
+      if (callback.status !== 'pending') {
+        throw AppError.conflictError('This callback has already been completed or cancelled', 'CALLBACK_NOT_PENDING');
+      }
+
+      if (callback.caller_assigned_to === employeeId) {
+        // The caller is already theirs; only this callback was left with someone else
+        await this.query(
+          `UPDATE ${this.tableName} SET employee_id = ?, updated_at = NOW() WHERE id = ? AND status = 'pending'`,
+          [employeeId, id]
+        );
+      } else {
+        await Caller.reassignToEmployee(callback.caller_id, employeeId, assignedBy);
+      }
+
+      logger.info(`Callback ${id} reassigned from employee ${callback.employee_id} to ${employeeId}`);
+      return await this.findById(id);
+    } catch (error) {
+      logger.error('Error reassigning callback:', { id, employeeId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+// Create and export an instance
+const callbackModel = new Callback();
+export default callbackModel;
@@ -4,6 +4,150 @@
 import BaseModel from './BaseModel.js';
 import AppError from '../utils/AppError.js';
 import logger from '../utils/logger.js';
+import config from '../config/index.js';
+import { toE164, normalizeEmail } from '../utils/normalize.js';
+import { inferTimeZoneFromPhone } from '../utils/timezone.js';
+
+// Placeholders for the statuses that keep a caller in an employee's queue
+const openStatusPlaceholders = config.calls.openStatuses.map(() => '?').join(', ');
+
+// Whether caller c's phone or email is on the do-not-call list (stored normalised, see models/DoNotCall.js)
+const onDoNotCallSql = `EXISTS (
+  SELECT 1 FROM do_not_call dnc
+  WHERE (dnc.contact_type = 'phone' AND dnc.contact = c.phone_e164)
+     OR (dnc.contact_type = 'email' AND dnc.contact = LOWER(c.email))
+)`;
+
+// Callers whose campaign is paused are kept out of employee queues and auto-assignment
+const campaignNotPausedSql = 'NOT EXISTS (SELECT 1 FROM campaigns pc WHERE pc.id = c.campaign_id AND pc.status = \'paused\')';
+
+// Custom field keys as defined in caller_fields; checked before a key is used in a JSON path
+const customFieldKeyPattern = /^[a-z][a-z0-9_]*$/;
+
+// Columns the caller list can be sorted by; anything else falls back to created_at
+const sortableColumns = ['created_at', 'name', 'email', 'status', 'assigned_at', 'priority', 'lead_score'];
+
+// Higher priority first, then the better lead score
+const priorityOrderSql = 'c.priority DESC, c.lead_score DESC';
+
+// Timezone and its source for a new caller: the one given, else a guess from the phone number
+function callerTimeZone(timezone, phone, source) {
+  if (timezone) {
+    return { timezone, timezone_source: source };
+  }
+  const inferred = inferTimeZoneFromPhone(phone);
+  return { timezone: inferred, timezone_source: inferred ? 'phone' : null };
+}
+
+// Serialise custom field values for storage, leaving out blank (null) values
+function customFieldsJson(customFields) {
+  const values = Object.entries(customFields || {}).filter(([, value]) => value !== null && value !== undefined);
+  return values.length > 0 ? JSON.stringify(Object.fromEntries(values)) : null;
+}
+
+// Build the WHERE clause shared by the caller list and the caller export
+// Filters: search (name, email or phone), status, assigned_to (employee ID, 'assigned' or
+// 'unassigned'), batch_id, campaign_id, custom_fields ({ field_key: value }) and
+// hide_paused_campaigns, which leaves out callers whose campaign is paused
+function buildFilterClause({
+  search = '', status = null, assigned_to = null, batch_id = null, campaign_id = null,
+  custom_fields = {}, hide_paused_campaigns = false
+}) {
+  let whereClause = '';
+  let params = [];
+
+  // Build search conditions
+  if (search) {
+    // The phone is searched as entered and, for a whole number in any format, in E.164
+    whereClause = 'WHERE (c.name LIKE ? OR c.email LIKE ? OR c.phone LIKE ? OR c.phone_e164 = ?)';
+    params = [`%${search}%`, `%${search}%`, `%${search}%`, toE164(search)];
+  }
+
+  // Add status filter
+  if (status) {
+    if (whereClause) {
+      whereClause += ' AND c.status = ?';
+    } else {
+      whereClause = 'WHERE c.status = ?';
+    }
+    params.push(status);
+  }
+
+  // Add assignment filter
+  if (assigned_to !== null) {
+    if (assigned_to === 'unassigned') {
+      if (whereClause) {
+        whereClause += ' AND c.assigned_to IS NULL';
+      } else {
+        whereClause = 'WHERE c.assigned_to IS NULL';
+      }
+    } else if (assigned_to === 'assigned') {
+      if (whereClause) {
+        whereClause += ' AND c.assigned_to IS NOT NULL';
+      } else {
+        whereClause = 'WHERE c.assigned_to IS NOT NULL';
+      }
+    } else {
+      if (whereClause) {
+        whereClause += ' AND c.assigned_to = ?';
+      } else {
+        whereClause = 'WHERE c.assigned_to = ?';
+      }
+      params.push(assigned_to);
+    }
+  }
+
+  // Add batch filter
+  if (batch_id) {
+    if (whereClause) {
+      whereClause += ' AND c.batch_id = ?';
+    } else {
+      whereClause = 'WHERE c.batch_id = ?';
+    }
+    params.push(batch_id);
+  }
+
+  // Add campaign filter
+  if (campaign_id) {
+    whereClause += `${whereClause ? ' AND' : 'WHERE'} c.campaign_id = ?`;
+    params.push(campaign_id);
+  }
+
+  if (hide_paused_campaigns) {
+    whereClause += `${whereClause ? ' AND' : 'WHERE'} ${campaignNotPausedSql}`;
+  }
+
+  // Add custom field filters ({ field_key: value }), matched against the stored value as text
+  for (const [key, value] of Object.entries(custom_fields)) {
+    if (!customFieldKeyPattern.test(key)) {
+      throw AppError.validationError(`Invalid custom field: ${key}`);
+    }
+    whereClause += `${whereClause ? ' AND' : 'WHERE'} JSON_UNQUOTE(JSON_EXTRACT(c.custom_fields, ?)) = ?`;
+    params.push(`$.${key}`, String(value));
+  }
+
+  return { whereClause, params };
+}
+
+// SQL selecting each column a caller export can include (keys of config.callerExport.columns)
+const exportColumnSql = {
+  id: 'c.id',
+  name: 'c.name',
+  email: 'c.email',
+  phone: 'c.phone',
+  status: 'c.status',
+  batch_id: 'c.batch_id',
+  assigned_employee: 'u.name',
+  assigned_at: 'c.assigned_at',
+  campaign: 'cp.name',
+  priority: 'c.priority',
+  lead_score: 'c.lead_score',
+  timezone: 'c.timezone',
+  last_disposition: 'd.label',
+  notes_count: '(SELECT COUNT(*) FROM caller_notes n WHERE n.caller_id = c.id)',
+  duplicate_of: 'c.duplicate_of',
+  created_at: 'c.created_at'
+};
 
 class Caller extends BaseModel {
   constructor() {
@@ -14,16 +158,37 @@ class Caller extends BaseModel {
   // Create a new caller
   async create(callerData) {
     try {
-      const { name, email, phone, batch_id = null } = callerData;
+      const { name, email, phone, batch_id = null, campaign_id = null, priority = 0, timezone = null, custom_fields = {} } = callerData;
+
+      // People on the do-not-call list are never added as callers
+      const listed = await this.query(
+        `
+          SELECT 1 FROM do_not_call
+          WHERE (contact_type = 'phone' AND contact = ?) OR (contact_type = 'email' AND contact = ?)
+          LIMIT 1
+        `,
+        [toE164(phone), normalizeEmail(email)]
+      );
+      if (listed.length > 0) {
+        throw AppError.conflictError('This phone number or email is on the do-not-call list', 'CALLER_ON_DNC');
+      }
 
+      const zone = callerTimeZone(timezone, phone, 'manual');
       const sql = `
-        INSERT INTO ${this.tableName} (name, email, phone, batch_id)
-        VALUES (?, ?, ?, ?)
+        INSERT INTO ${this.tableName}
+          (name, email, phone, phone_e164, batch_id, campaign_id, priority, timezone, timezone_source, custom_fields)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
       
-      const params = [name, email, phone, batch_id];
+      const params = [
+        name, email, phone, toE164(phone), batch_id, campaign_id, priority,
+        zone.timezone, zone.timezone_source, customFieldsJson(custom_fields)
+      ];
       
-      const result = await this.query(sql, params);
+      const result = await this.withTransaction(async (execute) => {
+        await this.assertContactAvailable(execute, { email, phone });
+        return await execute(sql, params);
+      });
       logger.upload(`Caller created successfully: ${email}`);
       
       return {
@@ -31,46 +196,155 @@ class Caller extends BaseModel {
         name,
         email,
         phone,
+        phone_e164: toE164(phone),
         batch_id,
+        campaign_id,
+        priority,
+        lead_score: 0,
+        ...zone,
+        custom_fields,
         status: 'active',
         created_at: new Date()
       };
     } catch (error) {
-      if (error.code === 'ER_DUP_ENTRY') {
-        if (error.message.includes('email')) {
-          throw AppError.conflictError('A caller with this email already exists', 'CALLER_EMAIL_EXISTS');
-        } else if (error.message.includes('phone')) {
-          throw AppError.conflictError('A caller with this phone number already exists', 'CALLER_PHONE_EXISTS');
-        }
-      }
+      logger.error('Error creating caller:', { email: callerData.email, error: error.message });
       throw error;
     }
   }
 
+  // Refuse an email or phone number another caller already has
+  // Run inside a transaction: FOR UPDATE locks the matching index ranges, so a concurrent create or
+  // edit with the same contact waits for this one instead of slipping past the check.
+  // Flagged duplicates (duplicate_of) share their original's contacts on purpose and are not counted.
+  async assertContactAvailable(execute, { email, phone }, excludeId = null) {
+    const phoneE164 = phone !== undefined ? toE164(phone) : null;
+    const checks = [
+      ['email', email !== undefined ? normalizeEmail(email) : null, 'A caller with this email already exists', 'CALLER_EMAIL_EXISTS'],
+      ['phone_e164', phoneE164, 'A caller with this phone number already exists', 'CALLER_PHONE_EXISTS']
+    ];
+
+    for (const [column, value, message, code] of checks) {
+      if (!value) {
+        continue;
+      }
+
+      const rows = await execute(
+        `SELECT id, duplicate_of FROM ${this.tableName} WHERE ${column} = ? FOR UPDATE`,
+        [value]
+      );
+      if (rows.some(row => row.id !== Number(excludeId) && row.duplicate_of === null)) {
+        throw AppError.conflictError(message, code);
+      }
+    }
+  }
+
   // Create multiple callers in a batch
-  async createBatch(callers, batch_id) {
+  // Rows keep their own batch_id when they have one; the rest get batch_id.
+  // A caller with duplicate_of is stored as a flagged duplicate of that caller.
+  // updates ([{ id, data: { name, email, phone, timezone, custom_fields } }]) overwrite existing callers in
+  // the same transaction; custom field values are merged into the caller's, a null value clears one.
+  // Rows without a timezone get one guessed from the phone number; updates without one keep theirs.
+  // When importInfo ({ file_name, uploaded_by, total_rows, invalid_rows, duplicate_rows, dnc_rows })
+  // is given, the upload is recorded in import_batches in the same transaction;
+  // importInfo { id } links the callers to an import batch that already exists.
+  // Given execute, the writes join that transaction instead of opening their own.
+  async createBatch(callers, batch_id, importInfo = null, updates = [], execute = null) {
     try {
-      if (!Array.isArray(callers) || callers.length === 0) {
+      if (!Array.isArray(callers) || callers.length + updates.length === 0) {
         throw AppError.validationError('No callers provided for batch creation');
       }
 
-      const queries = callers.map(caller => ({
-        sql: `
-          INSERT INTO ${this.tableName} (name, email, phone, batch_id)
-          VALUES (?, ?, ?, ?)
-        `,
-        params: [caller.name, caller.email, caller.phone, batch_id]
-      }));
+      const transact = execute ? work => work(execute) : work => this.withTransaction(work);
+      const { importBatchId, results } = await transact(async (execute) => {
+        let importBatchId = importInfo?.id || null;
 
-      const results = await this.transaction(queries);
-      logger.upload(`Batch created successfully: ${callers.length} callers in batch ${batch_id}`);
+        // Background jobs import a file in chunks into one import batch created up front
+        if (importInfo && !importInfo.id) {
+          const importResult = await execute(
+            `
+              INSERT INTO import_batches
+                (batch_id, file_name, uploaded_by, total_rows, imported_rows, invalid_rows, duplicate_rows, updated_rows, dnc_rows)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `,
+            [
+              batch_id,
+              importInfo.file_name,
+              importInfo.uploaded_by,
+              importInfo.total_rows || callers.length,
+              callers.length,
+              importInfo.invalid_rows || 0,
+              importInfo.duplicate_rows || 0,
+              updates.length,
+              importInfo.dnc_rows || 0
+            ]
+          );
+          importBatchId = importResult.insertId;
+        }
+
+        const results = [];
+        for (const caller of callers) {
+          const zone = callerTimeZone(caller.timezone, caller.phone, 'import');
+          results.push(await execute(
+            `
+              INSERT INTO ${this.tableName}
+                (name, email, phone, phone_e164, batch_id, import_batch_id, duplicate_of, timezone, timezone_source, custom_fields)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `,
+            [
+              caller.name,
+              caller.email,
+              caller.phone,
+              toE164(caller.phone),
+              caller.batch_id || batch_id,
+              importBatchId,
+              caller.duplicate_of || null,
+              zone.timezone,
+              zone.timezone_source,
+              customFieldsJson(caller.custom_fields)
+            ]
+          ));
+        }
+
+        for (const { id, data } of updates) {
+          await execute(
+            `
+              UPDATE ${this.tableName}
+              SET name = ?, email = ?, phone = ?, phone_e164 = ?,
+                  timezone = COALESCE(?, timezone),
+                  timezone_source = IF(? IS NULL, timezone_source, 'import'),
+                  custom_fields = JSON_MERGE_PATCH(COALESCE(custom_fields, JSON_OBJECT()), ?),
+                  updated_at = NOW()
+              WHERE id = ?
+            `,
+            [
+              data.name,
+              data.email,
+              data.phone,
+              toE164(data.phone),
+              data.timezone || null,
+              data.timezone || null,
+              JSON.stringify(data.custom_fields || {}),
+              id
+            ]
+          );
+        }
+
+        return { importBatchId, results };
+      });
+
+      logger.upload(`Batch created successfully: ${callers.length} callers in batch ${batch_id}, ${updates.length} existing callers updated`);
       
       return results.map((result, index) => ({
         id: result.insertId,
         name: callers[index].name,
         email: callers[index].email,
         phone: callers[index].phone,
-        batch_id,
+        phone_e164: toE164(callers[index].phone),
+        batch_id: callers[index].batch_id || batch_id,
+        import_batch_id: importBatchId,
+        duplicate_of: callers[index].duplicate_of || null,
+        ...callerTimeZone(callers[index].timezone, callers[index].phone, 'import'),
+        custom_fields: callers[index].custom_fields || {},
         status: 'active',
         created_at: new Date()
       }));
@@ -84,17 +358,26 @@ class Caller extends BaseModel {
   async findById(id) {
     try {
       const sql = `
-        SELECT c.id, c.name, c.email, c.phone, c.assigned_to, c.assigned_at, 
-               c.created_at, c.updated_at, c.status, c.batch_id,
-               u.name as assigned_employee_name
+        SELECT c.id, c.name, c.email, c.phone, c.phone_e164, c.assigned_to, c.assigned_at, 
+               c.created_at, c.updated_at, c.status, c.batch_id, c.last_disposition_id, c.duplicate_of,
+               c.custom_fields, c.campaign_id, c.priority, c.lead_score, c.score_updated_at,
+               c.locked_by, c.locked_until, c.timezone, c.timezone_source, ${onDoNotCallSql} as on_dnc,
+               c.consent_status, c.consent_updated_at,
+               u.name as assigned_employee_name,
+               d.label as last_disposition_label,
+               cp.name as campaign_name, cp.status as campaign_status,
+               cu.name as consent_updated_by_name
         FROM ${this.tableName} c
         LEFT JOIN users u ON c.assigned_to = u.id
+        LEFT JOIN dispositions d ON c.last_disposition_id = d.id
+        LEFT JOIN campaigns cp ON c.campaign_id = cp.id
+        LEFT JOIN users cu ON c.consent_updated_by = cu.id
         WHERE c.id = ?
       `;
       
       const result = await this.query(sql, [id]);
       if (!result || result.length === 0) {
-        throw AppError.notFoundError('Caller not found');
+        throw AppError.notFoundError('Caller not found', 'CALLER_NOT_FOUND');
       }
       return result[0];
     } catch (error) {
@@ -104,6 +387,8 @@ class Caller extends BaseModel {
   }
 
   // Get all callers with pagination and filtering
+  // callable ({ sql, params } from utils/callingHours.js) adds within_calling_hours to each caller;
+  // with callable_only the callers outside their calling window are left out
   async findAll(options = {}) {
     try {
       const {
@@ -113,55 +398,24 @@ class Caller extends BaseModel {
         status = null,
         assigned_to = null,
         batch_id = null,
+        campaign_id = null,
+        custom_fields = {},
+        hide_paused_campaigns = false,
+        callable = null,
+        callable_only = false,
         sortBy = 'created_at',
         sortOrder = 'DESC'
       } = options;
 
-      let whereClause = '';
-      let params = [];
-
-      // Build search conditions
-      if (search) {
-        whereClause = 'WHERE (c.name LIKE ? OR c.email LIKE ? OR c.phone LIKE ?)';
-        params = [`%${search}%`, `%${search}%`, `%${search}%`];
-      }
-
-      // Add status filter
-      if (status) {
-        if (whereClause) {
-          whereClause += ' AND c.status = ?';
-        } else {
-          whereClause = 'WHERE c.status = ?';
-        }
-        params.push(status);
-      }
+      const filter = buildFilterClause({
+        search, status, assigned_to, batch_id, campaign_id, custom_fields, hide_paused_campaigns
+      });
+      let { whereClause } = filter;
+      const params = [...filter.params];
 
-      // Add assignment filter
-      if (assigned_to !== null) {
-        if (assigned_to === 'unassigned') {
-          if (whereClause) {
-            whereClause += ' AND c.assigned_to IS NULL';
-          } else {
-            whereClause = 'WHERE c.assigned_to IS NULL';
-          }
-        } else {
-          if (whereClause) {
-            whereClause += ' AND c.assigned_to = ?';
-          } else {
-            whereClause = 'WHERE c.assigned_to = ?';
-          }
-          params.push(assigned_to);
-        }
-      }
-
-      // Add batch filter
-      if (batch_id) {
-        if (whereClause) {
-          whereClause += ' AND c.batch_id = ?';
-        } else {
-          whereClause = 'WHERE c.batch_id = ?';
-        }
-        params.push(batch_id);
+      if (callable && callable_only) {
+        whereClause += `${whereClause ? ' AND' : 'WHERE'} ${callable.sql}`;
+        params.push(...callable.params);
       }
 
       // Count total records
@@ -173,20 +427,31 @@ class Caller extends BaseModel {
       
       const totalCount = await this.queryCount(countSql, params);
 
+      // Sort on a known column only; priority sorts break ties on the lead score
+      const column = sortableColumns.includes(sortBy) ? sortBy : 'created_at';
+      const direction = String(sortOrder).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+      const orderBy = column === 'priority'
+        ? `c.priority ${direction}, c.lead_score ${direction}, c.id ASC`
+        : `c.${column} ${direction}, c.id ASC`;
+
       // Get paginated results
       const sql = `
         SELECT c.id, c.name, c.email, c.phone, c.assigned_to, c.assigned_at, 
-               c.created_at, c.updated_at, c.status, c.batch_id,
-               u.name as assigned_employee_name
+               c.created_at, c.updated_at, c.status, c.batch_id, c.duplicate_of, c.custom_fields,
+               c.campaign_id, c.priority, c.lead_score, c.timezone, ${onDoNotCallSql} as on_dnc,
+               ${callable ? callable.sql : 'NULL'} as within_calling_hours,
+               u.name as assigned_employee_name,
+               cp.name as campaign_name, cp.status as campaign_status
         FROM ${this.tableName} c
         LEFT JOIN users u ON c.assigned_to = u.id
+        LEFT JOIN campaigns cp ON c.campaign_id = cp.id
         ${whereClause}
-        ORDER BY c.${sortBy} ${sortOrder}
+        ORDER BY ${orderBy}
         LIMIT ? OFFSET ?
       `;
       
       const offset = (page - 1) * limit;
-      const allParams = [...params, limit, offset];
+      const allParams = [...(callable ? callable.params : []), ...params, limit, offset];
       
       const callers = await this.query(sql, allParams);
 
@@ -205,38 +470,194 @@ class Caller extends BaseModel {
     }
   }
 
+  // Read the callers matching the findAll filters for an export, one batch of rows at a time
+  // Pages on the caller ID instead of OFFSET so every batch is equally cheap and only one
+  // batch is held in memory. Rows hold the requested columns plus id and custom_fields.
+  async *findForExport(options = {}, columns = [], batchSize = config.callerExport.batchSize) {
+    try {
+      const { whereClause, params } = buildFilterClause(options);
+      const selected = columns.filter(column => exportColumnSql[column] && column !== 'id');
+
+      const sql = `
+        SELECT c.id, c.custom_fields${selected.map(column => `, ${exportColumnSql[column]} AS ${column}`).join('')}
+        FROM ${this.tableName} c
+        LEFT JOIN users u ON c.assigned_to = u.id
+        LEFT JOIN dispositions d ON c.last_disposition_id = d.id
+        LEFT JOIN campaigns cp ON c.campaign_id = cp.id
+        ${whereClause ? `${whereClause} AND` : 'WHERE'} c.id > ?
+        ORDER BY c.id ASC
+        LIMIT ?
+      `;
+
+      let lastId = 0;
+      let rows;
+      do {
+        rows = await this.query(sql, [...params, lastId, batchSize]);
+        if (rows.length > 0) {
+          yield rows;
+          lastId = rows[rows.length - 1].id;
+        }
+      } while (rows.length === batchSize);
+    } catch (error) {
+      logger.error('Error reading callers for export:', { options, columns, error: error.message });
+      throw error;
+    }
+  }
+
+  // Find existing callers matching any of the given emails or phone numbers
+  // Emails compare ignoring letter case and phone numbers in E.164, so formatting does not hide a match
+  async findByEmailsOrPhones(emails, phones) {
+    try {
+      const normalizedEmails = [...new Set(emails.map(normalizeEmail).filter(Boolean))];
+      const normalizedPhones = [...new Set(phones.map(phone => toE164(phone)).filter(Boolean))];
+
+      if (normalizedEmails.length === 0 && normalizedPhones.length === 0) {
+        return [];
+      }
+
+      const conditions = [];
+      if (normalizedEmails.length > 0) {
+        conditions.push(`LOWER(email) IN (${normalizedEmails.map(() => '?').join(', ')})`);
+      }
+      if (normalizedPhones.length > 0) {
+        conditions.push(`phone_e164 IN (${normalizedPhones.map(() => '?').join(', ')})`);
+      }
+
+      const sql = `
+        SELECT id, name, email, phone, phone_e164, status, batch_id
+        FROM ${this.tableName}
+        WHERE ${conditions.join(' OR ')}
+        ORDER BY id ASC
+      `;
+
+      return await this.query(sql, [...normalizedEmails, ...normalizedPhones]);
+    } catch (error) {
+      logger.error('Error finding callers by email or phone:', { emailCount: emails.length, phoneCount: phones.length, error: error.message });
+      throw error;
+    }
+  }
+
   // Get callers assigned to a specific employee
-  async getAssignedToEmployee(employeeId) {
+  // callable ({ sql, params } from utils/callingHours.js) adds within_calling_hours to each caller
+  async getAssignedToEmployee(employeeId, callable = null) {
     try {
       const sql = `
         SELECT c.id, c.name, c.email, c.phone, c.assigned_at, 
-               c.created_at, c.status, c.batch_id
+               c.created_at, c.status, c.batch_id, c.custom_fields, c.campaign_id,
+               c.priority, c.lead_score, c.timezone, ${onDoNotCallSql} as on_dnc,
+               ${callable ? callable.sql : 'NULL'} as within_calling_hours, cp.name as campaign_name
         FROM ${this.tableName} c
-        WHERE c.assigned_to = ? AND c.status = 'active'
-        ORDER BY c.assigned_at ASC
+        LEFT JOIN campaigns cp ON c.campaign_id = cp.id
+        WHERE c.assigned_to = ? AND c.status IN (${openStatusPlaceholders}) AND ${campaignNotPausedSql}
+        ORDER BY ${priorityOrderSql}, c.assigned_at ASC
       `;
       
-      return await this.query(sql, [employeeId]);
+      return await this.query(sql, [...(callable ? callable.params : []), employeeId, ...config.calls.openStatuses]);
     } catch (error) {
       logger.error('Error getting callers assigned to employee:', { employeeId, error: error.message });
       throw error;
     }
   }
 
-  // Get unassigned callers
-  async getUnassignedCallers(limit = 100) {
+  // Serve an employee the next caller of their dialing queue and lock it to them
+  // The caller they already hold comes back first; then callers with a callback that is due,
+  // soonest first; then the highest priority and lead score, oldest assignment first. Callers waiting for a later callback, called
+  // within the retry delay, held by someone else or on the do-not-call list are skipped, and so are
+  // callers outside their calling window when callable ({ sql, params } from utils/callingHours.js) is given.
+  // Returns null when the queue is empty.
+  async claimNextInQueue(employeeId, {
+    lockMinutes = config.queue.lockMinutes,
+    retryDelayMinutes = config.queue.retryDelayMinutes,
+    callable = null
+  } = {}) {
+    try {
+      const sql = `
+        SELECT c.id,
+               (c.locked_by = ? AND c.locked_until > NOW()) as is_held,
+               (SELECT MIN(cb.due_at) FROM callbacks cb
+                WHERE cb.caller_id = c.id AND cb.status = 'pending' AND cb.due_at <= NOW()) as due_callback_at
+        FROM ${this.tableName} c
+        WHERE c.assigned_to = ? AND c.status IN (${openStatusPlaceholders}) AND ${campaignNotPausedSql}
+          AND NOT ${onDoNotCallSql}
+          AND ${callable ? callable.sql : 'TRUE'}
+          AND (c.locked_until IS NULL OR c.locked_until <= NOW() OR c.locked_by = ?)
+          AND (
+            (c.locked_by = ? AND c.locked_until > NOW())
+            OR EXISTS (SELECT 1 FROM callbacks cb WHERE cb.caller_id = c.id AND cb.status = 'pending' AND cb.due_at <= NOW())
+            OR (
+              NOT EXISTS (SELECT 1 FROM callbacks cb WHERE cb.caller_id = c.id AND cb.status = 'pending')
+              AND NOT EXISTS (
+                SELECT 1 FROM call_attempts a
+                WHERE a.caller_id = c.id AND a.created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+              )
+            )
+          )
+        ORDER BY is_held DESC, due_callback_at IS NULL, due_callback_at ASC, ${priorityOrderSql}, c.assigned_at ASC, c.id ASC
+        LIMIT 1
+      `;
+
+      const params = [
+        employeeId, employeeId, ...config.calls.openStatuses, ...(callable ? callable.params : []),
+        employeeId, employeeId, retryDelayMinutes
+      ];
+
+      // Claim the pick with a guarded update; if another request took it first, pick again
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const candidates = await this.query(sql, params);
+        if (candidates.length === 0) {
+          return null;
+        }
+
+        const result = await this.query(
+          `
+            UPDATE ${this.tableName}
+            SET locked_by = ?, locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+            WHERE id = ? AND assigned_to = ? AND (locked_until IS NULL OR locked_until <= NOW() OR locked_by = ?)
+          `,
+          [employeeId, lockMinutes, candidates[0].id, employeeId, employeeId]
+        );
+
+        if (result.affectedRows > 0) {
+          logger.info(`Caller ${candidates[0].id} served from the queue of employee ${employeeId}`);
+          return await this.findById(candidates[0].id);
+        }
+      }
+
+      return null;
+    } catch (error) {
+      logger.error('Error serving next queued caller:', { employeeId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get unassigned callers, optionally only from one batch
+  // Highest priority and lead score come first, so auto-assignment hands out the best leads first.
+  // Callers on the do-not-call list are left out.
+  async getUnassignedCallers(limit = 100, batchId = null, campaignId = null) {
     try {
       const sql = `
-        SELECT c.id, c.name, c.email, c.phone, c.created_at, c.batch_id
+        SELECT c.id, c.name, c.email, c.phone, c.created_at, c.batch_id, c.campaign_id, c.priority, c.lead_score
         FROM ${this.tableName} c
-        WHERE c.assigned_to IS NULL AND c.status = 'active'
-        ORDER BY c.created_at ASC
+        WHERE c.assigned_to IS NULL AND c.status IN (${openStatusPlaceholders}) AND ${campaignNotPausedSql}
+          AND NOT ${onDoNotCallSql}
+        ${batchId ? 'AND c.batch_id = ?' : ''}
+        ${campaignId ? 'AND c.campaign_id = ?' : ''}
+        ORDER BY ${priorityOrderSql}, c.created_at ASC, c.id ASC
         LIMIT ?
       `;
       
-      return await this.query(sql, [limit]);
+      const params = [...config.calls.openStatuses];
+      if (batchId) {
+        params.push(batchId);
+      }
+      if (campaignId) {
+        params.push(campaignId);
+      }
+      params.push(limit);
+      
+      return await this.query(sql, params);
     } catch (error) {
-      logger.error('Error getting unassigned callers:', { limit, error: error.message });
+      logger.error('Error getting unassigned callers:', { limit, batchId, campaignId, error: error.message });
       throw error;
     }
   }
@@ -244,62 +665,502 @@ class Caller extends BaseModel {
   // Assign caller to employee
   async assignToEmployee(callerId, employeeId, assignedBy, method = 'manual') {
     try {
-      // Check if caller exists and is not already assigned
-      const caller = await this.findById(callerId);
-      if (caller.assigned_to) {
-        throw AppError.conflictError('This caller is already assigned to an employee', 'CALLER_ALREADY_ASSIGNED');
+      const { results } = await this.assignBatch([{ callerId, employeeId }], assignedBy, { method });
+      const [result] = results;
+
+      if (!result.success) {
+        throw result.code === 'CALLER_NOT_FOUND'
+          ? AppError.notFoundError(result.error, result.code)
+          : AppError.conflictError(result.error, result.code);
       }
 
-      // Update caller assignment
-      const updateSql = `
-        UPDATE ${this.tableName}
-        SET assigned_to = ?, assigned_at = NOW()
-        WHERE id = ?
-      `;
-      
-      await this.query(updateSql, [employeeId, callerId]);
+      return await this.findById(callerId);
+    } catch (error) {
+      logger.error('Error assigning caller to employee:', { callerId, employeeId, error: error.message });
+      throw error;
+    }
+  }
 
-      // Log the assignment
-      const logSql = `
-        INSERT INTO caller_assignment_log (caller_id, employee_id, assigned_by, method)
-        VALUES (?, ?, ?, ?)
-      `;
-      
-      await this.query(logSql, [callerId, employeeId, assignedBy, method]);
+  // Assign many callers in one transaction
+  // assignments: [{ callerId, employeeId }]. The caller rows are locked and only
+  // still-unassigned callers are updated, so concurrent admins cannot double-assign.
+  // Callers on the do-not-call list are refused.
+  // With atomic: true any failure rolls back the whole batch.
+  async assignBatch(assignments, assignedBy, { method = 'manual', atomic = false } = {}) {
+    if (assignments.length === 0) {
+      return { committed: true, results: [] };
+    }
+
+    const callerIds = [...new Set(assignments.map(assignment => assignment.callerId))];
+    const placeholders = callerIds.map(() => '?').join(', ');
+    let results = [];
+
+    try {
+      await this.withTransaction(async (execute) => {
+        const rows = await execute(
+          `SELECT c.id, c.assigned_to, ${onDoNotCallSql} as on_dnc FROM ${this.tableName} c WHERE c.id IN (${placeholders}) FOR UPDATE`,
+          callerIds
+        );
+        const callers = new Map(rows.map(row => [row.id, row]));
+        const seen = new Set();
+
+        for (const { callerId, employeeId } of assignments) {
+          const caller = callers.get(callerId);
+
+          if (seen.has(callerId)) {
+            results.push({
+              callerId, employeeId,
+              success: false,
+              status: 'duplicate',
+              code: 'CALLER_ALREADY_ASSIGNED',
+              error: 'Caller appears more than once in this request'
+            });
+            continue;
+          }
+          seen.add(callerId);
+
+          if (!caller) {
+            results.push({
+              callerId, employeeId,
+              success: false,
+              status: 'not_found',
+              code: 'CALLER_NOT_FOUND',
+              error: 'Caller not found'
+            });
+            continue;
+          }
+
+          if (caller.on_dnc) {
+            results.push({
+              callerId, employeeId,
+              success: false,
+              status: 'do_not_call',
+              code: 'CALLER_ON_DNC',
+              error: 'This caller is on the do-not-call list'
+            });
+            continue;
+          }
+
+          const update = await execute(
+            `UPDATE ${this.tableName} SET assigned_to = ?, assigned_at = NOW() WHERE id = ? AND assigned_to IS NULL`,
+            [employeeId, callerId]
+          );
+
+          if (update.affectedRows === 0) {
+            results.push({
+              callerId, employeeId,
+              success: false,
+              status: 'already_assigned',
+              code: 'CALLER_ALREADY_ASSIGNED',
+              error: 'This caller is already assigned to an employee'
+            });
+            continue;
+          }
+
+          await execute(
+            `
+              INSERT INTO caller_assignment_log (caller_id, employee_id, assigned_by, method, action)
+              VALUES (?, ?, ?, ?, 'assign')
+            `,
+            [callerId, employeeId, assignedBy, method]
+          );
+
+          results.push({ callerId, employeeId, success: true, status: 'assigned' });
+        }
+
+        if (atomic && results.some(result => !result.success)) {
+          throw AppError.conflictError('Bulk assignment rolled back because some callers could not be assigned', 'ASSIGNMENT_ROLLED_BACK');
+        }
+      });
+
+      const assigned = results.filter(result => result.success).length;
+      logger.info(`Assigned ${assigned} of ${assignments.length} callers via ${method}${atomic ? ' (atomic)' : ''}`);
+
+      return { committed: true, results };
+    } catch (error) {
+      if (error instanceof AppError && error.errorCode === 'ASSIGNMENT_ROLLED_BACK') {
+        // Nothing was written; report the callers that would have succeeded as rolled back
+        results = results.map(result => (result.success
+          ? { ...result, success: false, status: 'rolled_back', error: 'Rolled back with the rest of the batch' }
+          : result));
+
+        logger.info(`Atomic assignment of ${assignments.length} callers rolled back`);
+        return { committed: false, results };
+      }
+
+      logger.error('Error assigning caller batch:', { count: assignments.length, error: error.message });
+      throw error;
+    }
+  }
+
+  // Move a caller to another employee, taking its pending callbacks along
+  // An unassigned caller is simply assigned; the log keeps the previous owner
+  async reassignToEmployee(callerId, employeeId, assignedBy) {
+    try {
+      const { results } = await this.reassignBatch([{ callerId, employeeId }], assignedBy);
+      const [result] = results;
+
+      if (!result.success) {
+        throw result.code === 'CALLER_NOT_FOUND'
+          ? AppError.notFoundError(result.error, result.code)
+          : AppError.conflictError(result.error, result.code);
+      }
 
-      logger.info(`Caller ${callerId} assigned to employee ${employeeId} via ${method}`);
-      
       return await this.findById(callerId);
     } catch (error) {
-      logger.error('Error assigning caller to employee:', { callerId, employeeId, error: error.message });
+      logger.error('Error reassigning caller:', { callerId, employeeId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Move many callers in one transaction, taking their pending callbacks along
+  // assignments: [{ callerId, employeeId }]. The caller rows are locked first, so the
+  // previous owner written to the log is the one the update replaced.
+  // Callers on the do-not-call list or already with that employee are refused.
+  // With atomic: true any failure rolls back the whole batch.
+  async reassignBatch(assignments, assignedBy, { atomic = false } = {}) {
+    if (assignments.length === 0) {
+      return { committed: true, results: [] };
+    }
+
+    const callerIds = [...new Set(assignments.map(assignment => assignment.callerId))];
+    const placeholders = callerIds.map(() => '?').join(', ');
+    let results = [];
+
+    try {
+      await this.withTransaction(async (execute) => {
+        const rows = await execute(
+          `SELECT c.id, c.assigned_to, ${onDoNotCallSql} as on_dnc FROM ${this.tableName} c WHERE c.id IN (${placeholders}) FOR UPDATE`,
+          callerIds
+        );
+        const callers = new Map(rows.map(row => [row.id, row]));
+        const seen = new Set();
+
+        for (const { callerId, employeeId } of assignments) {
+          const caller = callers.get(callerId);
+
+          if (seen.has(callerId)) {
+            results.push({
+              callerId, employeeId,
+              success: false,
+              status: 'duplicate',
+              code: 'CALLER_ALREADY_ASSIGNED',
+              error: 'Caller appears more than once in this request'
+            });
+            continue;
+          }
+          seen.add(callerId);
+
+          if (!caller) {
+            results.push({
+              callerId, employeeId,
+              success: false,
+              status: 'not_found',
+              code: 'CALLER_NOT_FOUND',
+              error: 'Caller not found'
+            });
+            continue;
+          }
+
+          if (caller.assigned_to === employeeId) {
+            results.push({
+              callerId, employeeId,
+              success: false,
+              status: 'already_assigned',
+              code: 'CALLER_ALREADY_ASSIGNED',
+              error: 'This caller is already assigned to that employee'
+            });
+            continue;
+          }
+
+          if (caller.on_dnc) {
+            results.push({
+              callerId, employeeId,
+              success: false,
+              status: 'do_not_call',
+              code: 'CALLER_ON_DNC',
+              error: 'This caller is on the do-not-call list'
+            });
+            continue;
+          }
+
+          const action = caller.assigned_to ? 'reassign' : 'assign';
+
+          await execute(
+            `UPDATE ${this.tableName} SET assigned_to = ?, assigned_at = NOW(), locked_by = NULL, locked_until = NULL WHERE id = ?`,
+            [employeeId, callerId]
+          );
+          await execute(
+            `
+              UPDATE callbacks SET employee_id = ?, updated_at = NOW()
+              WHERE caller_id = ? AND status = 'pending'
+            `,
+            [employeeId, callerId]
+          );
+          await execute(
+            `
+              INSERT INTO caller_assignment_log (caller_id, employee_id, previous_employee_id, assigned_by, method, action)
+              VALUES (?, ?, ?, ?, 'manual', ?)
+            `,
+            [callerId, employeeId, caller.assigned_to, assignedBy, action]
+          );
+
+          results.push({
+            callerId, employeeId,
+            previousEmployeeId: caller.assigned_to,
+            success: true,
+            status: action === 'reassign' ? 'reassigned' : 'assigned'
+          });
+        }
+
+        if (atomic && results.some(result => !result.success)) {
+          throw AppError.conflictError('Bulk reassignment rolled back because some callers could not be moved', 'ASSIGNMENT_ROLLED_BACK');
+        }
+      });
+
+      const moved = results.filter(result => result.success).length;
+      logger.info(`Reassigned ${moved} of ${assignments.length} callers${atomic ? ' (atomic)' : ''}`);
+
+      return { committed: true, results };
+    } catch (error) {
+      if (error instanceof AppError && error.errorCode === 'ASSIGNMENT_ROLLED_BACK') {
+        // Nothing was written; report the callers that would have moved as rolled back
+        results = results.map(result => (result.success
+          ? { ...result, success: false, status: 'rolled_back', error: 'Rolled back with the rest of the batch' }
+          : result));
+
+        logger.info(`Atomic reassignment of ${assignments.length} callers rolled back`);
+        return { committed: false, results };
+      }
+
+      logger.error('Error reassigning caller batch:', { count: assignments.length, error: error.message });
       throw error;
     }
   }
 
-  // Mark caller as called (remove assignment)
-  async markAsCalled(callerId) {
+  // Release a caller back to the unassigned pool and cancel its pending callbacks
+  // The row is locked first, so the previous owner written to the log is the one the update replaced
+  async unassign(callerId, unassignedBy) {
+    try {
+      const previousEmployeeId = await this.withTransaction(async (execute) => {
+        const [caller] = await execute(
+          `SELECT assigned_to FROM ${this.tableName} WHERE id = ? FOR UPDATE`,
+          [callerId]
+        );
+        if (!caller) {
+          throw AppError.notFoundError('Caller not found', 'CALLER_NOT_FOUND');
+        }
+        if (!caller.assigned_to) {
+          throw AppError.conflictError('This caller is not assigned to an employee', 'CALLER_NOT_ASSIGNED');
+        }
+
+        await execute(
+          `UPDATE ${this.tableName} SET assigned_to = NULL, assigned_at = NULL, locked_by = NULL, locked_until = NULL WHERE id = ?`,
+          [callerId]
+        );
+        await execute(
+          `
+            UPDATE callbacks SET status = 'cancelled', updated_at = NOW()
+            WHERE caller_id = ? AND status = 'pending'
+          `,
+          [callerId]
+        );
+        await execute(
+          `
+            INSERT INTO caller_assignment_log (caller_id, employee_id, previous_employee_id, assigned_by, method, action)
+            VALUES (?, NULL, ?, ?, 'manual', 'unassign')
+          `,
+          [callerId, caller.assigned_to, unassignedBy]
+        );
+
+        return caller.assigned_to;
+      });
+
+      logger.info(`Caller ${callerId} unassigned from employee ${previousEmployeeId}`);
+
+      return await this.findById(callerId);
+    } catch (error) {
+      logger.error('Error unassigning caller:', { callerId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get the assignment timeline for a caller, newest first
+  async getAssignmentHistory(callerId) {
     try {
       const sql = `
-        UPDATE ${this.tableName}
-        SET assigned_to = NULL, assigned_at = NULL, status = 'inactive'
-        WHERE id = ?
+        SELECT l.id, l.caller_id, l.employee_id, l.previous_employee_id, l.assigned_by,
+               l.assigned_at, l.method, l.action,
+               e.name as employee_name,
+               p.name as previous_employee_name,
+               a.name as assigned_by_name
+        FROM caller_assignment_log l
+        LEFT JOIN users e ON l.employee_id = e.id
+        LEFT JOIN users p ON l.previous_employee_id = p.id
+        LEFT JOIN users a ON l.assigned_by = a.id
+        WHERE l.caller_id = ?
+        ORDER BY l.assigned_at DESC, l.id DESC
       `;
-      
-      const result = await this.query(sql, [callerId]);
-      
+
+      return await this.query(sql, [callerId]);
+    } catch (error) {
+      logger.error('Error getting caller assignment history:', { callerId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Lock a caller for the rest of a transaction and read who holds it and whether it is on the do-not-call list
+  // Checks made on the result stay true until the transaction ends: the caller cannot be reassigned meanwhile.
+  async findForUpdate(id, execute) {
+    const [caller] = await execute(
+      `SELECT c.id, c.assigned_to, ${onDoNotCallSql} as on_dnc FROM ${this.tableName} c WHERE c.id = ? FOR UPDATE`,
+      [id]
+    );
+    if (!caller) {
+      throw AppError.notFoundError('Caller not found', 'CALLER_NOT_FOUND');
+    }
+    return caller;
+  }
+
+  // Apply a call disposition to a caller
+  // Final dispositions close the caller and release it; retryable ones keep it queued.
+  // Either way the caller's queue lock is released.
+  // Pass execute to apply it inside the transaction that records the call.
+  async applyDisposition(callerId, disposition, execute = (sql, params) => this.query(sql, params)) {
+    try {
+      const sql = disposition.is_final
+        ? `
+          UPDATE ${this.tableName}
+          SET assigned_to = NULL, assigned_at = NULL, status = 'completed',
+              last_disposition_id = ?, locked_by = NULL, locked_until = NULL, updated_at = NOW()
+          WHERE id = ?
+        `
+        : `
+          UPDATE ${this.tableName}
+          SET status = 'retry', last_disposition_id = ?, locked_by = NULL, locked_until = NULL, updated_at = NOW()
+          WHERE id = ?
+        `;
+
+      const result = await execute(sql, [disposition.id, callerId]);
+
       if (result.affectedRows === 0) {
-        throw AppError.notFoundError('Caller not found');
+        throw AppError.notFoundError('Caller not found', 'CALLER_NOT_FOUND');
       }
-      
-      logger.upload(`Caller ${callerId} marked as called`);
+
+      logger.upload(`Disposition ${disposition.code} applied to caller ${callerId}`);
       return true;
     } catch (error) {
-      logger.error('Error marking caller as called:', { callerId, error: error.message });
+      logger.error('Error applying disposition to caller:', { callerId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Record whether a caller consents to be called, and who recorded it
+  // Pass execute to record it inside the transaction that lists a withdrawn caller as do not call.
+  async setConsent(id, consentStatus, recordedBy, execute = (sql, params) => this.query(sql, params)) {
+    try {
+      const result = await execute(
+        `
+          UPDATE ${this.tableName}
+          SET consent_status = ?, consent_updated_at = NOW(), consent_updated_by = ?, updated_at = NOW()
+          WHERE id = ?
+        `,
+        [consentStatus, recordedBy, id]
+      );
+
+      if (result.affectedRows === 0) {
+        throw AppError.notFoundError('Caller not found', 'CALLER_NOT_FOUND');
+      }
+
+      logger.info(`Consent ${consentStatus} recorded for caller ${id} by user ${recordedBy}`);
+      return true;
+    } catch (error) {
+      logger.error('Error recording caller consent:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Set a caller's priority (0 normal up to config.leadScoring.maxPriority)
+  async setPriority(id, priority) {
+    try {
+      const result = await this.query(
+        `UPDATE ${this.tableName} SET priority = ?, updated_at = NOW() WHERE id = ?`,
+        [priority, id]
+      );
+
+      if (result.affectedRows === 0) {
+        throw AppError.notFoundError('Caller not found', 'CALLER_NOT_FOUND');
+      }
+
+      logger.info(`Caller ${id} priority set to ${priority}`);
+      return await this.findById(id);
+    } catch (error) {
+      logger.error('Error setting caller priority:', { id, priority, error: error.message });
+      throw error;
+    }
+  }
+
+  // Recalculate lead scores with a score expression over callers c (see utils/leadScoring.js)
+  // Scope: callerIds, batchId, assignedTo (an employee's open callers) or unassignedOnly (open
+  // callers waiting for assignment); without one every caller is rescored. Returns the count rescored.
+  async recalculateScores(
+    { expression, params: scoreParams = [] },
+    { callerIds = null, batchId = null, assignedTo = null, unassignedOnly = false } = {}
+  ) {
+    try {
+      const conditions = [];
+      const params = [...scoreParams];
+
+      if (callerIds) {
+        if (callerIds.length === 0) {
+          return 0;
+        }
+        conditions.push(`c.id IN (${callerIds.map(() => '?').join(', ')})`);
+        params.push(...callerIds);
+      }
+      if (batchId) {
+        conditions.push('c.batch_id = ?');
+        params.push(batchId);
+      }
+      if (assignedTo) {
+        conditions.push(`c.assigned_to = ? AND c.status IN (${openStatusPlaceholders})`);
+        params.push(assignedTo, ...config.calls.openStatuses);
+      }
+      if (unassignedOnly) {
+        conditions.push(`c.assigned_to IS NULL AND c.status IN (${openStatusPlaceholders})`);
+        params.push(...config.calls.openStatuses);
+      }
+
+      // updated_at is kept as it was: a new score is not an edit of the caller
+      const sql = `
+        UPDATE ${this.tableName} c
+        SET c.lead_score = ${expression}, c.score_updated_at = NOW(), c.updated_at = c.updated_at
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      `;
+
+      const result = await this.query(sql, params);
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error recalculating lead scores:', { callerIds, batchId, assignedTo, unassignedOnly, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get the distinct timezones set on callers
+  async getTimeZones() {
+    try {
+      const rows = await this.query(`SELECT DISTINCT timezone FROM ${this.tableName} WHERE timezone IS NOT NULL`);
+      return rows.map(row => row.timezone);
+    } catch (error) {
+      logger.error('Error getting caller timezones:', { error: error.message });
       throw error;
     }
   }
 
   // Update caller
+  // custom_fields values are merged into the caller's; a null value clears that field.
+  // A timezone given here counts as set by hand; a null one is guessed again from the phone number,
+  // as is a guessed or unknown timezone when the phone number changes.
   async update(id, updateData) {
     try {
       const allowedFields = ['name', 'email', 'phone', 'status'];
@@ -313,6 +1174,26 @@ class Caller extends BaseModel {
         }
       }
 
+      if (updateData.phone !== undefined) {
+        updates.push('phone_e164 = ?');
+        params.push(toE164(updateData.phone));
+      }
+
+      if (updateData.timezone !== undefined || updateData.phone !== undefined) {
+        const current = await this.findById(id);
+        const keepsTimeZone = updateData.timezone === undefined && ['manual', 'import'].includes(current.timezone_source);
+        if (!keepsTimeZone) {
+          const zone = callerTimeZone(updateData.timezone, updateData.phone ?? current.phone, 'manual');
+          updates.push('timezone = ?', 'timezone_source = ?');
+          params.push(zone.timezone, zone.timezone_source);
+        }
+      }
+
+      if (updateData.custom_fields && Object.keys(updateData.custom_fields).length > 0) {
+        updates.push('custom_fields = JSON_MERGE_PATCH(COALESCE(custom_fields, JSON_OBJECT()), ?)');
+        params.push(JSON.stringify(updateData.custom_fields));
+      }
+
       if (updates.length === 0) {
         throw AppError.validationError('No valid fields to update');
       }
@@ -326,22 +1207,19 @@ class Caller extends BaseModel {
         WHERE id = ?
       `;
       
-      const result = await this.query(sql, params);
+      const result = await this.withTransaction(async (execute) => {
+        await this.assertContactAvailable(execute, { email: updateData.email, phone: updateData.phone }, id);
+        return await execute(sql, params);
+      });
       
       if (result.affectedRows === 0) {
-        throw AppError.notFoundError('Caller not found');
+        throw AppError.notFoundError('Caller not found', 'CALLER_NOT_FOUND');
       }
       
       logger.upload(`Caller updated successfully: ID ${id}`);
       return await this.findById(id);
     } catch (error) {
-      if (error.code === 'ER_DUP_ENTRY') {
-        if (error.message.includes('email')) {
-          throw AppError.conflictError('A caller with this email already exists', 'CALLER_EMAIL_EXISTS');
-        } else if (error.message.includes('phone')) {
-          throw AppError.conflictError('A caller with this phone number already exists', 'CALLER_PHONE_EXISTS');
-        }
-      }
+      logger.error('Error updating caller:', { id, error: error.message });
       throw error;
     }
   }
@@ -353,7 +1231,7 @@ class Caller extends BaseModel {
       const result = await this.query(sql, [id]);
       
       if (result.affectedRows === 0) {
-        throw AppError.notFoundError('Caller not found');
+        throw AppError.notFoundError('Caller not found', 'CALLER_NOT_FOUND');
       }
       
       logger.upload(`Caller deleted successfully: ID ${id}`);
@@ -371,34 +1249,46 @@ class Caller extends BaseModel {
         SELECT 
           COUNT(*) as total_callers,
           COUNT(CASE WHEN status = 'active' THEN 1 END) as active_callers,
+          COUNT(CASE WHEN status = 'retry' THEN 1 END) as retry_callers,
+          COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_callers,
           COUNT(CASE WHEN status = 'inactive' THEN 1 END) as inactive_callers,
           COUNT(CASE WHEN assigned_to IS NOT NULL THEN 1 END) as assigned_callers,
-          COUNT(CASE WHEN assigned_to IS NULL AND status = 'active' THEN 1 END) as unassigned_callers
+          COUNT(CASE WHEN assigned_to IS NULL AND status IN (${openStatusPlaceholders}) THEN 1 END) as unassigned_callers
         FROM ${this.tableName}
       `;
       
-      await this.query(sql);
+      return await this.query(sql, config.calls.openStatuses);
     } catch (error) {
       logger.error('Error getting caller statistics:', error);
       throw error;
     }
   }
 
-  // Get batch statistics
+  // Get batch statistics, with the upload that created each batch when known
   async getBatchStats() {
     try {
       const sql = `
         SELECT 
-          batch_id,
-          COUNT(*) as total_callers,
-          COUNT(CASE WHEN status = 'active' THEN 1 END) as active_callers,
-          COUNT(CASE WHEN assigned_to IS NOT NULL THEN 1 END) as assigned_callers,
-          MIN(created_at) as batch_start,
-          MAX(created_at) as batch_end
-        FROM ${this.tableName}
-        WHERE batch_id IS NOT NULL
-        GROUP BY batch_id
-        ORDER BY batch_start DESC
+          s.*,
+          ib.file_name, ib.created_at as imported_at,
+          ib.total_rows, ib.imported_rows, ib.invalid_rows, ib.duplicate_rows, ib.dnc_rows,
+          u.name as uploaded_by_name
+        FROM (
+          SELECT 
+            batch_id,
+            COUNT(*) as total_callers,
+            COUNT(CASE WHEN status = 'active' THEN 1 END) as active_callers,
+            COUNT(CASE WHEN assigned_to IS NOT NULL THEN 1 END) as assigned_callers,
+            MIN(created_at) as batch_start,
+            MAX(created_at) as batch_end,
+            MAX(import_batch_id) as import_batch_id
+          FROM ${this.tableName}
+          WHERE batch_id IS NOT NULL
+          GROUP BY batch_id
+        ) s
+        LEFT JOIN import_batches ib ON s.import_batch_id = ib.id
+        LEFT JOIN users u ON ib.uploaded_by = u.id
+        ORDER BY s.batch_start DESC
       `;
       
       return await this.query(sql);
@@ -408,11 +1298,24 @@ class Caller extends BaseModel {
     }
   }
 
-  // Check if caller exists
+  // Check if caller exists (by email ignoring letter case, or by phone in E.164)
   async exists(conditions) {
     try {
-      const { sql, params } = this.buildWhereClause(conditions);
-      const fullSql = `SELECT COUNT(*) as count FROM ${this.tableName} ${sql}`;
+      let whereClause = '';
+      let params = [];
+
+      if (conditions.email) {
+        whereClause = 'WHERE LOWER(email) = ?';
+        params = [normalizeEmail(conditions.email)];
+      } else if (conditions.phone) {
+        whereClause = 'WHERE phone_e164 = ?';
+        params = [toE164(conditions.phone)];
+      } else if (conditions.id) {
+        whereClause = 'WHERE id = ?';
+        params = [conditions.id];
+      }
+
+      const fullSql = `SELECT COUNT(*) as count FROM ${this.tableName} ${whereClause}`;
       
       const result = await this.queryCount(fullSql, params);
       return result > 0;
@@ -0,0 +1,129 @@
+// CallerField model for the Call Manager application
+// Handles the admin-defined custom caller fields; values are stored in callers.custom_fields
+
+import BaseModel from './BaseModel.js';
+import AppError from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+
+class CallerField extends BaseModel {
+  constructor() {
+    super();
+    this.tableName = 'caller_fields';
+  }
+
+  // Create a new custom field
+  async create(fieldData) {
+    try {
+      const { field_key, label, field_type, is_required = false, options = [], sort_order = 0 } = fieldData;
+
+      const sql = `
+        INSERT INTO ${this.tableName} (field_key, label, field_type, is_required, options, sort_order)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      const params = [field_key, label, field_type, is_required, field_type === 'select' ? JSON.stringify(options) : null, sort_order];
+      const result = await this.query(sql, params);
+      logger.info(`Caller field created successfully: ${field_key}`);
+
+      return await this.findById(result.insertId);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw AppError.conflictError('A caller field with this key already exists', 'CALLER_FIELD_KEY_EXISTS');
+      }
+      throw error;
+    }
+  }
+
+  // Find custom field by ID
+  async findById(id) {
+    try {
+      const sql = `
+        SELECT id, field_key, label, field_type, is_required, options, is_active, sort_order, created_at, updated_at
+        FROM ${this.tableName}
+        WHERE id = ?
+      `;
+
+      const result = await this.query(sql, [id]);
+      if (!result || result.length === 0) {
+        throw AppError.notFoundError('Caller field not found', 'CALLER_FIELD_NOT_FOUND');
+      }
+      return result[0];
+    } catch (error) {
+      logger.error('Error finding caller field by ID:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get all custom fields in display order, optionally only the active ones
+  async findAll(options = {}) {
+    try {
+      const { activeOnly = false } = options;
+
+      const sql = `
+        SELECT id, field_key, label, field_type, is_required, options, is_active, sort_order, created_at, updated_at
+        FROM ${this.tableName}
+        ${activeOnly ? 'WHERE is_active = TRUE' : ''}
+        ORDER BY sort_order ASC, label ASC
+      `;
+
+      return await this.query(sql);
+    } catch (error) {
+      logger.error('Error finding all caller fields:', { options, error: error.message });
+      throw error;
+    }
+  }
+
+  // Update custom field
+  // The key and type stay fixed so values already stored keep their meaning
+  async update(id, updateData) {
+    try {
+      const field = await this.findById(id);
+      const allowedFields = ['label', 'is_required', 'is_active', 'options', 'sort_order'];
+      const updates = [];
+      const params = [];
+
+      for (const [key, value] of Object.entries(updateData)) {
+        if (allowedFields.includes(key) && value !== undefined) {
+          if (key === 'options') {
+            if (field.field_type !== 'select') {
+              continue;
+            }
+            if (value.length === 0) {
+              throw AppError.validationError('Select fields need at least one option');
+            }
+            updates.push('options = ?');
+            params.push(JSON.stringify(value));
+          } else {
+            updates.push(`${key} = ?`);
+            params.push(value);
+          }
+        }
+      }
+
+      if (updates.length === 0) {
+        throw AppError.validationError('No valid fields to update');
+      }
+
+      updates.push('updated_at = NOW()');
+      params.push(id);
+
+      const sql = `
+        UPDATE ${this.tableName}
+        SET ${updates.join(', ')}
+        WHERE id = ?
+      `;
+
+      await this.query(sql, params);
+
+      logger.info(`Caller field updated successfully: ID ${id}`);
+      return await this.findById(id);
+    } catch (error) {
+      logger.error('Error updating caller field:', { id, error: error.message });
+      throw error;
+    }
+  }
+}
+
+// Create and export an instance
+const callerFieldModel = new CallerField();
+export default callerFieldModel;
@@ -0,0 +1,74 @@
+// CallingWindow model for the Call Manager application
+// Handles the weekly windows in which callers may be phoned, globally or for one campaign
+
+import BaseModel from './BaseModel.js';
+import AppError from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+
+class CallingWindow extends BaseModel {
+  constructor() {
+    super();
+    this.tableName = 'calling_windows';
+  }
+
+  // Add the same window on several days
+  // campaign_id null makes the windows global
+  async create({ campaign_id = null, days, start_time, end_time }) {
+    try {
+      if (!Array.isArray(days) || days.length === 0) {
+        throw AppError.validationError('Choose at least one day');
+      }
+
+      const sql = `
+        INSERT INTO ${this.tableName} (campaign_id, day_of_week, start_time, end_time)
+        VALUES ${days.map(() => '(?, ?, ?, ?)').join(', ')}
+      `;
+
+      const result = await this.query(sql, days.flatMap(day => [campaign_id, day, start_time, end_time]));
+      logger.info(`Calling windows created: ${result.affectedRows} (${campaign_id ? `campaign ${campaign_id}` : 'global'})`);
+
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error creating calling windows:', { campaign_id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get every calling window, global ones first, then by campaign, day and start time
+  async findAll() {
+    try {
+      const sql = `
+        SELECT w.id, w.campaign_id, w.day_of_week, w.start_time, w.end_time, w.created_at,
+               cp.name as campaign_name
+        FROM ${this.tableName} w
+        LEFT JOIN campaigns cp ON w.campaign_id = cp.id
+        ORDER BY w.campaign_id IS NOT NULL, cp.name ASC, w.day_of_week ASC, w.start_time ASC
+      `;
+
+      return await this.query(sql);
+    } catch (error) {
+      logger.error('Error finding all calling windows:', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Delete calling window
+  async delete(id) {
+    try {
+      const result = await this.query(`DELETE FROM ${this.tableName} WHERE id = ?`, [id]);
+      if (result.affectedRows === 0) {
+        throw AppError.notFoundError('Calling window not found', 'CALLING_WINDOW_NOT_FOUND');
+      }
+
+      logger.info(`Calling window ${id} deleted`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting calling window:', { id, error: error.message });
+      throw error;
+    }
+  }
+}
+
+// Create and export an instance
+const callingWindowModel = new CallingWindow();
+export default callingWindowModel;
@@ -0,0 +1,220 @@
+// Campaign model for the Call Manager application
+// Handles campaigns grouping callers with a team of employees, a call script and a disposition set
+
+import BaseModel from './BaseModel.js';
+import AppError from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+import config from '../config/index.js';
+
+// Placeholders for the statuses that keep a caller in an employee's queue
+const openStatusPlaceholders = config.calls.openStatuses.map(() => '?').join(', ');
+
+class Campaign extends BaseModel {
+  constructor() {
+    super();
+    this.tableName = 'campaigns';
+  }
+
+  // Replace a campaign's team and disposition set inside a transaction
+  async replaceLinks(execute, campaignId, memberIds, dispositionIds) {
+    await execute('DELETE FROM campaign_members WHERE campaign_id = ?', [campaignId]);
+    for (const userId of memberIds) {
+      await execute('INSERT INTO campaign_members (campaign_id, user_id) VALUES (?, ?)', [campaignId, userId]);
+    }
+
+    await execute('DELETE FROM campaign_dispositions WHERE campaign_id = ?', [campaignId]);
+    for (const dispositionId of dispositionIds) {
+      await execute('INSERT INTO campaign_dispositions (campaign_id, disposition_id) VALUES (?, ?)', [campaignId, dispositionId]);
+    }
+  }
+
+  // Create a new campaign with its team and disposition set
+  async create(campaignData, createdBy) {
+    try {
+      const {
+        name, description = null, start_date = null, end_date = null, status = 'draft', script_id = null,
+        member_ids = [], disposition_ids = []
+      } = campaignData;
+
+      const campaignId = await this.withTransaction(async (execute) => {
+        const result = await execute(
+          `
+            INSERT INTO ${this.tableName} (name, description, start_date, end_date, status, script_id, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+          `,
+          [name, description, start_date, end_date, status, script_id, createdBy]
+        );
+
+        await this.replaceLinks(execute, result.insertId, member_ids, disposition_ids);
+        return result.insertId;
+      });
+
+      logger.info(`Campaign created successfully: ${name}`);
+      return await this.findById(campaignId);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw AppError.conflictError('A campaign with this name already exists', 'CAMPAIGN_NAME_EXISTS');
+      }
+      logger.error('Error creating campaign:', { name: campaignData.name, error: error.message });
+      throw error;
+    }
+  }
+
+  // Find campaign by ID, with the IDs of its team members and dispositions
+  async findById(id) {
+    try {
+      const sql = `
+        SELECT cp.id, cp.name, cp.description, cp.status, cp.script_id,
+               DATE_FORMAT(cp.start_date, '%Y-%m-%d') as start_date, DATE_FORMAT(cp.end_date, '%Y-%m-%d') as end_date,
+               cp.created_by, cp.created_at, cp.updated_at,
+               s.name as script_name,
+               (SELECT COUNT(*) FROM callers c WHERE c.campaign_id = cp.id) as caller_count
+        FROM ${this.tableName} cp
+        LEFT JOIN call_scripts s ON cp.script_id = s.id
+        WHERE cp.id = ?
+      `;
+
+      const result = await this.query(sql, [id]);
+      if (!result || result.length === 0) {
+        throw AppError.notFoundError('Campaign not found', 'CAMPAIGN_NOT_FOUND');
+      }
+
+      const members = await this.query('SELECT user_id FROM campaign_members WHERE campaign_id = ?', [id]);
+      const dispositions = await this.query('SELECT disposition_id FROM campaign_dispositions WHERE campaign_id = ?', [id]);
+
+      return {
+        ...result[0],
+        member_ids: members.map(row => row.user_id),
+        disposition_ids: dispositions.map(row => row.disposition_id)
+      };
+    } catch (error) {
+      logger.error('Error finding campaign by ID:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get all campaigns with their caller and team counts, optionally only one status
+  async findAll(options = {}) {
+    try {
+      const { status = null } = options;
+
+      const sql = `
+        SELECT cp.id, cp.name, cp.description, cp.status, cp.created_at, cp.updated_at,
+               DATE_FORMAT(cp.start_date, '%Y-%m-%d') as start_date, DATE_FORMAT(cp.end_date, '%Y-%m-%d') as end_date,
+               (SELECT COUNT(*) FROM callers c WHERE c.campaign_id = cp.id) as caller_count,
+               (SELECT COUNT(*) FROM callers c
+                WHERE c.campaign_id = cp.id AND c.status IN (${openStatusPlaceholders})) as open_caller_count,
+               (SELECT COUNT(*) FROM campaign_members m WHERE m.campaign_id = cp.id) as member_count
+        FROM ${this.tableName} cp
+        ${status ? 'WHERE cp.status = ?' : ''}
+        ORDER BY FIELD(cp.status, 'active', 'paused', 'draft', 'completed'), cp.name ASC
+      `;
+
+      const params = [...config.calls.openStatuses];
+      if (status) {
+        params.push(status);
+      }
+
+      return await this.query(sql, params);
+    } catch (error) {
+      logger.error('Error finding all campaigns:', { options, error: error.message });
+      throw error;
+    }
+  }
+
+  // Update a campaign, replacing its team and disposition set
+  async update(id, updateData) {
+    try {
+      const {
+        name, description = null, start_date = null, end_date = null, status, script_id = null,
+        member_ids = [], disposition_ids = []
+      } = updateData;
+
+      await this.withTransaction(async (execute) => {
+        const result = await execute(
+          `
+            UPDATE ${this.tableName}
+            SET name = ?, description = ?, start_date = ?, end_date = ?, status = ?, script_id = ?, updated_at = NOW()
+            WHERE id = ?
+          `,
+          [name, description, start_date, end_date, status, script_id, id]
+        );
+
+        if (result.affectedRows === 0) {
+          throw AppError.notFoundError('Campaign not found', 'CAMPAIGN_NOT_FOUND');
+        }
+
+        await this.replaceLinks(execute, id, member_ids, disposition_ids);
+      });
+
+      logger.info(`Campaign updated successfully: ID ${id}`);
+      return await this.findById(id);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw AppError.conflictError('A campaign with this name already exists', 'CAMPAIGN_NAME_EXISTS');
+      }
+      logger.error('Error updating campaign:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Delete a campaign; its callers stay and are detached from it
+  async delete(id) {
+    try {
+      const result = await this.query(`DELETE FROM ${this.tableName} WHERE id = ?`, [id]);
+      if (result.affectedRows === 0) {
+        throw AppError.notFoundError('Campaign not found', 'CAMPAIGN_NOT_FOUND');
+      }
+
+      logger.info(`Campaign ${id} deleted`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting campaign:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Attach every caller of a batch to a campaign; returns how many callers were attached
+  async attachBatch(id, batchId) {
+    try {
+      await this.findById(id);
+
+      const result = await this.query(
+        'UPDATE callers SET campaign_id = ?, updated_at = NOW() WHERE batch_id = ?',
+        [id, batchId]
+      );
+
+      logger.info(`Batch ${batchId} attached to campaign ${id}: ${result.affectedRows} callers`);
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error attaching batch to campaign:', { id, batchId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get the dispositions employees may pick for a campaign's callers
+  // Falls back to every active disposition when the campaign has no disposition set
+  async getDispositions(id) {
+    try {
+      const sql = `
+        SELECT d.id, d.code, d.label, d.is_final, d.adds_to_dnc, d.is_active, d.sort_order
+        FROM dispositions d
+        WHERE d.is_active = TRUE
+          AND (
+            NOT EXISTS (SELECT 1 FROM campaign_dispositions cd WHERE cd.campaign_id = ?)
+            OR d.id IN (SELECT cd.disposition_id FROM campaign_dispositions cd WHERE cd.campaign_id = ?)
+          )
+        ORDER BY d.sort_order ASC, d.label ASC
+      `;
+
+      return await this.query(sql, [id, id]);
+    } catch (error) {
+      logger.error('Error getting campaign dispositions:', { id, error: error.message });
+      throw error;
+    }
+  }
+}
+
+// Create and export an instance
+const campaignModel = new Campaign();
+export default campaignModel;
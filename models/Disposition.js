@@ -0,0 +1,119 @@
+// Disposition model for the Call Manager application
+// Handles the admin-managed catalogue of call dispositions
+
+import BaseModel from './BaseModel.js';
+import AppError from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+
+class Disposition extends BaseModel {
+  constructor() {
+    super();
+    this.tableName = 'dispositions';
+  }
+
+  // Create a new disposition
+  async create(dispositionData) {
+    try {
+      const { code, label, is_final = false, adds_to_dnc = false, sort_order = 0 } = dispositionData;
+
+      const sql = `
+        INSERT INTO ${this.tableName} (code, label, is_final, adds_to_dnc, sort_order)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      const result = await this.query(sql, [code, label, is_final, adds_to_dnc, sort_order]);
+      logger.info(`Disposition created successfully: ${code}`);
+
+      return await this.findById(result.insertId);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw AppError.conflictError('A disposition with this code already exists', 'DISPOSITION_CODE_EXISTS');
+      }
+      throw error;
+    }
+  }
+
+  // Find disposition by ID
+  async findById(id) {
+    try {
+      const sql = `
+        SELECT id, code, label, is_final, adds_to_dnc, is_active, sort_order, created_at, updated_at
+        FROM ${this.tableName}
+        WHERE id = ?
+      `;
+
+      const result = await this.query(sql, [id]);
+      if (!result || result.length === 0) {
+        throw AppError.notFoundError('Disposition not found', 'DISPOSITION_NOT_FOUND');
+      }
+      return result[0];
+    } catch (error) {
+      logger.error('Error finding disposition by ID:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get all dispositions, optionally only those employees can pick
+  async findAll(options = {}) {
+    try {
+      const { activeOnly = false } = options;
+
+      const sql = `
+        SELECT id, code, label, is_final, adds_to_dnc, is_active, sort_order, created_at, updated_at
+        FROM ${this.tableName}
+        ${activeOnly ? 'WHERE is_active = TRUE' : ''}
+        ORDER BY sort_order ASC, label ASC
+      `;
+
+      return await this.query(sql);
+    } catch (error) {
+      logger.error('Error finding all dispositions:', { options, error: error.message });
+      throw error;
+    }
+  }
+
+  // Update disposition
+  async update(id, updateData) {
+    try {
+      const allowedFields = ['label', 'is_final', 'adds_to_dnc', 'is_active', 'sort_order'];
+      const updates = [];
+      const params = [];
+
+      for (const [key, value] of Object.entries(updateData)) {
+        if (allowedFields.includes(key) && value !== undefined) {
+          updates.push(`${key} = ?`);
+          params.push(value);
+        }
+      }
+
+      if (updates.length === 0) {
+        throw AppError.validationError('No valid fields to update');
+      }
+
+      updates.push('updated_at = NOW()');
+      params.push(id);
+
+      const sql = `
+        UPDATE ${this.tableName}
+        SET ${updates.join(', ')}
+        WHERE id = ?
+      `;
+
+      const result = await this.query(sql, params);
+
+      if (result.affectedRows === 0) {
+        throw AppError.notFoundError('Disposition not found', 'DISPOSITION_NOT_FOUND');
+      }
+
+      logger.info(`Disposition updated successfully: ID ${id}`);
+      return await this.findById(id);
+    } catch (error) {
+      logger.error('Error updating disposition:', { id, error: error.message });
+      throw error;
+    }
+  }
+}
+
+// Create and export an instance
+const dispositionModel = new Disposition();
+export default dispositionModel;
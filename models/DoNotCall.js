@@ -0,0 +1,158 @@
+// DoNotCall model for the Call Manager application
+// Handles the do-not-call list: phone numbers and emails of people who asked not to be contacted
+
+import BaseModel from './BaseModel.js';
+import AppError from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+import { normalizePhone, toE164, normalizeEmail } from '../utils/normalize.js';
+
+// One row per contact; a phone and an email given together become two rows
+// Phone numbers are listed in E.164, the form callers' phone_e164 is matched in
+function contactRows(entries) {
+  const rows = [];
+  for (const { phone, email, reason = null } of entries) {
+    if (toE164(phone)) {
+      rows.push(['phone', toE164(phone), reason]);
+    }
+    if (normalizeEmail(email)) {
+      rows.push(['email', normalizeEmail(email), reason]);
+    }
+  }
+  return rows;
+}
+
+class DoNotCall extends BaseModel {
+  constructor() {
+    super();
+    this.tableName = 'do_not_call';
+  }
+
+  // Add phone numbers and emails to the list
+  // entries: [{ phone, email, reason }]; contacts already listed keep their original entry.
+  // Returns how many contacts were added and how many were already listed.
+  // execute lets a disposition add the caller within its own transaction.
+  async add(entries, { source = 'admin', added_by = null, caller_id = null } = {}, execute = (sql, params) => this.query(sql, params)) {
+    try {
+      const rows = contactRows(entries);
+      if (rows.length === 0) {
+        throw AppError.validationError('Enter a phone number or an email');
+      }
+
+      const sql = `
+        INSERT IGNORE INTO ${this.tableName} (contact_type, contact, reason, source, caller_id, added_by)
+        VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}
+      `;
+
+      const result = await execute(sql, rows.flatMap(row => [...row, source, caller_id, added_by]));
+      logger.info(`Do-not-call list: ${result.affectedRows} of ${rows.length} contacts added (${source})`);
+
+      return { added: result.affectedRows, alreadyListed: rows.length - result.affectedRows };
+    } catch (error) {
+      logger.error('Error adding to the do-not-call list:', { source, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get the list with pagination, optionally searching the contacts and reasons
+  async findAll(options = {}) {
+    try {
+      const { page = 1, limit = 25, search = '', source = null } = options;
+
+      const conditions = [];
+      const params = [];
+      if (search) {
+        // A formatted or national phone number finds the stored one too
+        conditions.push('(d.contact LIKE ? OR d.contact LIKE ? OR d.reason LIKE ?)');
+        params.push(`%${search}%`, `%${toE164(search) || normalizePhone(search)}%`, `%${search}%`);
+      }
+      if (source) {
+        conditions.push('d.source = ?');
+        params.push(source);
+      }
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const totalCount = await this.queryCount(
+        `SELECT COUNT(*) as count FROM ${this.tableName} d ${whereClause}`,
+        params
+      );
+
+      const sql = `
+        SELECT d.id, d.contact_type, d.contact, d.reason, d.source, d.caller_id, d.created_at,
+               u.name as added_by_name, c.name as caller_name
+        FROM ${this.tableName} d
+        LEFT JOIN users u ON d.added_by = u.id
+        LEFT JOIN callers c ON d.caller_id = c.id
+        ${whereClause}
+        ORDER BY d.created_at DESC, d.id DESC
+        LIMIT ? OFFSET ?
+      `;
+
+      const entries = await this.query(sql, [...params, limit, (page - 1) * limit]);
+
+      return {
+        entries,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: totalCount,
+          pages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding do-not-call entries:', { options, error: error.message });
+      throw error;
+    }
+  }
+
+  // Find the entries listing any of the given emails or phone numbers
+  // Emails compare ignoring letter case and phone numbers in E.164, so formatting does not hide a match
+  async findByEmailsOrPhones(emails, phones) {
+    try {
+      const normalizedEmails = [...new Set(emails.map(normalizeEmail).filter(Boolean))];
+      const normalizedPhones = [...new Set(phones.map(phone => toE164(phone)).filter(Boolean))];
+
+      const conditions = [];
+      if (normalizedEmails.length > 0) {
+        conditions.push(`(contact_type = 'email' AND contact IN (${normalizedEmails.map(() => '?').join(', ')}))`);
+      }
+      if (normalizedPhones.length > 0) {
+        conditions.push(`(contact_type = 'phone' AND contact IN (${normalizedPhones.map(() => '?').join(', ')}))`);
+      }
+      if (conditions.length === 0) {
+        return [];
+      }
+
+      const sql = `
+        SELECT id, contact_type, contact, reason, source, created_at
+        FROM ${this.tableName}
+        WHERE ${conditions.join(' OR ')}
+        ORDER BY created_at ASC
+      `;
+
+      return await this.query(sql, [...normalizedEmails, ...normalizedPhones]);
+    } catch (error) {
+      logger.error('Error finding do-not-call entries by email or phone:', { emailCount: emails.length, phoneCount: phones.length, error: error.message });
+      throw error;
+    }
+  }
+
+  // Remove an entry from the list
+  async delete(id) {
+    try {
+      const result = await this.query(`DELETE FROM ${this.tableName} WHERE id = ?`, [id]);
+      if (result.affectedRows === 0) {
+        throw AppError.notFoundError('Do-not-call entry not found', 'DNC_ENTRY_NOT_FOUND');
+      }
+
+      logger.info(`Do-not-call entry ${id} removed`);
+      return true;
+    } catch (error) {
+      logger.error('Error removing do-not-call entry:', { id, error: error.message });
+      throw error;
+    }
+  }
+}
+
+// Create and export an instance
+const doNotCallModel = new DoNotCall();
+export default doNotCallModel;
@@ -0,0 +1,288 @@
+// ImportJob model for the Call Manager application
+// Tracks caller files imported in the background: status, progress counters and invalid rows
+
+import BaseModel from './BaseModel.js';
+import AppError from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+
+class ImportJob extends BaseModel {
+  constructor() {
+    super();
+    this.tableName = 'import_jobs';
+  }
+
+  // Queue a new import job for an uploaded file
+  async create(jobData) {
+    try {
+      const { file_path, file_name, uploaded_by, batch_id, duplicate_policy, column_mapping = null } = jobData;
+
+      const sql = `
+        INSERT INTO ${this.tableName} (file_path, file_name, uploaded_by, batch_id, duplicate_policy, column_mapping)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      const result = await this.query(sql, [
+        file_path,
+        file_name,
+        uploaded_by,
+        batch_id,
+        duplicate_policy,
+        column_mapping ? JSON.stringify(column_mapping) : null
+      ]);
+      logger.upload(`Import job ${result.insertId} queued for ${file_name} (batch ${batch_id})`);
+
+      return await this.findById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating import job:', { file_name: jobData.file_name, error: error.message });
+      throw error;
+    }
+  }
+
+  // Find import job by ID
+  async findById(id) {
+    try {
+      const sql = `
+        SELECT j.*, u.name as uploaded_by_name
+        FROM ${this.tableName} j
+        LEFT JOIN users u ON j.uploaded_by = u.id
+        WHERE j.id = ?
+      `;
+
+      const result = await this.query(sql, [id]);
+      if (!result || result.length === 0) {
+        throw AppError.notFoundError('Import job not found', 'IMPORT_JOB_NOT_FOUND');
+      }
+      return result[0];
+    } catch (error) {
+      logger.error('Error finding import job by ID:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get the most recent import jobs, newest first
+  async findRecent(limit = 25) {
+    try {
+      const sql = `
+        SELECT j.*, u.name as uploaded_by_name
+        FROM ${this.tableName} j
+        LEFT JOIN users u ON j.uploaded_by = u.id
+        ORDER BY j.created_at DESC, j.id DESC
+        LIMIT ?
+      `;
+
+      return await this.query(sql, [limit]);
+    } catch (error) {
+      logger.error('Error getting recent import jobs:', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Take the oldest queued job and mark it as processing
+  // The conditional update makes sure only one worker ever claims a job
+  async claimNext() {
+    try {
+      const queued = await this.query(
+        `SELECT id FROM ${this.tableName} WHERE status = 'queued' ORDER BY id ASC LIMIT 1`
+      );
+      if (queued.length === 0) {
+        return null;
+      }
+
+      const result = await this.query(
+        `
+          UPDATE ${this.tableName}
+          SET status = 'processing', started_at = COALESCE(started_at, NOW())
+          WHERE id = ? AND status = 'queued'
+        `,
+        [queued[0].id]
+      );
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      return await this.findById(queued[0].id);
+    } catch (error) {
+      logger.error('Error claiming import job:', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Get the file paths of the jobs still to be imported
+  async getPendingFilePaths() {
+    try {
+      const jobs = await this.query(
+        `SELECT file_path FROM ${this.tableName} WHERE status IN ('queued', 'processing')`
+      );
+      return jobs.map(job => job.file_path);
+    } catch (error) {
+      logger.error('Error getting pending import job files:', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Put jobs that were processing when the server stopped back in the queue
+  // They resume after the last row they recorded
+  async requeueInterrupted() {
+    try {
+      const result = await this.query(
+        `UPDATE ${this.tableName} SET status = 'queued' WHERE status = 'processing'`
+      );
+      if (result.affectedRows > 0) {
+        logger.info(`Requeued ${result.affectedRows} interrupted import jobs`);
+      }
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error requeueing interrupted import jobs:', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Record the row count and create the import batch the job's callers are linked to
+  // Returns the import batch ID; a resumed job keeps the batch it already has
+  async start(job, totalRows) {
+    try {
+      return await this.withTransaction(async (execute) => {
+        let importBatchId = job.import_batch_id;
+
+        if (!importBatchId) {
+          const importResult = await execute(
+            `
+              INSERT INTO import_batches (batch_id, file_name, uploaded_by, total_rows)
+              VALUES (?, ?, ?, ?)
+            `,
+            [job.batch_id, job.file_name, job.uploaded_by, totalRows]
+          );
+          importBatchId = importResult.insertId;
+        }
+
+        await execute(
+          `UPDATE ${this.tableName} SET total_rows = ?, import_batch_id = ? WHERE id = ?`,
+          [totalRows, importBatchId, job.id]
+        );
+
+        return importBatchId;
+      });
+    } catch (error) {
+      logger.error('Error starting import job:', { id: job.id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Add one processed chunk to the job's counters and store its invalid rows
+  // progress: { lastRow, processed, imported, updated, duplicates, doNotCall, invalidRows }
+  // Pass execute to record it in the transaction that imported the chunk
+  async recordChunk(id, progress, execute = null) {
+    try {
+      const { lastRow, processed, imported, updated, duplicates, doNotCall = 0, invalidRows } = progress;
+
+      const transact = execute ? work => work(execute) : work => this.withTransaction(work);
+      await transact(async (execute) => {
+        if (invalidRows.length > 0) {
+          await execute(
+            `
+              INSERT INTO import_job_errors (job_id, csv_row, csv_line, row_values, field_errors)
+              VALUES ${invalidRows.map(() => '(?, ?, ?, ?, ?)').join(', ')}
+            `,
+            invalidRows.flatMap(rowError => [
+              id,
+              rowError.row,
+              rowError.line,
+              JSON.stringify(rowError.values || {}),
+              JSON.stringify(rowError.errors)
+            ])
+          );
+        }
+
+        await execute(
+          `
+            UPDATE ${this.tableName}
+            SET last_row = ?,
+                processed_rows = processed_rows + ?,
+                imported_rows = imported_rows + ?,
+                updated_rows = updated_rows + ?,
+                duplicate_rows = duplicate_rows + ?,
+                invalid_rows = invalid_rows + ?,
+                dnc_rows = dnc_rows + ?
+            WHERE id = ?
+          `,
+          [lastRow, processed, imported, updated, duplicates, invalidRows.length, doNotCall, id]
+        );
+      });
+    } catch (error) {
+      logger.error('Error recording import job progress:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Mark a job as completed and copy its final counts onto its import batch
+  async complete(id) {
+    try {
+      await this.transaction([
+        {
+          sql: `UPDATE ${this.tableName} SET status = 'completed', finished_at = NOW() WHERE id = ?`,
+          params: [id]
+        },
+        {
+          sql: `
+            UPDATE import_batches ib
+            JOIN ${this.tableName} j ON j.import_batch_id = ib.id
+            SET ib.total_rows = j.total_rows,
+                ib.imported_rows = j.imported_rows,
+                ib.updated_rows = j.updated_rows,
+                ib.duplicate_rows = j.duplicate_rows,
+                ib.invalid_rows = j.invalid_rows,
+                ib.dnc_rows = j.dnc_rows
+            WHERE j.id = ?
+          `,
+          params: [id]
+        }
+      ]);
+      logger.upload(`Import job ${id} completed`);
+    } catch (error) {
+      logger.error('Error completing import job:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Mark a job as failed; chunks imported before the failure stay imported
+  async fail(id, message) {
+    try {
+      await this.query(
+        `UPDATE ${this.tableName} SET status = 'failed', error_message = ?, finished_at = NOW() WHERE id = ?`,
+        [message, id]
+      );
+      logger.upload(`Import job ${id} failed: ${message}`);
+    } catch (error) {
+      logger.error('Error marking import job as failed:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get a job's invalid rows in file order, shaped like importHandler row errors
+  async getErrors(id, limit = null) {
+    try {
+      const sql = `
+        SELECT csv_row, csv_line, row_values, field_errors
+        FROM import_job_errors
+        WHERE job_id = ?
+        ORDER BY csv_row ASC
+        ${limit ? 'LIMIT ?' : ''}
+      `;
+
+      const rows = await this.query(sql, limit ? [id, limit] : [id]);
+      return rows.map(row => ({
+        row: row.csv_row,
+        line: row.csv_line,
+        values: row.row_values,
+        errors: row.field_errors
+      }));
+    } catch (error) {
+      logger.error('Error getting import job errors:', { id, error: error.message });
+      throw error;
+    }
+  }
+}
+
+// Create and export an instance
+const importJobModel = new ImportJob();
+export default importJobModel;
@@ -0,0 +1,91 @@
+// ImportMappingPreset model for the Call Manager application
+// Named column mappings ({ caller field: file column }) admins can reuse on later uploads
+
+import BaseModel from './BaseModel.js';
+import AppError from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+
+class ImportMappingPreset extends BaseModel {
+  constructor() {
+    super();
+    this.tableName = 'import_mapping_presets';
+  }
+
+  // Get all presets, alphabetically
+  async findAll() {
+    try {
+      const sql = `
+        SELECT p.id, p.name, p.mapping, p.created_by, p.created_at, p.updated_at,
+               u.name as created_by_name
+        FROM ${this.tableName} p
+        LEFT JOIN users u ON p.created_by = u.id
+        ORDER BY p.name ASC
+      `;
+
+      return await this.query(sql);
+    } catch (error) {
+      logger.error('Error getting import mapping presets:', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Find preset by ID
+  async findById(id) {
+    try {
+      const sql = `
+        SELECT id, name, mapping, created_by, created_at, updated_at
+        FROM ${this.tableName}
+        WHERE id = ?
+      `;
+
+      const result = await this.query(sql, [id]);
+      if (!result || result.length === 0) {
+        throw AppError.notFoundError('Column mapping preset not found', 'IMPORT_PRESET_NOT_FOUND');
+      }
+      return result[0];
+    } catch (error) {
+      logger.error('Error finding import mapping preset by ID:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Save a mapping under a name, replacing the mapping of an existing preset with that name
+  async save(name, mapping, createdBy) {
+    try {
+      const sql = `
+        INSERT INTO ${this.tableName} (name, mapping, created_by)
+        VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE mapping = VALUES(mapping)
+      `;
+
+      await this.query(sql, [name, JSON.stringify(mapping), createdBy]);
+      logger.info(`Import mapping preset saved: ${name}`);
+
+      const result = await this.query(`SELECT id FROM ${this.tableName} WHERE name = ?`, [name]);
+      return await this.findById(result[0].id);
+    } catch (error) {
+      logger.error('Error saving import mapping preset:', { name, error: error.message });
+      throw error;
+    }
+  }
+
+  // Delete a preset
+  async delete(id) {
+    try {
+      const result = await this.query(`DELETE FROM ${this.tableName} WHERE id = ?`, [id]);
+      if (result.affectedRows === 0) {
+        throw AppError.notFoundError('Column mapping preset not found', 'IMPORT_PRESET_NOT_FOUND');
+      }
+
+      logger.info(`Import mapping preset ${id} deleted`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting import mapping preset:', { id, error: error.message });
+      throw error;
+    }
+  }
+}
+
+// Create and export an instance
+const importMappingPresetModel = new ImportMappingPreset();
+export default importMappingPresetModel;
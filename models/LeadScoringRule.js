@@ -0,0 +1,131 @@
+// LeadScoringRule model for the Call Manager application
+// Handles the admin-defined rules that add up to each caller's lead score
+
+import BaseModel from './BaseModel.js';
+import AppError from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+
+class LeadScoringRule extends BaseModel {
+  constructor() {
+    super();
+    this.tableName = 'lead_scoring_rules';
+  }
+
+  // Create a new scoring rule
+  async create(ruleData) {
+    try {
+      const { name, rule_type, field_key = null, match_value = null, points, max_units = null, is_active = true } = ruleData;
+
+      const sql = `
+        INSERT INTO ${this.tableName} (name, rule_type, field_key, match_value, points, max_units, is_active)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const result = await this.query(sql, [name, rule_type, field_key, match_value, points, max_units, is_active]);
+      logger.info(`Lead scoring rule created successfully: ${name}`);
+
+      return await this.findById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating lead scoring rule:', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Find scoring rule by ID
+  async findById(id) {
+    try {
+      const sql = `
+        SELECT id, name, rule_type, field_key, match_value, points, max_units, is_active, created_at, updated_at
+        FROM ${this.tableName}
+        WHERE id = ?
+      `;
+
+      const result = await this.query(sql, [id]);
+      if (!result || result.length === 0) {
+        throw AppError.notFoundError('Lead scoring rule not found', 'LEAD_SCORING_RULE_NOT_FOUND');
+      }
+      return result[0];
+    } catch (error) {
+      logger.error('Error finding lead scoring rule by ID:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get all scoring rules, optionally only the active ones
+  async findAll(options = {}) {
+    try {
+      const { activeOnly = false } = options;
+
+      const sql = `
+        SELECT id, name, rule_type, field_key, match_value, points, max_units, is_active, created_at, updated_at
+        FROM ${this.tableName}
+        ${activeOnly ? 'WHERE is_active = TRUE' : ''}
+        ORDER BY rule_type ASC, name ASC
+      `;
+
+      return await this.query(sql);
+    } catch (error) {
+      logger.error('Error finding all lead scoring rules:', { options, error: error.message });
+      throw error;
+    }
+  }
+
+  // Update scoring rule
+  // The type and field stay fixed; a rule for something else is a new rule
+  async update(id, updateData) {
+    try {
+      await this.findById(id);
+      const allowedFields = ['name', 'match_value', 'points', 'max_units', 'is_active'];
+      const updates = [];
+      const params = [];
+
+      for (const [key, value] of Object.entries(updateData)) {
+        if (allowedFields.includes(key) && value !== undefined) {
+          updates.push(`${key} = ?`);
+          params.push(value);
+        }
+      }
+
+      if (updates.length === 0) {
+        throw AppError.validationError('No valid fields to update');
+      }
+
+      updates.push('updated_at = NOW()');
+      params.push(id);
+
+      const sql = `
+        UPDATE ${this.tableName}
+        SET ${updates.join(', ')}
+        WHERE id = ?
+      `;
+
+      await this.query(sql, params);
+
+      logger.info(`Lead scoring rule updated successfully: ID ${id}`);
+      return await this.findById(id);
+    } catch (error) {
+      logger.error('Error updating lead scoring rule:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Delete scoring rule
+  async delete(id) {
+    try {
+      const result = await this.query(`DELETE FROM ${this.tableName} WHERE id = ?`, [id]);
+      if (result.affectedRows === 0) {
+        throw AppError.notFoundError('Lead scoring rule not found', 'LEAD_SCORING_RULE_NOT_FOUND');
+      }
+
+      logger.info(`Lead scoring rule ${id} deleted`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting lead scoring rule:', { id, error: error.message });
+      throw error;
+    }
+  }
+}
+
+// Create and export an instance
+const leadScoringRuleModel = new LeadScoringRule();
+export default leadScoringRuleModel;
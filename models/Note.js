@@ -0,0 +1,119 @@
+// Note model for the Call Manager application
+// Handles notes written by employees against callers
+
+import BaseModel from './BaseModel.js';
+import AppError from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+
+class Note extends BaseModel {
+  constructor() {
+    super();
+    this.tableName = 'caller_notes';
+  }
+
+  // Create a new note for a caller
+  async create(noteData) {
+    try {
+      const { caller_id, author_id, note } = noteData;
+
+      const sql = `
+        INSERT INTO ${this.tableName} (caller_id, author_id, note)
+        VALUES (?, ?, ?)
+      `;
+
+      const result = await this.query(sql, [caller_id, author_id, note]);
+      logger.upload(`Note added to caller ${caller_id} by user ${author_id}`);
+
+      return await this.findById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating note:', { caller_id: noteData.caller_id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Find note by ID
+  async findById(id) {
+    try {
+      const sql = `
+        SELECT n.id, n.caller_id, n.author_id, n.note, n.created_at, n.updated_at,
+               u.name as author_name
+        FROM ${this.tableName} n
+        LEFT JOIN users u ON n.author_id = u.id
+        WHERE n.id = ?
+      `;
+
+      const result = await this.query(sql, [id]);
+      if (!result || result.length === 0) {
+        throw AppError.notFoundError('Note not found', 'NOTE_NOT_FOUND');
+      }
+      return result[0];
+    } catch (error) {
+      logger.error('Error finding note by ID:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get all notes for a caller, newest first
+  async findByCaller(callerId) {
+    try {
+      const sql = `
+        SELECT n.id, n.caller_id, n.author_id, n.note, n.created_at, n.updated_at,
+               u.name as author_name
+        FROM ${this.tableName} n
+        LEFT JOIN users u ON n.author_id = u.id
+        WHERE n.caller_id = ?
+        ORDER BY n.created_at DESC, n.id DESC
+      `;
+
+      return await this.query(sql, [callerId]);
+    } catch (error) {
+      logger.error('Error getting notes for caller:', { callerId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Update the text of a note
+  async update(id, note) {
+    try {
+      const sql = `
+        UPDATE ${this.tableName}
+        SET note = ?, updated_at = NOW()
+        WHERE id = ?
+      `;
+
+      const result = await this.query(sql, [note, id]);
+
+      if (result.affectedRows === 0) {
+        throw AppError.notFoundError('Note not found', 'NOTE_NOT_FOUND');
+      }
+
+      logger.upload(`Note updated successfully: ID ${id}`);
+      return await this.findById(id);
+    } catch (error) {
+      logger.error('Error updating note:', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Delete note
+  async delete(id) {
+    try {
+      const sql = `DELETE FROM ${this.tableName} WHERE id = ?`;
+      const result = await this.query(sql, [id]);
+
+      if (result.affectedRows === 0) {
+        throw AppError.notFoundError('Note not found', 'NOTE_NOT_FOUND');
+      }
+
+      logger.upload(`Note deleted successfully: ID ${id}`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting note:', { id, error: error.message });
+      throw error;
+    }
+  }
+}
+
+// Create and export an instance
+const noteModel = new Note();
+export default noteModel;
@@ -5,6 +5,8 @@ import BaseModel from './BaseModel.js';
 import bcrypt from 'bcrypt';
 import AppError from '../utils/AppError.js';
 import logger from '../utils/logger.js';
+import config from '../config/index.js';
+import { toE164 } from '../utils/normalize.js';
 
 class User extends BaseModel {
   constructor() {
@@ -22,11 +24,11 @@ class User extends BaseModel {
       console.log('Hashed Password:', hashedPassword);
 
       const sql = `
-        INSERT INTO ${this.tableName} (name, email, phone, password, role_id)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO ${this.tableName} (name, email, phone, phone_e164, password, role_id)
+        VALUES (?, ?, ?, ?, ?, ?)
       `;
       
-      const params = [name, email, phone, hashedPassword, role_id];
+      const params = [name, email, phone, toE164(phone), hashedPassword, role_id];
       console.log('Hashed Password:', hashedPassword);
       const result = await this.query(sql, params);
       logger.auth(`User created successfully: ${email}`);
@@ -64,7 +66,7 @@ class User extends BaseModel {
       
       const users = await this.query(sql, [id]);
       if (!users || users.length === 0) {
-        throw AppError.notFoundError('User not found');
+        throw AppError.notFoundError('User not found', 'USER_NOT_FOUND');
       }
       const user = users[0];
       return user;
@@ -95,7 +97,7 @@ class User extends BaseModel {
     }
   }
 
-  // Find user by phone
+  // Find user by phone, compared in E.164 so any formatting of the number finds the user
   async findByPhone(phone) {
     try {
       const sql = `
@@ -103,10 +105,10 @@ class User extends BaseModel {
                r.name as role_name
         FROM ${this.tableName} u
         JOIN roles r ON u.role_id = r.id
-        WHERE u.phone = ?
+        WHERE u.phone_e164 = ?
       `;
       
-      const users = await this.query(sql, [phone]);
+      const users = await this.query(sql, [toE164(phone)]);
       if (!users || users.length === 0) return null;
       return users[0];
     } catch (error) {
@@ -215,6 +217,11 @@ class User extends BaseModel {
         }
       }
 
+      if (updateData.phone !== undefined) {
+        updates.push('phone_e164 = ?');
+        params.push(toE164(updateData.phone));
+      }
+
       if (updates.length === 0) {
         throw AppError.validationError('No valid fields to update');
       }
@@ -231,7 +238,7 @@ class User extends BaseModel {
       const result = await this.query(sql, params);
       
       if (result.affectedRows === 0) {
-        throw AppError.notFoundError('User not found');
+        throw AppError.notFoundError('User not found', 'USER_NOT_FOUND');
       }
       
       logger.auth(`User updated successfully: ID ${id}`);
@@ -255,7 +262,7 @@ class User extends BaseModel {
       const result = await this.query(sql, [id]);
       
       if (result.affectedRows === 0) {
-        throw AppError.notFoundError('User not found');
+        throw AppError.notFoundError('User not found', 'USER_NOT_FOUND');
       }
       
       logger.auth(`User deleted successfully: ID ${id}`);
@@ -294,13 +301,14 @@ class User extends BaseModel {
           u.phone,
           COUNT(c.id) as caller_count
         FROM ${this.tableName} u
-        LEFT JOIN callers c ON u.id = c.assigned_to AND c.status = 'active'
+        LEFT JOIN callers c ON u.id = c.assigned_to
+          AND c.status IN (${config.calls.openStatuses.map(() => '?').join(', ')})
         WHERE u.role_id = 2
         GROUP BY u.id, u.name, u.email, u.phone
         ORDER BY caller_count ASC, u.name ASC
       `;
       
-      return await this.query(sql);
+      return await this.query(sql, config.calls.openStatuses);
     } catch (error) {
       logger.error('Error getting employees with caller count:', error);
       throw error;
@@ -317,8 +325,8 @@ class User extends BaseModel {
         whereClause = 'WHERE email = ?';
         params = [conditions.email];
       } else if (conditions.phone) {
-        whereClause = 'WHERE phone = ?';
-        params = [conditions.phone];
+        whereClause = 'WHERE phone_e164 = ?';
+        params = [toE164(conditions.phone)];
       } else if (conditions.id) {
         whereClause = 'WHERE id = ?';
         params = [conditions.id];
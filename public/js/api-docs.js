@@ -0,0 +1,80 @@
+// Interactive API documentation for the Call Manager application
+// Sends the "Try it" forms of /api/docs to the API with the token typed at the top of the page
+
+const ApiDocs = {
+  init() {
+    document.querySelectorAll('form[data-api-operation]').forEach(form => {
+      form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        this.send(form);
+      });
+    });
+  },
+
+  // Build the request from the form: path and query parameters, and the JSON body
+  buildRequest(form) {
+    let url = form.dataset.path;
+    const query = new URLSearchParams();
+
+    form.querySelectorAll('input[data-in]').forEach(input => {
+      const value = input.value.trim();
+      if (input.dataset.in === 'path') {
+        url = url.replace(`{${input.name}}`, encodeURIComponent(value));
+      } else if (value !== '') {
+        query.append(input.name, value);
+      }
+    });
+
+    const headers = { Accept: 'application/json' };
+    const token = document.getElementById('api-token').value.trim();
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    const request = { method: form.dataset.method, headers };
+    const body = form.querySelector('textarea[name="body"]');
+    if (body) {
+      JSON.parse(body.value); // Throws on malformed JSON before anything is sent
+      headers['Content-Type'] = 'application/json';
+      request.body = body.value;
+    }
+
+    return { url: query.toString() ? `${url}?${query}` : url, request };
+  },
+
+  async send(form) {
+    const output = form.querySelector('[data-api-response]');
+    const button = form.querySelector('button[type="submit"]');
+    output.classList.remove('d-none');
+
+    let url;
+    let request;
+    try {
+      ({ url, request } = this.buildRequest(form));
+    } catch (error) {
+      output.textContent = `The request body is not valid JSON: ${error.message}`;
+      return;
+    }
+
+    button.disabled = true;
+    output.textContent = `${request.method} ${url} ...`;
+
+    try {
+      const response = await fetch(url, request);
+      const text = await response.text();
+      let body = text;
+      try {
+        body = JSON.stringify(JSON.parse(text), null, 2);
+      } catch (error) {
+        // Not JSON (e.g. an empty 204); shown as it came
+      }
+      output.textContent = `${request.method} ${url}\n${response.status} ${response.statusText}\n\n${body}`;
+    } catch (error) {
+      output.textContent = `${request.method} ${url}\nRequest failed: ${error.message}`;
+    } finally {
+      button.disabled = false;
+    }
+  }
+};
+
+document.addEventListener('DOMContentLoaded', () => ApiDocs.init());
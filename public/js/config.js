@@ -4,10 +4,10 @@
 const FrontendConfig = {
   // File upload limits
   upload: {
-    maxFileSize: 1 * 1024 * 1024, // 1MB in bytes
-    maxFileSizeMB: 1, // 1MB in human readable format
-    allowedMimeTypes: ['text/csv'],
-    allowedExtensions: ['.csv']
+    maxFileSize: 20 * 1024 * 1024, // 20MB in bytes
+    maxFileSizeMB: 20, // 20MB in human readable format
+    allowedMimeTypes: ['text/csv', 'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/json'],
+    allowedExtensions: ['.csv', '.xlsx', '.json']
   },
 
   // Validation rules
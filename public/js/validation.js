@@ -33,13 +33,13 @@ class ValidationUtils {
            name.trim().length <= FrontendConfig.validation.name.maxLength;
   }
 
-  // File validation for CSV uploads
+  // File validation for caller uploads (CSV, XLSX or JSON)
   static isValidCSVFile(file) {
     if (!file) return { valid: false, message: 'Please select a file' };
     
     if (!FrontendConfig.upload.allowedMimeTypes.includes(file.type) && 
         !FrontendConfig.upload.allowedExtensions.some(ext => file.name.endsWith(ext))) {
-      return { valid: false, message: 'Only CSV files are allowed' };
+      return { valid: false, message: 'Only CSV, XLSX and JSON files are allowed' };
     }
     
     if (file.size > FrontendConfig.upload.maxFileSize) {
@@ -38,35 +38,199 @@ router.delete('/users/:id', asyncHandler(adminController.deleteUser));
 // GET /admin/callers - Caller management page
 router.get('/callers', asyncHandler(adminController.showCallers));
 
+// GET /admin/callers/export - Export filtered callers as CSV with selectable columns
+router.get('/callers/export', asyncHandler(adminController.exportCallers));
+
 // GET /admin/callers/new - Show create caller form
-router.get('/callers/new', adminController.showCreateCaller);
+router.get('/callers/new', asyncHandler(adminController.showCreateCaller));
 
 // POST /admin/callers - Create new caller
 router.post('/callers', asyncHandler(adminController.createCaller));
 
-// GET /admin/callers/upload - Show CSV upload form
+// GET /admin/callers/upload - Show caller upload form
 router.get(
   '/callers/upload',
 //   csrfProtection,
   adminController.showUploadCallers
 );
 
-// POST /admin/callers/upload - Handle CSV upload
+// POST /admin/callers/upload - Handle caller file upload (CSV, XLSX or JSON)
 // router.post('/callers/upload', adminController.getUpload().single('csvFile'), csrfProtection, asyncHandler(adminController.handleCSVUpload));
 
 router.post(
   '/callers/upload',
-  adminController.getUpload().single('csvFile'), // parse file first
+  adminController.getUpload().single('importFile'), // parse file first
   csrfProtection, // then validate CSRF
-  asyncHandler(adminController.handleCSVUpload)
+  asyncHandler(adminController.handleImportUpload)
 );
 
+// GET /admin/callers/upload/mapping - Map the uploaded file's columns to caller fields
+router.get('/callers/upload/mapping', asyncHandler(adminController.showColumnMapping));
+
+// POST /admin/callers/upload/mapping - Save the column mapping and continue to the preview or a background job
+router.post('/callers/upload/mapping', asyncHandler(adminController.saveColumnMapping));
+
+// POST /admin/callers/upload/presets/:id/delete - Delete a saved column mapping preset
+router.post('/callers/upload/presets/:id/delete', asyncHandler(adminController.deleteMappingPreset));
+
+// GET /admin/callers/upload/preview - Review a parsed upload before importing
+router.get('/callers/upload/preview', asyncHandler(adminController.showImportPreview));
+
+// POST /admin/callers/upload/confirm - Import the previewed rows
+router.post('/callers/upload/confirm', asyncHandler(adminController.confirmImport));
+
+// GET /admin/callers/upload/summary - Show the outcome of the last confirmed import
+router.get('/callers/upload/summary', adminController.showImportSummary);
+
+// GET /admin/callers/upload/errors - Download the invalid rows as a CSV report
+router.get('/callers/upload/errors', asyncHandler(adminController.downloadImportErrors));
+
+// POST /admin/callers/upload/cancel - Discard the pending import
+router.post('/callers/upload/cancel', adminController.cancelImport);
+
+// GET /admin/imports - Recent background import jobs
+router.get('/imports', asyncHandler(adminController.showImportJobs));
+
+// GET /admin/imports/:id - Background import job progress page
+router.get('/imports/:id', asyncHandler(adminController.showImportJob));
+
+// GET /admin/imports/:id/status - Background import job progress as JSON (polled by the job page)
+router.get('/imports/:id/status', asyncHandler(adminController.getImportJobStatus));
+
+// GET /admin/imports/:id/errors - Download a background import job's invalid rows as a CSV report
+router.get('/imports/:id/errors', asyncHandler(adminController.downloadImportJobErrors));
+
 // GET /admin/callers/download-template - Download CSV template
-router.get('/callers/download-template', adminController.downloadCSVTemplate);
+router.get('/callers/download-template', asyncHandler(adminController.downloadCSVTemplate));
+
+// GET /admin/callers/:id - View caller details and notes
+router.get('/callers/:id', asyncHandler(adminController.showCallerDetails));
+
+// POST /admin/callers/:id/priority - Set a caller's priority
+router.post('/callers/:id/priority', asyncHandler(adminController.setCallerPriority));
+
+// POST /admin/callers/:id/timezone - Set a caller's timezone
+router.post('/callers/:id/timezone', asyncHandler(adminController.setCallerTimezone));
 
 // POST /admin/callers/assign - Assign callers to employees
 router.post('/callers/assign', asyncHandler(adminController.assignCallers));
 
+// POST /admin/callers/reassign - Move callers to another employee
+router.post('/callers/reassign', asyncHandler(adminController.reassignCallers));
+
+// POST /admin/callers/unassign - Release callers back to the unassigned pool
+router.post('/callers/unassign', asyncHandler(adminController.unassignCallers));
+
+// POST /admin/callers/auto-assign - Distribute unassigned callers automatically
+router.post('/callers/auto-assign', asyncHandler(adminController.autoAssignCallers));
+
+// GET /admin/dispositions - Call disposition catalogue
+router.get('/dispositions', asyncHandler(adminController.showDispositions));
+
+// POST /admin/dispositions - Create new disposition
+router.post('/dispositions', asyncHandler(adminController.createDisposition));
+
+// POST /admin/dispositions/:id - Update disposition
+router.post('/dispositions/:id', asyncHandler(adminController.updateDisposition));
+
+// GET /admin/caller-fields - Custom caller field definitions
+router.get('/caller-fields', asyncHandler(adminController.showCallerFields));
+
+// POST /admin/caller-fields - Create new custom caller field
+router.post('/caller-fields', asyncHandler(adminController.createCallerField));
+
+// POST /admin/caller-fields/:id - Update custom caller field
+router.post('/caller-fields/:id', asyncHandler(adminController.updateCallerField));
+
+// GET /admin/lead-scoring - Lead scoring rules
+router.get('/lead-scoring', asyncHandler(adminController.showLeadScoring));
+
+// POST /admin/lead-scoring/rules - Create new scoring rule
+router.post('/lead-scoring/rules', asyncHandler(adminController.createLeadScoringRule));
+
+// POST /admin/lead-scoring/rules/:id - Update scoring rule
+router.post('/lead-scoring/rules/:id', asyncHandler(adminController.updateLeadScoringRule));
+
+// POST /admin/lead-scoring/rules/:id/delete - Delete scoring rule
+router.post('/lead-scoring/rules/:id/delete', asyncHandler(adminController.deleteLeadScoringRule));
+
+// POST /admin/lead-scoring/recalculate - Recalculate every caller's lead score
+router.post('/lead-scoring/recalculate', asyncHandler(adminController.recalculateLeadScores));
+
+// GET /admin/do-not-call - Do-not-call list
+router.get('/do-not-call', asyncHandler(adminController.showDoNotCall));
+
+// POST /admin/do-not-call - Add a phone number and/or email to the do-not-call list
+router.post('/do-not-call', asyncHandler(adminController.addDoNotCall));
+
+// POST /admin/do-not-call/upload - Bulk-add a file of phone numbers and emails (CSV, XLSX or JSON)
+router.post(
+  '/do-not-call/upload',
+  adminController.getUpload().single('dncFile'), // parse file first
+  csrfProtection, // then validate CSRF
+  asyncHandler(adminController.uploadDoNotCall)
+);
+
+// POST /admin/do-not-call/:id/delete - Remove an entry from the do-not-call list
+router.post('/do-not-call/:id/delete', asyncHandler(adminController.deleteDoNotCall));
+
+// GET /admin/calling-hours - Calling windows, global and per campaign
+router.get('/calling-hours', asyncHandler(adminController.showCallingHours));
+
+// POST /admin/calling-hours/windows - Add a calling window on one or more days
+router.post('/calling-hours/windows', asyncHandler(adminController.createCallingWindow));
+
+// POST /admin/calling-hours/windows/:id/delete - Delete calling window
+router.post('/calling-hours/windows/:id/delete', asyncHandler(adminController.deleteCallingWindow));
+
+// GET /admin/campaigns - Campaign list
+router.get('/campaigns', asyncHandler(adminController.showCampaigns));
+
+// GET /admin/campaigns/new - Show create campaign form
+router.get('/campaigns/new', asyncHandler(adminController.showCreateCampaign));
+
+// POST /admin/campaigns - Create new campaign
+router.post('/campaigns', asyncHandler(adminController.createCampaign));
+
+// GET /admin/campaigns/:id/edit - Show edit campaign form
+router.get('/campaigns/:id/edit', asyncHandler(adminController.showEditCampaign));
+
+// POST /admin/campaigns/:id - Update campaign
+router.post('/campaigns/:id', asyncHandler(adminController.updateCampaign));
+
+// POST /admin/campaigns/:id/delete - Delete campaign
+router.post('/campaigns/:id/delete', asyncHandler(adminController.deleteCampaign));
+
+// POST /admin/campaigns/:id/callers - Attach a batch of callers to a campaign
+router.post('/campaigns/:id/callers', asyncHandler(adminController.attachCampaignBatch));
+
+// GET /admin/scripts - Call script list
+router.get('/scripts', asyncHandler(adminController.showCallScripts));
+
+// GET /admin/scripts/new - Show create call script form
+router.get('/scripts/new', asyncHandler(adminController.showCreateCallScript));
+
+// POST /admin/scripts - Create new call script
+router.post('/scripts', asyncHandler(adminController.createCallScript));
+
+// GET /admin/scripts/:id/edit - Show edit call script form
+router.get('/scripts/:id/edit', asyncHandler(adminController.showEditCallScript));
+
+// POST /admin/scripts/:id - Update call script
+router.post('/scripts/:id', asyncHandler(adminController.updateCallScript));
+
+// POST /admin/scripts/:id/batches - Use a call script for an upload batch
+router.post('/scripts/:id/batches', asyncHandler(adminController.attachCallScriptBatch));
+
+// POST /admin/scripts/:id/batches/delete - Stop using a call script for an upload batch
+router.post('/scripts/:id/batches/delete', asyncHandler(adminController.detachCallScriptBatch));
+
+// GET /admin/callbacks - Overdue callbacks across all employees
+router.get('/callbacks', asyncHandler(adminController.showOverdueCallbacks));
+
+// POST /admin/callbacks/:id/reassign - Reassign a callback to another employee
+router.post('/callbacks/:id/reassign', asyncHandler(adminController.reassignCallback));
+
 // GET /admin/system - System administration page
 router.get('/system', asyncHandler(adminController.showSystem));
 
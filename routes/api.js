@@ -0,0 +1,85 @@
+// JSON API routes for the Call Manager application
+// Mounted at /api/v1; every route needs a personal API token with the scope named here
+
+import express from 'express';
+import { requireApiToken, requireScope, requireApiRole } from '../middlewares/auth.js';
+import { asyncHandler, apiNotFoundHandler } from '../middlewares/errorHandler.js';
+import apiController from '../controller/apiController.js';
+
+const router = express.Router();
+
+// All API routes require a valid API token
+router.use(asyncHandler(requireApiToken));
+
+// GET /api/v1/me - Get the token's user and scopes
+router.get('/me', asyncHandler(apiController.me));
+
+// Users
+// GET /api/v1/users - List users
+router.get('/users', requireScope('users:read'), asyncHandler(apiController.listUsers));
+
+// GET /api/v1/users/:id - Get a user
+router.get('/users/:id', requireScope('users:read'), asyncHandler(apiController.getUser));
+
+// POST /api/v1/users - Create a user
+router.post('/users', requireScope('users:write'), asyncHandler(apiController.createUser));
+
+// PATCH /api/v1/users/:id - Update a user
+router.patch('/users/:id', requireScope('users:write'), asyncHandler(apiController.updateUser));
+
+// DELETE /api/v1/users/:id - Delete a user
+router.delete('/users/:id', requireScope('users:write'), asyncHandler(apiController.deleteUser));
+
+// Callers
+// GET /api/v1/callers - List callers (employees: their own)
+router.get('/callers', requireScope('callers:read'), asyncHandler(apiController.listCallers));
+
+// GET /api/v1/callers/:id - Get a caller
+router.get('/callers/:id', requireScope('callers:read'), asyncHandler(apiController.getCaller));
+
+// POST /api/v1/callers - Create a caller (admins)
+router.post('/callers', requireScope('callers:write'), requireApiRole(['super_admin']), asyncHandler(apiController.createCaller));
+
+// PATCH /api/v1/callers/:id - Update a caller (employees: their own)
+router.patch('/callers/:id', requireScope('callers:write'), asyncHandler(apiController.updateCaller));
+
+// DELETE /api/v1/callers/:id - Delete a caller (admins)
+router.delete('/callers/:id', requireScope('callers:write'), requireApiRole(['super_admin']), asyncHandler(apiController.deleteCaller));
+
+// Assignments
+// GET /api/v1/callers/:id/assignments - Get a caller's assignment timeline
+router.get('/callers/:id/assignments', requireScope('assignments:read'), asyncHandler(apiController.listCallerAssignments));
+
+// POST /api/v1/assignments - Assign unassigned callers to an employee
+router.post('/assignments', requireScope('assignments:write'), asyncHandler(apiController.assignCallers));
+
+// POST /api/v1/assignments/reassign - Move callers to another employee
+router.post('/assignments/reassign', requireScope('assignments:write'), asyncHandler(apiController.reassignCallers));
+
+// POST /api/v1/assignments/unassign - Release callers back to the unassigned pool
+router.post('/assignments/unassign', requireScope('assignments:write'), asyncHandler(apiController.unassignCallers));
+
+// Notes
+// GET /api/v1/callers/:id/notes - List a caller's notes
+router.get('/callers/:id/notes', requireScope('notes:read'), asyncHandler(apiController.listCallerNotes));
+
+// POST /api/v1/callers/:id/notes - Add a note to a caller
+router.post('/callers/:id/notes', requireScope('notes:write'), asyncHandler(apiController.addCallerNote));
+
+// PATCH /api/v1/notes/:id - Edit one of your notes
+router.patch('/notes/:id', requireScope('notes:write'), asyncHandler(apiController.updateNote));
+
+// DELETE /api/v1/notes/:id - Delete one of your notes
+router.delete('/notes/:id', requireScope('notes:write'), asyncHandler(apiController.deleteNote));
+
+// Reports
+// GET /api/v1/reports/summary - Caller statistics (employees: their own callers)
+router.get('/reports/summary', requireScope('reports:read'), asyncHandler(apiController.reportSummary));
+
+// GET /api/v1/reports/employees - Employees with their open caller counts (admins)
+router.get('/reports/employees', requireScope('reports:read'), requireApiRole(['super_admin']), asyncHandler(apiController.reportEmployees));
+
+// Anything else under /api/v1
+router.use(apiNotFoundHandler);
+
+export default router;
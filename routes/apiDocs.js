@@ -0,0 +1,15 @@
+// API documentation routes for the Call Manager application
+// Mounted at /api/docs; public, so integrators can read them before they have a token
+
+import express from 'express';
+import apiController from '../controller/apiController.js';
+
+const router = express.Router();
+
+// GET /api/docs - Show the interactive API documentation
+router.get('/', apiController.showDocs);
+
+// GET /api/docs/openapi.json - Get the OpenAPI 3 document of /api/v1
+router.get('/openapi.json', apiController.openApiDocument);
+
+export default router;
@@ -2,7 +2,7 @@
 // Handles user login, logout, and authentication-related functionality
 
 import express from 'express';
-import { requireGuest, requireAuth } from '../middlewares/auth.js';
+import { requireGuest, requireAuth, loadUser } from '../middlewares/auth.js';
 import { asyncHandler } from '../middlewares/errorHandler.js';
 import authController from '../controller/authController.js';
 
@@ -17,7 +17,13 @@ router.post('/login', requireGuest, asyncHandler(authController.handleLogin));
 // GET /auth/logout - Handle user logout
 router.get('/logout', requireAuth, authController.handleLogout);
 
-// GET /auth/profile - Show user profile
-router.get('/profile', requireAuth, asyncHandler(authController.showProfile));
+// GET /auth/profile - Show user profile and API tokens
+router.get('/profile', requireAuth, loadUser, asyncHandler(authController.showProfile));
+
+// POST /auth/profile/tokens - Create a personal API token
+router.post('/profile/tokens', requireAuth, loadUser, asyncHandler(authController.createApiToken));
+
+// POST /auth/profile/tokens/:id/revoke - Revoke a personal API token
+router.post('/profile/tokens/:id/revoke', requireAuth, loadUser, asyncHandler(authController.revokeApiToken));
 
 export default router;
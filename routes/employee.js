@@ -1,5 +1,5 @@
 // Employee routes for the Call Manager application
-// Handles employee functionality including viewing assigned callers and marking them as called
+// Handles employee functionality including viewing assigned callers and recording their calls
 
 import express from 'express';
 import { requireEmployee, requireAuth } from '../middlewares/auth.js';
@@ -17,11 +17,23 @@ router.get('/dashboard', asyncHandler(employeeController.showDashboard));
 // GET /employee/callers - View assigned callers
 router.get('/callers', asyncHandler(employeeController.showCallers));
 
+// GET /employee/queue/next - Serve the next caller of the dialing queue
+router.get('/queue/next', asyncHandler(employeeController.nextInQueue));
+
 // GET /employee/callers/:id - View caller details
 router.get('/callers/:id', asyncHandler(employeeController.showCallerDetails));
 
-// POST /employee/callers/:id/mark-called - Mark caller as called
-router.post('/callers/:id/mark-called', asyncHandler(employeeController.markCallerAsCalled));
+// POST /employee/callers/:id/disposition - Record call disposition
+router.post('/callers/:id/disposition', asyncHandler(employeeController.recordDisposition));
+
+// POST /employee/callers/:id/consent - Record the caller's consent to be called
+router.post('/callers/:id/consent', asyncHandler(employeeController.recordConsent));
+
+// POST /employee/callers/:id/callbacks - Schedule a callback
+router.post('/callers/:id/callbacks', asyncHandler(employeeController.scheduleCallback));
+
+// POST /employee/callbacks/:id/complete - Mark a callback as done
+router.post('/callbacks/:id/complete', asyncHandler(employeeController.completeCallback));
 
 // GET /employee/callers/:id/edit - Show edit caller form
 router.get('/callers/:id/edit', asyncHandler(employeeController.showEditCaller));
@@ -29,6 +41,9 @@ router.get('/callers/:id/edit', asyncHandler(employeeController.showEditCaller))
 // PUT /employee/callers/:id - Update caller
 router.put('/callers/:id', asyncHandler(employeeController.updateCaller));
 
+// POST /employee/callers/:id - Update caller from the edit form
+router.post('/callers/:id', asyncHandler(employeeController.updateCaller));
+
 // GET /employee/profile - Employee profile page
 router.get('/profile', employeeController.showProfile);
 
@@ -44,6 +59,15 @@ router.get('/help', employeeController.showHelp);
 // POST /employee/callers/:id/add-note - Add note to caller
 router.post('/callers/:id/add-note', asyncHandler(employeeController.addNoteToCaller));
 
+// GET /employee/callers/:id/notes - List notes for caller
+router.get('/callers/:id/notes', asyncHandler(employeeController.listCallerNotes));
+
+// PUT /employee/callers/:id/notes/:noteId - Edit a note
+router.put('/callers/:id/notes/:noteId', asyncHandler(employeeController.updateCallerNote));
+
+// DELETE /employee/callers/:id/notes/:noteId - Delete a note
+router.delete('/callers/:id/notes/:noteId', asyncHandler(employeeController.deleteCallerNote));
+
 // GET /employee/callers/:id/history - View caller call history
 router.get('/callers/:id/history', asyncHandler(employeeController.showCallerHistory));
 
@@ -24,6 +24,10 @@ INSERT INTO callers (name, email, phone, batch_id) VALUES
 ('Noah Young', 'noah@example.com', '+1234567908', 'BATCH_005'),
 ('Olivia Hall', 'olivia@example.com', '+1234567909', 'BATCH_005');
 
+-- The sample phone numbers are already written in E.164
+UPDATE users SET phone_e164 = phone WHERE phone_e164 IS NULL;
+UPDATE callers SET phone_e164 = phone WHERE phone_e164 IS NULL;
+
 -- Assign some callers to employees for testing
 UPDATE callers SET assigned_to = 2, assigned_at = NOW() WHERE id IN (1, 2, 3);
 UPDATE callers SET assigned_to = 3, assigned_at = NOW() WHERE id IN (4, 5, 6);
@@ -6,8 +6,26 @@ CREATE DATABASE IF NOT EXISTS call_assignment;
 USE call_assignment;
 
 -- Drop tables if they exist (for clean setup)
+DROP TABLE IF EXISTS api_tokens;
+DROP TABLE IF EXISTS do_not_call;
+DROP TABLE IF EXISTS callbacks;
+DROP TABLE IF EXISTS call_attempts;
+DROP TABLE IF EXISTS caller_notes;
 DROP TABLE IF EXISTS caller_assignment_log;
 DROP TABLE IF EXISTS callers;
+DROP TABLE IF EXISTS calling_windows;
+DROP TABLE IF EXISTS campaign_dispositions;
+DROP TABLE IF EXISTS campaign_members;
+DROP TABLE IF EXISTS campaigns;
+DROP TABLE IF EXISTS call_script_batches;
+DROP TABLE IF EXISTS call_scripts;
+DROP TABLE IF EXISTS import_job_errors;
+DROP TABLE IF EXISTS import_jobs;
+DROP TABLE IF EXISTS import_batches;
+DROP TABLE IF EXISTS import_mapping_presets;
+DROP TABLE IF EXISTS lead_scoring_rules;
+DROP TABLE IF EXISTS caller_fields;
+DROP TABLE IF EXISTS dispositions;
 DROP TABLE IF EXISTS users;
 DROP TABLE IF EXISTS roles;
 
@@ -20,11 +38,14 @@ CREATE TABLE roles (
 );
 
 -- Create users table
+-- phone keeps the number as entered for display; phone_e164 is the same number in E.164
+-- (see toE164 in utils/normalize.js), so differently formatted copies of a number clash
 CREATE TABLE users (
     id INT PRIMARY KEY AUTO_INCREMENT,
     name VARCHAR(100) NOT NULL,
     email VARCHAR(255) NOT NULL UNIQUE,
-    phone VARCHAR(20) NOT NULL UNIQUE,
+    phone VARCHAR(20) NOT NULL,
+    phone_e164 VARCHAR(16) NULL UNIQUE,
     password VARCHAR(255) NOT NULL,
     role_id INT NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -35,58 +56,407 @@ CREATE TABLE users (
     INDEX idx_role_id (role_id)
 );
 
+-- Create dispositions table (admin-managed catalogue of call results)
+-- Final dispositions close the caller, retryable ones keep it in the queue
+-- adds_to_dnc puts the caller's phone and email on the do-not-call list
+CREATE TABLE dispositions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    code VARCHAR(50) NOT NULL UNIQUE,
+    label VARCHAR(100) NOT NULL,
+    is_final BOOLEAN NOT NULL DEFAULT FALSE,
+    adds_to_dnc BOOLEAN NOT NULL DEFAULT FALSE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_is_active (is_active)
+);
+
+-- Create call scripts table
+-- body may hold placeholders such as {{caller.name}}; questions is a JSON array of
+-- { key, text, options, show_if } where show_if ({ key, answer }) makes a question branch
+CREATE TABLE call_scripts (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    body TEXT NOT NULL,
+    questions JSON NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Create call script batches table (the script used for the callers of an upload batch)
+CREATE TABLE call_script_batches (
+    batch_id VARCHAR(50) PRIMARY KEY,
+    script_id INT NOT NULL,
+    FOREIGN KEY (script_id) REFERENCES call_scripts(id) ON DELETE CASCADE
+);
+
+-- Create campaigns table
+-- Status lifecycle: draft -> active <-> paused -> completed; callers of a paused campaign
+-- are hidden from employee queues and auto-assignment
+CREATE TABLE campaigns (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT NULL,
+    start_date DATE NULL,
+    end_date DATE NULL,
+    status ENUM('draft', 'active', 'paused', 'completed') NOT NULL DEFAULT 'draft',
+    script_id INT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (script_id) REFERENCES call_scripts(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_status (status)
+);
+
+-- Create calling windows table (when callers may be phoned, in the caller's own timezone)
+-- Windows without a campaign apply to every caller whose campaign has no windows of its own
+CREATE TABLE calling_windows (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    campaign_id INT NULL,
+    day_of_week TINYINT NOT NULL, -- 0 = Sunday ... 6 = Saturday
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE,
+    INDEX idx_campaign_day (campaign_id, day_of_week)
+);
+
+-- Create campaign members table (the team of employees working a campaign)
+CREATE TABLE campaign_members (
+    campaign_id INT NOT NULL,
+    user_id INT NOT NULL,
+    PRIMARY KEY (campaign_id, user_id),
+    FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create campaign dispositions table (the dispositions employees may pick on a campaign's callers)
+-- A campaign without rows here offers every active disposition
+CREATE TABLE campaign_dispositions (
+    campaign_id INT NOT NULL,
+    disposition_id INT NOT NULL,
+    PRIMARY KEY (campaign_id, disposition_id),
+    FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE,
+    FOREIGN KEY (disposition_id) REFERENCES dispositions(id) ON DELETE CASCADE
+);
+
+-- Create caller fields table (admin-defined custom caller attributes)
+-- Values live in callers.custom_fields keyed by field_key; options lists the choices of select fields
+-- Inactive fields are hidden from forms, imports and exports but their stored values are kept
+CREATE TABLE caller_fields (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    field_key VARCHAR(50) NOT NULL UNIQUE,
+    label VARCHAR(100) NOT NULL,
+    field_type ENUM('text', 'number', 'date', 'select', 'boolean') NOT NULL DEFAULT 'text',
+    is_required BOOLEAN NOT NULL DEFAULT FALSE,
+    options JSON NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_is_active (is_active)
+);
+
+-- Create lead scoring rules table (points added to a caller's lead score)
+-- batch and custom_field rules add points on a match; attempts and age rules add points
+-- per previous call attempt or per day since the caller was created, up to max_units
+CREATE TABLE lead_scoring_rules (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    rule_type ENUM('batch', 'custom_field', 'attempts', 'age') NOT NULL,
+    field_key VARCHAR(50) NULL,
+    match_value VARCHAR(255) NULL,
+    points INT NOT NULL,
+    max_units INT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Create import mapping presets table
+-- Saved { caller field: file column } mappings for uploads whose headers are not name, email, phone
+CREATE TABLE import_mapping_presets (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    mapping JSON NOT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Create import batches table
+-- One row per confirmed caller upload; batch_id is the ID given to rows without their own
+CREATE TABLE import_batches (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    batch_id VARCHAR(50) NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    uploaded_by INT NULL,
+    total_rows INT NOT NULL DEFAULT 0,
+    imported_rows INT NOT NULL DEFAULT 0,
+    invalid_rows INT NOT NULL DEFAULT 0,
+    duplicate_rows INT NOT NULL DEFAULT 0,
+    updated_rows INT NOT NULL DEFAULT 0,
+    dnc_rows INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_batch_id (batch_id),
+    INDEX idx_created_at (created_at)
+);
+
+-- Create import jobs table
+-- Large uploads are imported in the background: the worker claims queued jobs,
+-- imports the file in chunks and records progress after each chunk.
+-- last_row is the last data row handled, so an interrupted job resumes after it
+CREATE TABLE import_jobs (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    file_path VARCHAR(500) NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    uploaded_by INT NULL,
+    batch_id VARCHAR(50) NOT NULL,
+    import_batch_id INT NULL,
+    duplicate_policy ENUM('skip', 'update', 'create') NOT NULL DEFAULT 'skip',
+    column_mapping JSON NULL,
+    status ENUM('queued', 'processing', 'completed', 'failed') NOT NULL DEFAULT 'queued',
+    total_rows INT NULL,
+    processed_rows INT NOT NULL DEFAULT 0,
+    imported_rows INT NOT NULL DEFAULT 0,
+    updated_rows INT NOT NULL DEFAULT 0,
+    duplicate_rows INT NOT NULL DEFAULT 0,
+    invalid_rows INT NOT NULL DEFAULT 0,
+    dnc_rows INT NOT NULL DEFAULT 0,
+    last_row INT NOT NULL DEFAULT 0,
+    error_message TEXT NULL,
+    started_at TIMESTAMP NULL,
+    finished_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (import_batch_id) REFERENCES import_batches(id) ON DELETE SET NULL,
+    INDEX idx_status (status),
+    INDEX idx_created_at (created_at)
+);
+
+-- Create import job errors table
+-- One row per invalid CSV row, with the row's values and its field errors
+CREATE TABLE import_job_errors (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    job_id INT NOT NULL,
+    csv_row INT NOT NULL,
+    csv_line INT NOT NULL,
+    row_values JSON NOT NULL,
+    field_errors JSON NOT NULL,
+    FOREIGN KEY (job_id) REFERENCES import_jobs(id) ON DELETE CASCADE,
+    INDEX idx_job_row (job_id, csv_row)
+);
+
 -- Create callers table
+-- Status lifecycle: active (not yet called) -> retry (called, try again) -> completed (final disposition)
+-- inactive is reserved for callers an admin has taken out of circulation
+-- email and phone are not UNIQUE keys: imports may deliberately create duplicates, flagged via duplicate_of.
+-- Callers that are not flagged stay unique: Caller.assertContactAvailable checks email and phone_e164
+-- under a locking read whenever a caller is created or edited
+-- phone is kept as entered for display; phone_e164 is used to match callers by phone number, so
+-- differently formatted numbers are the same number. It is indexed rather than UNIQUE for the same
+-- reason as email: a flagged duplicate keeps its original's number.
 CREATE TABLE callers (
     id INT PRIMARY KEY AUTO_INCREMENT,
     name VARCHAR(100) NOT NULL,
-    email VARCHAR(255) NOT NULL UNIQUE,
-    phone VARCHAR(20) NOT NULL UNIQUE,
+    email VARCHAR(255) NOT NULL,
+    phone VARCHAR(20) NOT NULL,
+    phone_e164 VARCHAR(16) NULL,
     assigned_to INT NULL,
     assigned_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    status ENUM('active', 'inactive') DEFAULT 'active',
+    status ENUM('active', 'retry', 'completed', 'inactive') DEFAULT 'active',
     batch_id VARCHAR(50) NULL,
+    last_disposition_id INT NULL,
+    import_batch_id INT NULL,
+    duplicate_of INT NULL,
+    custom_fields JSON NULL,
+    campaign_id INT NULL,
+    priority TINYINT NOT NULL DEFAULT 0,
+    lead_score INT NOT NULL DEFAULT 0,
+    score_updated_at TIMESTAMP NULL,
+    locked_by INT NULL,
+    locked_until TIMESTAMP NULL,
+    timezone VARCHAR(64) NULL,
+    timezone_source ENUM('manual', 'import', 'phone') NULL,
+    -- Consent to be called, as the caller last told an employee; withdrawn consent also lists the
+    -- caller on do_not_call, which is what assignment and dialing check
+    consent_status ENUM('unknown', 'granted', 'withdrawn') NOT NULL DEFAULT 'unknown',
+    consent_updated_at TIMESTAMP NULL,
+    consent_updated_by INT NULL,
     FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (last_disposition_id) REFERENCES dispositions(id) ON DELETE SET NULL,
+    FOREIGN KEY (import_batch_id) REFERENCES import_batches(id) ON DELETE SET NULL,
+    FOREIGN KEY (duplicate_of) REFERENCES callers(id) ON DELETE SET NULL,
+    FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE SET NULL,
+    FOREIGN KEY (locked_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (consent_updated_by) REFERENCES users(id) ON DELETE SET NULL,
     INDEX idx_email (email),
     INDEX idx_phone (phone),
+    INDEX idx_phone_e164 (phone_e164),
     INDEX idx_assigned_to (assigned_to),
     INDEX idx_batch_id (batch_id),
-    INDEX idx_status (status)
+    INDEX idx_status (status),
+    INDEX idx_duplicate_of (duplicate_of),
+    INDEX idx_campaign_id (campaign_id),
+    INDEX idx_priority_score (priority, lead_score),
+    INDEX idx_timezone (timezone)
 );
 
 -- Create caller assignment log table
 CREATE TABLE caller_assignment_log (
     id INT PRIMARY KEY AUTO_INCREMENT,
     caller_id INT NOT NULL,
-    employee_id INT NOT NULL,
+    employee_id INT NULL,
+    previous_employee_id INT NULL,
     assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     assigned_by INT NOT NULL,
     method ENUM('auto', 'manual') NOT NULL,
+    action ENUM('assign', 'reassign', 'unassign') NOT NULL DEFAULT 'assign',
     FOREIGN KEY (caller_id) REFERENCES callers(id) ON DELETE CASCADE,
     FOREIGN KEY (employee_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (previous_employee_id) REFERENCES users(id) ON DELETE SET NULL,
     FOREIGN KEY (assigned_by) REFERENCES users(id) ON DELETE CASCADE,
     INDEX idx_caller_id (caller_id),
     INDEX idx_employee_id (employee_id),
     INDEX idx_assigned_at (assigned_at)
 );
 
+-- Create caller notes table
+-- Notes outlive their author: deleting a user keeps the notes they wrote, with author_id cleared
+CREATE TABLE caller_notes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    caller_id INT NOT NULL,
+    author_id INT NULL,
+    note TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (caller_id) REFERENCES callers(id) ON DELETE CASCADE,
+    FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_caller_id (caller_id),
+    INDEX idx_author_id (author_id),
+    INDEX idx_created_at (created_at)
+);
+
+-- Create call attempts table (one row per call made to a caller)
+-- The call history outlives the employee: deleting a user keeps their calls, with employee_id cleared
+CREATE TABLE call_attempts (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    caller_id INT NOT NULL,
+    employee_id INT NULL,
+    started_at TIMESTAMP NULL,
+    ended_at TIMESTAMP NULL,
+    duration_seconds INT UNSIGNED NULL,
+    outcome ENUM('answered', 'no_answer', 'busy', 'voicemail', 'wrong_number') NOT NULL,
+    disposition_id INT NULL,
+    summary TEXT NULL,
+    script_id INT NULL,
+    script_answers JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (caller_id) REFERENCES callers(id) ON DELETE CASCADE,
+    FOREIGN KEY (employee_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (disposition_id) REFERENCES dispositions(id) ON DELETE SET NULL,
+    FOREIGN KEY (script_id) REFERENCES call_scripts(id) ON DELETE SET NULL,
+    INDEX idx_caller_id (caller_id),
+    INDEX idx_employee_id (employee_id),
+    INDEX idx_outcome (outcome),
+    INDEX idx_created_at (created_at)
+);
+
+-- Create callbacks table (callbacks a caller asked for, due_at is stored in UTC)
+CREATE TABLE callbacks (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    caller_id INT NOT NULL,
+    employee_id INT NOT NULL,
+    scheduled_by INT NOT NULL,
+    due_at TIMESTAMP NOT NULL,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    reason VARCHAR(255) NULL,
+    status ENUM('pending', 'completed', 'cancelled') NOT NULL DEFAULT 'pending',
+    completed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (caller_id) REFERENCES callers(id) ON DELETE CASCADE,
+    FOREIGN KEY (employee_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (scheduled_by) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_caller_id (caller_id),
+    INDEX idx_employee_status_due (employee_id, status, due_at),
+    INDEX idx_status_due (status, due_at)
+);
+
+-- Create do-not-call table (people who asked not to be contacted)
+-- One row per phone number or email; phones are stored in E.164 (see toE164 in utils/normalize.js) and
+-- emails in lower case so they compare with callers' details. Listed callers are skipped by
+-- imports, assignment and the dialing queue. source records how the entry was added.
+CREATE TABLE do_not_call (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    contact_type ENUM('phone', 'email') NOT NULL,
+    contact VARCHAR(255) NOT NULL,
+    reason VARCHAR(255) NULL,
+    source ENUM('admin', 'upload', 'disposition', 'consent') NOT NULL DEFAULT 'admin',
+    caller_id INT NULL,
+    added_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_contact (contact_type, contact),
+    FOREIGN KEY (caller_id) REFERENCES callers(id) ON DELETE SET NULL,
+    FOREIGN KEY (added_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_created_at (created_at)
+);
+
+-- Create API tokens table (personal tokens for the JSON API under /api/v1)
+-- Only a SHA-256 hash of each token is stored; token_prefix, the start of the token, tells
+-- tokens apart. scopes is a JSON array of config.api.scopes keys. Revoked and expired tokens are refused.
+CREATE TABLE api_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    token_prefix VARCHAR(16) NOT NULL,
+    scopes JSON NOT NULL,
+    expires_at TIMESTAMP NULL,
+    last_used_at TIMESTAMP NULL,
+    revoked_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id)
+);
+
 -- Insert default roles
 INSERT INTO roles (name) VALUES 
 ('super_admin'),
 ('employee'),
 ('caller');
 
+-- Insert default dispositions
+INSERT INTO dispositions (code, label, is_final, adds_to_dnc, sort_order) VALUES 
+('interested', 'Interested - follow up', FALSE, FALSE, 10),
+('sale', 'Sale / converted', TRUE, FALSE, 20),
+('not_interested', 'Not interested', TRUE, FALSE, 30),
+('no_answer', 'No answer', FALSE, FALSE, 40),
+('busy', 'Line busy', FALSE, FALSE, 50),
+('voicemail', 'Left voicemail', FALSE, FALSE, 60),
+('wrong_number', 'Wrong number', TRUE, FALSE, 70),
+('do_not_call', 'Do not call', TRUE, TRUE, 80);
+
 -- Insert default super admin user (password: admin123)
-INSERT INTO users (name, email, phone, password, role_id) VALUES 
-('Super Admin', 'admin@callmanager.com', '+1234567890', '$2b$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 1);
+INSERT INTO users (name, email, phone, phone_e164, password, role_id) VALUES 
+('Super Admin', 'admin@callmanager.com', '+1234567890', '+1234567890', '$2b$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 1);
 
 -- Insert sample employee (password: employee123)
-INSERT INTO users (name, email, phone, password, role_id) VALUES 
-('John Employee', 'employee@callmanager.com', '+1234567891', '$2b$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 2);
+INSERT INTO users (name, email, phone, phone_e164, password, role_id) VALUES 
+('John Employee', 'employee@callmanager.com', '+1234567891', '+1234567891', '$2b$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 2);
 
 -- Insert sample callers
-INSERT INTO callers (name, email, phone, batch_id) VALUES 
-('Alice Johnson', 'alice@example.com', '+1234567892', 'BATCH_001'),
-('Bob Smith', 'bob@example.com', '+1234567893', 'BATCH_001'),
-('Carol Davis', 'carol@example.com', '+1234567894', 'BATCH_001');
+INSERT INTO callers (name, email, phone, phone_e164, batch_id) VALUES 
+('Alice Johnson', 'alice@example.com', '+1234567892', '+1234567892', 'BATCH_001'),
+('Bob Smith', 'bob@example.com', '+1234567893', '+1234567893', 'BATCH_001'),
+('Carol Davis', 'carol@example.com', '+1234567894', '+1234567894', 'BATCH_001');
@@ -0,0 +1,244 @@
+// One-off phone number migration for the Call Manager application
+// Adds the phone_e164 columns to an existing database and fills them from the stored phone numbers,
+// which are left as entered for display. Reports numbers that could not be read and numbers that
+// turn out to be the same once normalised. The old UNIQUE keys on the entered phone are dropped,
+// since numbers are now unique on phone_e164; databases created before the do-not-call list or
+// duplicate flagging existed are handled too.
+//
+// Usage: npm run phones:normalize -- [--dry-run] [--country=GB]
+//   --dry-run      only report, change nothing
+//   --country=XX   country of numbers without a country code (defaults to DEFAULT_PHONE_COUNTRY)
+
+import mysql from 'mysql2/promise';
+import config from '../config/index.js';
+import { toE164 } from '../utils/normalize.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const country = (args.find(arg => arg.startsWith('--country='))?.split('=')[1] || config.phone.defaultCountry).toUpperCase();
+
+// How many rows of each report are printed
+const reportLimit = 50;
+const batchSize = 1000;
+
+async function columnExists(pool, table, column) {
+  const [rows] = await pool.execute(
+    'SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+    [table, column]
+  );
+  return rows.length > 0;
+}
+
+async function tableExists(pool, table) {
+  const [rows] = await pool.execute(
+    'SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+    [table]
+  );
+  return rows.length > 0;
+}
+
+// Drop the single-column UNIQUE keys on a column (e.g. the old phone VARCHAR(20) NOT NULL UNIQUE)
+async function dropUniqueKeys(pool, table, column) {
+  const [rows] = await pool.execute(
+    `
+      SELECT INDEX_NAME as name FROM information_schema.STATISTICS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND NON_UNIQUE = 0 AND INDEX_NAME <> 'PRIMARY'
+      GROUP BY INDEX_NAME
+      HAVING COUNT(*) = 1 AND MAX(COLUMN_NAME) = ?
+    `,
+    [table, column]
+  );
+
+  for (const { name } of rows) {
+    console.log(`${dryRun ? 'Would drop' : 'Dropping'} UNIQUE key ${name} on ${table}.${column}`);
+    if (!dryRun) {
+      await pool.query(`ALTER TABLE ${table} DROP INDEX \`${name}\``);
+    }
+  }
+}
+
+async function indexExists(pool, table, index) {
+  const [rows] = await pool.execute(
+    'SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+    [table, index]
+  );
+  return rows.length > 0;
+}
+
+// Print at most reportLimit lines of a report
+function printReport(title, lines) {
+  if (lines.length === 0) {
+    return;
+  }
+  console.log(`\n${title} (${lines.length}):`);
+  lines.slice(0, reportLimit).forEach(line => console.log(`  ${line}`));
+  if (lines.length > reportLimit) {
+    console.log(`  ... and ${lines.length - reportLimit} more`);
+  }
+}
+
+// Users: phone_e164 is unique, so of several users sharing a number only the oldest gets it
+async function migrateUsers(pool) {
+  if (!dryRun && !(await columnExists(pool, 'users', 'phone_e164'))) {
+    await pool.query('ALTER TABLE users ADD COLUMN phone_e164 VARCHAR(16) NULL AFTER phone');
+  }
+  await dropUniqueKeys(pool, 'users', 'phone');
+
+  const [users] = await pool.query('SELECT id, name, phone FROM users ORDER BY id ASC');
+  const owners = new Map();
+  const invalid = [];
+  const collisions = [];
+
+  for (const user of users) {
+    let phone = toE164(user.phone, country);
+    if (!phone) {
+      invalid.push(`user ${user.id} (${user.name}): "${user.phone}"`);
+    } else if (owners.has(phone)) {
+      const owner = owners.get(phone);
+      collisions.push(`user ${user.id} (${user.name}) "${user.phone}" is ${phone}, already used by user ${owner.id} (${owner.name}) "${owner.phone}"`);
+      phone = null;
+    } else {
+      owners.set(phone, user);
+    }
+
+    if (!dryRun) {
+      await pool.execute('UPDATE users SET phone_e164 = ? WHERE id = ?', [phone, user.id]);
+    }
+  }
+
+  if (!dryRun && !(await indexExists(pool, 'users', 'phone_e164'))) {
+    await pool.query('ALTER TABLE users ADD UNIQUE KEY phone_e164 (phone_e164)');
+  }
+
+  console.log(`Users: ${users.length} checked, ${owners.size} normalised`);
+  printReport('Users with a number that could not be read (left without phone_e164, fix by hand)', invalid);
+  printReport('Users sharing a phone number (left without phone_e164, give them their own number)', collisions);
+}
+
+// Callers may share a number (imports flag duplicates), so collisions are only reported
+async function migrateCallers(pool) {
+  if (!dryRun && !(await columnExists(pool, 'callers', 'phone_e164'))) {
+    await pool.query('ALTER TABLE callers ADD COLUMN phone_e164 VARCHAR(16) NULL AFTER phone, ADD INDEX idx_phone_e164 (phone_e164)');
+  }
+  await dropUniqueKeys(pool, 'callers', 'phone');
+
+  // Databases from before duplicate flagging have no duplicate_of column
+  const duplicateOf = (await columnExists(pool, 'callers', 'duplicate_of')) ? 'duplicate_of' : 'NULL as duplicate_of';
+  const groups = new Map();
+  const invalid = [];
+  let checked = 0;
+  let lastId = 0;
+
+  for (;;) {
+    const [callers] = await pool.query(
+      `SELECT id, name, phone, ${duplicateOf} FROM callers WHERE id > ? ORDER BY id ASC LIMIT ?`,
+      [lastId, batchSize]
+    );
+    if (callers.length === 0) {
+      break;
+    }
+
+    for (const caller of callers) {
+      const phone = toE164(caller.phone, country);
+      if (!phone) {
+        invalid.push(`caller ${caller.id} (${caller.name}): "${caller.phone}"`);
+      } else {
+        if (!groups.has(phone)) {
+          groups.set(phone, []);
+        }
+        groups.get(phone).push(caller);
+      }
+
+      if (!dryRun) {
+        await pool.execute('UPDATE callers SET phone_e164 = ? WHERE id = ?', [phone, caller.id]);
+      }
+    }
+
+    checked += callers.length;
+    lastId = callers[callers.length - 1].id;
+  }
+
+  // Only groups written in more than one way were hidden from the old duplicate checks
+  const collisions = [...groups.entries()]
+    .filter(([, callers]) => new Set(callers.map(caller => caller.phone)).size > 1)
+    .map(([phone, callers]) => `${phone}: ${callers.map(caller =>
+      `caller ${caller.id} "${caller.phone}"${caller.duplicate_of ? ` (duplicate of ${caller.duplicate_of})` : ''}`
+    ).join(', ')}`);
+
+  console.log(`Callers: ${checked} checked, ${checked - invalid.length} normalised`);
+  printReport('Callers with a number that could not be read (not matched by phone until fixed)', invalid);
+  printReport('Phone numbers shared by callers that wrote them differently (review for duplicates)', collisions);
+}
+
+// Do-not-call phone entries are stored in E.164; entries that become the same number are merged
+async function migrateDoNotCall(pool) {
+  if (!(await tableExists(pool, 'do_not_call'))) {
+    console.log('Do-not-call list: no do_not_call table yet, nothing to normalise');
+    return;
+  }
+
+  const [entries] = await pool.query(
+    'SELECT id, contact FROM do_not_call WHERE contact_type = \'phone\' ORDER BY created_at ASC, id ASC'
+  );
+  const kept = new Map();
+  const invalid = [];
+  const merged = [];
+
+  for (const entry of entries) {
+    const phone = toE164(entry.contact, country);
+    if (!phone) {
+      invalid.push(`entry ${entry.id}: "${entry.contact}"`);
+    } else if (kept.has(phone)) {
+      merged.push({ entry, phone, keptEntry: kept.get(phone) });
+    } else {
+      kept.set(phone, entry);
+    }
+  }
+
+  if (!dryRun) {
+    // Remove merged entries first so the unique contact key allows the renames
+    for (const { entry } of merged) {
+      await pool.execute('DELETE FROM do_not_call WHERE id = ?', [entry.id]);
+    }
+    for (const [phone, entry] of kept) {
+      if (phone !== entry.contact) {
+        await pool.execute('UPDATE do_not_call SET contact = ? WHERE id = ?', [phone, entry.id]);
+      }
+    }
+  }
+
+  console.log(`Do-not-call phone entries: ${entries.length} checked, ${kept.size} kept, ${merged.length} merged`);
+  printReport('Do-not-call entries that could not be read (no longer match any caller)', invalid);
+  printReport(
+    'Do-not-call entries merged into an earlier entry for the same number',
+    merged.map(({ entry, phone, keptEntry }) => `entry ${entry.id} "${entry.contact}" is ${phone}, already listed by entry ${keptEntry.id}`)
+  );
+}
+
+async function main() {
+  if (!config.phone.countries[country]) {
+    throw new Error(`Unknown phone country: ${country} (see phone.countries in config/index.js)`);
+  }
+
+  const pool = mysql.createPool({
+    host: config.database.host,
+    user: config.database.user,
+    password: config.database.password,
+    database: config.database.database,
+    connectionLimit: 1
+  });
+
+  try {
+    console.log(`Normalising phone numbers to E.164 (numbers without a country code read as ${country})${dryRun ? ' - dry run, nothing is changed' : ''}\n`);
+    await migrateUsers(pool);
+    await migrateCallers(pool);
+    await migrateDoNotCall(pool);
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error('Phone number migration failed:', error.message);
+  process.exitCode = 1;
+});
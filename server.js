@@ -12,7 +12,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import config from './config/index.js';
 import logger from './utils/logger.js';
-import { errorHandler, notFoundHandler } from './middlewares/errorHandler.js';
+import { errorHandler, notFoundHandler, apiErrorHandler } from './middlewares/errorHandler.js';
 import { sessionConfig } from './middlewares/auth.js';
 import expressLayouts from 'express-ejs-layouts';
 
@@ -20,9 +20,12 @@ import expressLayouts from 'express-ejs-layouts';
 import authRoutes from './routes/auth.js';
 import adminRoutes from './routes/admin.js';
 import employeeRoutes from './routes/employee.js';
+import apiRoutes from './routes/api.js';
+import apiDocsRoutes from './routes/apiDocs.js';
 
 // Import User model for database operations
 import User from './models/User.js';
+import importWorker from './utils/importWorker.js';
 import { start } from 'repl';
 
 // Create Express app
@@ -59,6 +62,11 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Static files
 app.use('/public', express.static(path.join(__dirname, 'public')));
 
+// JSON API, authenticated by API token instead of the session, so it sits before the
+// session and CSRF middleware; its errors always answer the JSON error envelope
+app.use('/api/v1', logger.logRequest.bind(logger), apiRoutes, apiErrorHandler);
+app.use('/api/docs', apiDocsRoutes);
+
 // MySQL Session Store configuration
 const MySQLSessionStore = MySQLStore(session);
 const sessionStore = new MySQLSessionStore({
@@ -86,13 +94,16 @@ app.use(session({
 
 const csrfProtection = csrf();
 
+// Multipart uploads: the route checks CSRF itself once multer has parsed the form
+const multipartUploadPaths = ['/admin/callers/upload', '/admin/do-not-call/upload'];
+
 // Flash messages
 app.use(flash());
 
 app.use((req, res, next) => {
   logger.log('here ----->', req.method)
   logger.log('here ----->', req.path)
-  if (req.path === "/admin/callers/upload" && req.method === 'POST') {
+  if (multipartUploadPaths.includes(req.path) && req.method === 'POST') {
     // ⛔ skip CSRF check for this route here
     return next();
   }
@@ -109,7 +120,7 @@ app.use((req, res, next) => {
 
 // Global middleware for CSRF token
 app.use((req, res, next) => {
-  if (req.path === "/admin/callers/upload" && req.method === 'POST') {
+  if (multipartUploadPaths.includes(req.path) && req.method === 'POST') {
     // ⛔ skip CSRF check for this route here
     return next();
   }
@@ -227,10 +238,16 @@ async function startApplication() {
         logger.info(`Development server: http://localhost:${config.app.port}`);
       }
     });
+
+    // Start processing background caller imports
+    importWorker.start();
     
     // Graceful shutdown handling
     const gracefulShutdown = async (signal) => {
       logger.info(`Received ${signal}, starting graceful shutdown...`);
+
+      // Stop picking up import jobs; an unfinished job resumes on the next start
+      importWorker.stop();
       
       // Stop accepting new connections
       server.close(() => {
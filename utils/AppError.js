@@ -28,16 +28,45 @@ class AppError extends Error {
   }
 
   // Get error response object
+  // details (e.g. every field error of a failed validation) is included when set
   getResponse() {
     return {
       error: {
         code: this.errorCode,
         message: this.message,
         timestamp: this.timestamp,
-        statusCode: this.statusCode
+        statusCode: this.statusCode,
+        ...(this.details ? { details: this.details } : {})
       }
     };
   }
+
+  // Create a 400 validation error
+  static validationError(message = 'Validation failed. Please check your input', errorCode = 'VALIDATION_FAILED', details = null) {
+    const error = new AppError(message, 400, errorCode);
+    error.details = details;
+    return error;
+  }
+
+  // Create a 401 authentication error
+  static authError(message = 'You are not authorized to access this resource', errorCode = 'AUTH_UNAUTHORIZED') {
+    return new AppError(message, 401, errorCode);
+  }
+
+  // Create a 403 permission error
+  static permissionError(message = 'You do not have sufficient permissions for this action', errorCode = 'AUTH_INSUFFICIENT_PERMISSIONS') {
+    return new AppError(message, 403, errorCode);
+  }
+
+  // Create a 404 not found error
+  static notFoundError(message = 'Resource not found', errorCode = 'NOT_FOUND') {
+    return new AppError(message, 404, errorCode);
+  }
+
+  // Create a 409 conflict error
+  static conflictError(message = 'Resource already exists', errorCode = 'CONFLICT') {
+    return new AppError(message, 409, errorCode);
+  }
 }
 
 export default AppError;
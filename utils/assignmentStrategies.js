@@ -0,0 +1,72 @@
+// Automatic assignment strategies for the Call Manager application
+// Plans which employee each unassigned caller goes to; the caller model applies the plan
+
+// Round-robin: hand callers out to employees in turn, skipping anyone at capacity
+function planRoundRobin(callers, employees, capacity) {
+  const loads = employees.map(employee => Number(employee.caller_count) || 0);
+  const plan = [];
+  let next = 0;
+
+  for (const caller of callers) {
+    // Find the next employee in turn with room left
+    let checked = 0;
+    while (checked < employees.length && loads[next] >= capacity) {
+      next = (next + 1) % employees.length;
+      checked++;
+    }
+    if (checked === employees.length) {
+      break; // everyone is full
+    }
+
+    plan.push({ callerId: caller.id, employeeId: employees[next].id });
+    loads[next]++;
+    next = (next + 1) % employees.length;
+  }
+
+  return plan;
+}
+
+// Least-loaded: each caller goes to the employee with the fewest open callers
+function planLeastLoaded(callers, employees, capacity) {
+  const loads = employees.map(employee => Number(employee.caller_count) || 0);
+  const plan = [];
+
+  for (const caller of callers) {
+    let target = -1;
+    for (let i = 0; i < employees.length; i++) {
+      if (loads[i] < capacity && (target === -1 || loads[i] < loads[target])) {
+        target = i;
+      }
+    }
+    if (target === -1) {
+      break; // everyone is full
+    }
+
+    plan.push({ callerId: caller.id, employeeId: employees[target].id });
+    loads[target]++;
+  }
+
+  return plan;
+}
+
+const strategies = {
+  round_robin: planRoundRobin,
+  least_loaded: planLeastLoaded
+};
+
+// Plan assignments for callers across employees
+// employees need an id and their current caller_count; capacity caps each employee's total
+export function planAssignments(callers, employees, { strategy = 'least_loaded', capacity = Infinity } = {}) {
+  const planner = strategies[strategy];
+  if (!planner) {
+    throw new Error(`Unknown assignment strategy: ${strategy}`);
+  }
+
+  if (!callers.length || !employees.length) {
+    return [];
+  }
+
+  return planner(callers, employees, capacity);
+}
+
+export const assignmentStrategies = Object.keys(strategies);
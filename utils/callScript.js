@@ -0,0 +1,130 @@
+// Call script helpers for the Call Manager application
+// Fills script placeholders from a caller and handles the optional branching questions
+
+import AppError from './AppError.js';
+
+const placeholderPattern = /\{\{\s*(caller|agent|campaign)\.(\w+)\s*\}\}/g;
+const questionKeyPattern = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+const maxAnswerLength = 1000;
+
+// Placeholder values for one caller; custom fields are available by their key
+function placeholderValues({ caller = {}, agent = {}, campaign = {} }) {
+  const custom = {};
+  for (const [key, value] of Object.entries(caller.custom_fields || {})) {
+    custom[key] = typeof value === 'boolean' ? (value ? 'Yes' : 'No') : value;
+  }
+
+  return {
+    caller: {
+      ...custom,
+      name: caller.name,
+      email: caller.email,
+      phone: caller.phone,
+      batch_id: caller.batch_id
+    },
+    agent: { name: agent.name, email: agent.email },
+    campaign: { name: campaign.name }
+  };
+}
+
+// Fill {{caller.name}}, {{caller.<custom field key>}}, {{agent.name}} and {{campaign.name}}
+// Empty values become blank; placeholders that do not exist are left as written so typos show
+export function renderScript(body, context = {}) {
+  const values = placeholderValues(context);
+
+  return String(body || '').replace(placeholderPattern, (placeholder, scope, key) => {
+    if (!Object.prototype.hasOwnProperty.call(values[scope], key)) {
+      return placeholder;
+    }
+    const value = values[scope][key];
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+// Parse the questions an admin typed, one per line:
+//   key | Question text | Option A, Option B | if other_key = Option
+// Without options the answer is free text; the "if" part shows the question only after an
+// earlier question got that answer
+export function parseScriptQuestions(text) {
+  const questions = [];
+  const lines = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+  lines.forEach((line, index) => {
+    const [key = '', questionText = '', optionText = '', condition = ''] = line.split('|').map(part => part.trim());
+    const where = `Question ${index + 1}`;
+
+    if (!questionKeyPattern.test(key)) {
+      throw new Error(`${where}: key must start with a letter and contain only letters, numbers and underscores`);
+    }
+    if (questions.some(question => question.key === key)) {
+      throw new Error(`${where}: key "${key}" is used twice`);
+    }
+    if (!questionText) {
+      throw new Error(`${where}: question text is required`);
+    }
+
+    const options = optionText.split(',').map(option => option.trim()).filter(Boolean);
+    let show_if = null;
+
+    if (condition) {
+      const match = condition.match(/^if\s+(\w+)\s*=\s*(.+)$/i);
+      if (!match) {
+        throw new Error(`${where}: condition must look like "if other_key = Answer"`);
+      }
+      const parent = questions.find(question => question.key === match[1]);
+      if (!parent) {
+        throw new Error(`${where}: condition must refer to an earlier question`);
+      }
+      const answer = match[2].trim();
+      if (parent.options.length > 0 && !parent.options.includes(answer)) {
+        throw new Error(`${where}: "${answer}" is not an option of "${parent.key}"`);
+      }
+      show_if = { key: parent.key, answer };
+    }
+
+    questions.push({ key, text: questionText, options, show_if });
+  });
+
+  return questions;
+}
+
+// Turn stored questions back into the lines parseScriptQuestions reads
+export function formatScriptQuestions(questions) {
+  return (questions || []).map(question => {
+    const parts = [question.key, question.text];
+    if (question.options.length > 0 || question.show_if) {
+      parts.push(question.options.join(', '));
+    }
+    if (question.show_if) {
+      parts.push(`if ${question.show_if.key} = ${question.show_if.answer}`);
+    }
+    return parts.join(' | ').replace(/\|  \|/g, '| |');
+  }).join('\n');
+}
+
+// Keep the answers to the questions that apply, in question order, dropping blanks
+// A branching question only counts when the question it depends on got the expected answer
+export function cleanScriptAnswers(questions, answers = {}) {
+  const cleaned = {};
+
+  for (const question of questions || []) {
+    if (question.show_if && cleaned[question.show_if.key] !== question.show_if.answer) {
+      continue;
+    }
+
+    const value = typeof answers[question.key] === 'string' ? answers[question.key].trim() : '';
+    if (!value) {
+      continue;
+    }
+    if (question.options.length > 0 && !question.options.includes(value)) {
+      throw AppError.validationError(`"${value}" is not an answer to "${question.text}"`, 'SCRIPT_ANSWER_INVALID');
+    }
+    if (value.length > maxAnswerLength) {
+      throw AppError.validationError(`Answers must be less than ${maxAnswerLength} characters`, 'SCRIPT_ANSWER_INVALID');
+    }
+
+    cleaned[question.key] = value;
+  }
+
+  return cleaned;
+}
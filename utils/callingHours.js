@@ -0,0 +1,105 @@
+// Calling hours for the Call Manager application
+// Works out which callers may be phoned right now from the calling windows and each caller's timezone
+
+import Caller from '../models/Caller.js';
+import CallingWindow from '../models/CallingWindow.js';
+import config from '../config/index.js';
+import { getZonedParts, isValidTimeZone } from './timezone.js';
+
+const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// "HH:MM" or "HH:MM:SS" as minutes since midnight
+function minutesOf(time) {
+  const [hours, minutes] = String(time).split(':');
+  return parseInt(hours) * 60 + parseInt(minutes);
+}
+
+// The windows that apply to a campaign's callers: its own, or the global ones when it has none
+export function windowsForCampaign(windows, campaignId) {
+  const own = campaignId ? windows.filter(window => window.campaign_id === campaignId) : [];
+  return own.length > 0 ? own : windows.filter(window => window.campaign_id === null);
+}
+
+// Whether a moment falls inside any of the windows, read on the wall clock of the timezone
+// No windows at all means calls are allowed at any time
+export function isWithinWindows(windows, timeZone, now = new Date()) {
+  if (windows.length === 0) {
+    return true;
+  }
+
+  const parts = getZonedParts(now, timeZone);
+  const day = weekdays.indexOf(parts.weekday);
+  const minutes = parts.hour * 60 + parts.minute;
+
+  return windows.some(window =>
+    window.day_of_week === day && minutesOf(window.start_time) <= minutes && minutes < minutesOf(window.end_time)
+  );
+}
+
+// A caller's calling hours right now: the timezone used, its local time and whether it may be called
+export function getCallingStatus(caller, windows, now = new Date()) {
+  const timeZone = caller.timezone && isValidTimeZone(caller.timezone) ? caller.timezone : config.calls.defaultTimezone;
+  const applicable = windowsForCampaign(windows, caller.campaign_id);
+
+  return {
+    timeZone,
+    timeZoneKnown: timeZone === caller.timezone,
+    localTime: now.toLocaleString('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit' }),
+    within: isWithinWindows(applicable, timeZone, now),
+    windows: applicable
+  };
+}
+
+// Build SQL over callers c that is true for the callers inside their calling window right now
+// The windows are checked here for every timezone in use, so the database needs no timezone
+// tables; callers without a timezone are read in config.calls.defaultTimezone.
+// Returns { sql, params } for Caller.findAll, getAssignedToEmployee and claimNextInQueue.
+export function buildCallableSql(windows, timeZones, now = new Date()) {
+  const campaignIds = [...new Set(windows.map(window => window.campaign_id).filter(id => id !== null))];
+  const globalWindows = windowsForCampaign(windows, null);
+  if (campaignIds.length === 0 && globalWindows.length === 0) {
+    return { sql: 'TRUE', params: [] };
+  }
+
+  const zones = [...new Set([...timeZones, config.calls.defaultTimezone])].filter(isValidTimeZone);
+
+  // Condition for callers following one set of windows
+  const openIn = (set) => {
+    if (set.length === 0) {
+      return { sql: 'TRUE', params: [] };
+    }
+    const open = zones.filter(zone => isWithinWindows(set, zone, now));
+    if (open.length === 0) {
+      return { sql: 'FALSE', params: [] };
+    }
+    return {
+      sql: `COALESCE(c.timezone, ?) IN (${open.map(() => '?').join(', ')})`,
+      params: [config.calls.defaultTimezone, ...open]
+    };
+  };
+
+  const fallback = openIn(globalWindows);
+  if (campaignIds.length === 0) {
+    return fallback;
+  }
+
+  const cases = campaignIds.map(campaignId => {
+    const condition = openIn(windowsForCampaign(windows, campaignId));
+    return { sql: `WHEN c.campaign_id = ? THEN ${condition.sql}`, params: [campaignId, ...condition.params] };
+  });
+
+  return {
+    sql: `(CASE ${cases.map(item => item.sql).join(' ')} ELSE ${fallback.sql} END)`,
+    params: [...cases.flatMap(item => item.params), ...fallback.params]
+  };
+}
+
+// Load the calling windows and build the callable-now SQL for them
+export async function getCallableSql(now = new Date()) {
+  const windows = await CallingWindow.findAll();
+  if (windows.length === 0) {
+    return { sql: 'TRUE', params: [] };
+  }
+
+  return buildCallableSql(windows, await Caller.getTimeZones(), now);
+}
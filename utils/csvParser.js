@@ -0,0 +1,274 @@
+// Streaming CSV parser for the Call Manager application
+// Follows RFC 4180: quoted fields, escaped quotes (""), embedded delimiters and
+// newlines, CRLF or LF line endings. Also strips a UTF-8 BOM and can detect
+// comma, semicolon or tab delimiters from the header line.
+
+import { StringDecoder } from 'string_decoder';
+
+export const supportedDelimiters = [',', ';', '\t'];
+
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3;
+
+// Pick the delimiter that appears most often (outside quotes) in the first line
+export function detectDelimiter(sample) {
+  const counts = new Map(supportedDelimiters.map(delimiter => [delimiter, 0]));
+  let inQuotes = false;
+
+  for (const char of sample) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1);
+    }
+  }
+
+  let best = ',';
+  for (const [delimiter, count] of counts) {
+    if (count > counts.get(best)) {
+      best = delimiter;
+    }
+  }
+  return best;
+}
+
+// Check whether the buffered text contains a complete first line (a newline outside quotes)
+function hasCompleteFirstLine(text) {
+  let inQuotes = false;
+  for (const char of text) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Create an incremental parser
+// push(text) and end() return the records completed so far as
+// { row, line, fields, error } where row is the 1-based record number,
+// line is the physical line the record starts on, and error (if any) is
+// { row, line, column, position, message }: column is the 1-based field
+// number and position the character offset within that line.
+export function createCSVParser({ delimiter = null } = {}) {
+  let activeDelimiter = delimiter;
+  let pending = '';
+  let started = false;
+
+  let state = FIELD_START;
+  let field = '';
+  let fields = [];
+  let recordError = null;
+  let skipLineFeed = false;
+
+  let line = 1;
+  let position = 0;
+  let row = 0;
+  let recordLine = 1;
+  let quoteLine = 1;
+  let quotePosition = 0;
+
+  let records = [];
+
+  const fail = (message) => {
+    if (!recordError) {
+      recordError = { row: row + 1, line, column: fields.length + 1, position, message };
+    }
+  };
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+    state = FIELD_START;
+  };
+
+  const endRecord = () => {
+    endField();
+
+    // Blank lines are not records
+    const isBlank = fields.length === 1 && fields[0] === '' && !recordError;
+    if (!isBlank) {
+      row++;
+      records.push({ row, line: recordLine, fields, error: recordError });
+    }
+
+    fields = [];
+    recordError = null;
+  };
+
+  const newLine = () => {
+    line++;
+    position = 0;
+  };
+
+  const consume = (text) => {
+    for (const char of text) {
+      position++;
+
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (char === '\n') {
+          position = 0;
+          continue;
+        }
+      }
+
+      if (state === FIELD_START && fields.length === 0 && field === '') {
+        recordLine = line;
+      }
+
+      switch (state) {
+      case FIELD_START:
+      case UNQUOTED:
+        if (char === activeDelimiter) {
+          endField();
+        } else if (char === '\n' || char === '\r') {
+          endRecord();
+          newLine();
+          skipLineFeed = char === '\r';
+        } else if (char === '"' && state === FIELD_START) {
+          state = QUOTED;
+          quoteLine = line;
+          quotePosition = position;
+        } else {
+          if (char === '"') {
+            fail('Unexpected quote in unquoted field');
+          }
+          field += char;
+          state = UNQUOTED;
+        }
+        break;
+
+      case QUOTED:
+        if (char === '"') {
+          state = QUOTE_IN_QUOTED;
+        } else {
+          field += char;
+          if (char === '\n') {
+            newLine();
+          }
+        }
+        break;
+
+      case QUOTE_IN_QUOTED:
+        if (char === '"') {
+          field += '"';
+          state = QUOTED;
+        } else if (char === activeDelimiter) {
+          endField();
+        } else if (char === '\n' || char === '\r') {
+          endRecord();
+          newLine();
+          skipLineFeed = char === '\r';
+        } else {
+          fail('Unexpected character after closing quote');
+          field += char;
+          state = UNQUOTED;
+        }
+        break;
+      }
+    }
+  };
+
+  const flush = () => {
+    const completed = records;
+    records = [];
+    return completed;
+  };
+
+  return {
+    push(text) {
+      if (!started) {
+        pending += text;
+
+        // Wait for the whole header line before guessing the delimiter
+        if (!activeDelimiter && !hasCompleteFirstLine(pending)) {
+          return [];
+        }
+
+        started = true;
+        text = pending.replace(/^\uFEFF/, '');
+        pending = '';
+        activeDelimiter = activeDelimiter || detectDelimiter(text);
+      }
+
+      consume(text);
+      return flush();
+    },
+
+    end() {
+      if (!started) {
+        started = true;
+        const text = pending.replace(/^\uFEFF/, '');
+        pending = '';
+        activeDelimiter = activeDelimiter || detectDelimiter(text);
+        consume(text);
+      }
+
+      if (state === QUOTED && !recordError) {
+        recordError = {
+          row: row + 1,
+          line: quoteLine,
+          column: fields.length + 1,
+          position: quotePosition,
+          message: 'Unterminated quoted field'
+        };
+      }
+      if (state !== FIELD_START || fields.length > 0 || field !== '' || recordError) {
+        endRecord();
+      }
+
+      return flush();
+    },
+
+    get delimiter() {
+      return activeDelimiter;
+    }
+  };
+}
+
+// Parse a readable stream of text (e.g. fs.createReadStream(path, 'utf-8'))
+// and yield records one at a time
+export async function* parseCSVStream(stream, options = {}) {
+  const parser = createCSVParser(options);
+  const decoder = new StringDecoder('utf-8');
+
+  // The decoder keeps multi-byte characters that are split across chunks intact
+  for await (const chunk of stream) {
+    yield* parser.push(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+  }
+
+  yield* parser.push(decoder.end());
+  yield* parser.end();
+}
+
+// Parse a whole CSV string at once
+export function parseCSV(text, options = {}) {
+  const parser = createCSVParser(options);
+  return [...parser.push(text), ...parser.end()];
+}
+
+// Spreadsheet apps run a cell starting with one of these as a formula
+const formulaPattern = /^[=+\-@\t\r]/;
+// Numbers and phone numbers (e.g. -5, +1 415 555 0100) cannot call functions, so they are kept as they are
+const numberLikePattern = /^[+-]?[\d\s().-]+$/;
+
+// Format one CSV record, quoting fields that contain the delimiter, quotes or line breaks
+// Text that would open as a formula (e.g. =HYPERLINK(...) in an uploaded name) gets a leading '
+export function formatCSVRow(values, delimiter = ',') {
+  return values.map(value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (formulaPattern.test(text) && !numberLikePattern.test(text)) {
+      text = `'${text}`;
+    }
+    if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }).join(delimiter) + '\r\n';
+}
@@ -0,0 +1,637 @@
+// Import handler for the Call Manager application
+// Reads caller files (CSV, XLSX or JSON) into validated rows for the preview and import
+// paths, and provides CSV template download and file validation with configurable size limit
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateData, uploadSchemas, callerSchemas, customFieldsSchema, doNotCallSchemas } from './validation.js';
+import config from '../config/index.js';
+import logger from './logger.js';
+import AppError from './AppError.js';
+import { formatCSVRow } from './csvParser.js';
+import { readRecords } from './importReaders.js';
+import { toE164, normalizeEmail } from './normalize.js';
+import CallerField from '../models/CallerField.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Built-in caller fields an upload can fill; only the required ones must be mapped
+const importFields = [
+  { field: 'name', label: 'Name', required: true },
+  { field: 'email', label: 'Email', required: true },
+  { field: 'phone', label: 'Phone', required: true },
+  { field: 'batch_id', label: 'Batch ID', required: false },
+  { field: 'timezone', label: 'Timezone', required: false }
+];
+
+// Compare headers ignoring case, spaces and punctuation ("E-mail" matches "email")
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+class ImportHandler {
+  constructor() {
+    this.templatesDir = path.join(__dirname, '../public/templates');
+    this.maxFileSize = config.upload.maxFileSize;
+    this.ensureTemplatesDirectory();
+  }
+
+  // Ensure templates directory exists
+  ensureTemplatesDirectory() {
+    if (!fs.existsSync(this.templatesDir)) {
+      fs.mkdirSync(this.templatesDir, { recursive: true });
+    }
+  }
+
+  // Create CSV template file with a column for every caller field, custom fields included
+  async createTemplate() {
+    try {
+      const fields = await this.getImportFields();
+      const csvContent = fields.map(({ field }) => field).join(',') + '\n';
+      
+      const templatePath = path.join(this.templatesDir, 'caller_template.csv');
+      fs.writeFileSync(templatePath, csvContent);
+      
+      logger.info('CSV template created successfully');
+      return templatePath;
+    } catch (error) {
+      logger.error('Error creating CSV template:', error);
+      throw error;
+    }
+  }
+
+  // Download template
+  // The template is written again on every download so it follows the current custom fields
+  async downloadTemplate(res) {
+    try {
+      const templatePath = await this.createTemplate();
+      const fileName = 'caller_template.csv';
+      
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      
+      const fileStream = fs.createReadStream(templatePath);
+      fileStream.pipe(res);
+      
+      logger.info('CSV template downloaded successfully');
+    } catch (error) {
+      logger.error('Error downloading CSV template:', error);
+      res.status(500).send('Error downloading template');
+    }
+  }
+
+  // Validate an uploaded import file's type and size
+  validateFile(file) {
+    try {
+      // Validate file using Zod schema with configurable file size limit
+      const validation = validateData(uploadSchemas.importFile, { file });
+      
+      if (!validation.success) {
+        return {
+          success: false,
+          errors: validation.errors
+        };
+      }
+
+      return { success: true, errors: [] };
+    } catch (error) {
+      logger.error('Error validating import file:', error);
+      return {
+        success: false,
+        errors: [{
+          field: 'file',
+          message: 'File validation failed'
+        }]
+      };
+    }
+  }
+
+  // Get the caller fields an upload can fill, in the order shown on the column mapping step
+  // Active custom fields follow the built-in ones; their entries carry the field definition
+  async getImportFields() {
+    const customFields = await CallerField.findAll({ activeOnly: true });
+
+    return [
+      ...importFields,
+      ...customFields.map(definition => ({
+        field: definition.field_key,
+        label: definition.label,
+        required: Boolean(definition.is_required),
+        definition
+      }))
+    ];
+  }
+
+  // Read the header row and count the data rows of an uploaded file
+  // Also returns the first few rows so the mapping step can show sample values
+  async inspectFile(filePath, sampleSize = 3) {
+    let headers = null;
+    let totalRows = 0;
+    const samples = [];
+
+    for await (const record of readRecords(filePath)) {
+      if (!headers) {
+        if (record.error) {
+          throw AppError.validationError(`Invalid header row: ${record.error.message}`);
+        }
+        headers = record.fields.map(h => h.trim());
+        continue;
+      }
+
+      if (!record.error && record.fields.every(value => !value.trim())) {
+        continue;
+      }
+
+      totalRows++;
+      if (totalRows > config.upload.maxRows) {
+        throw AppError.validationError(`File must not contain more than ${config.upload.maxRows} rows`);
+      }
+      if (samples.length < sampleSize) {
+        samples.push(record.fields.map(value => value.trim()));
+      }
+    }
+
+    if (!headers || headers.every(header => !header) || totalRows === 0) {
+      throw AppError.validationError('File must contain headers and at least one data row');
+    }
+
+    return { headers, totalRows, samples };
+  }
+
+  // Suggest a { field: file column } mapping from the file headers using the configured aliases
+  // Custom fields are matched on their key or label
+  suggestMapping(headers, fields = importFields) {
+    const mapping = {};
+    const used = new Set();
+
+    for (const { field, label } of fields) {
+      const aliases = (config.upload.columnAliases[field] || [field, label]).map(normalizeHeader);
+      const header = headers.find(h => !used.has(h) && aliases.includes(normalizeHeader(h)));
+      if (header) {
+        mapping[field] = header;
+        used.add(header);
+      }
+    }
+
+    return mapping;
+  }
+
+  // Keep the entries of a saved mapping whose column exists in this file, using the file's spelling
+  matchMapping(headers, mapping, fields = importFields) {
+    const matched = {};
+
+    for (const { field } of fields) {
+      const source = mapping?.[field];
+      const header = source && headers.find(h => h.toLowerCase() === String(source).trim().toLowerCase());
+      if (header) {
+        matched[field] = header;
+      }
+    }
+
+    return matched;
+  }
+
+  // Turn a { field: file column } mapping into { field: column index } for the file's headers
+  // Without a mapping, columns are expected to be named after the caller fields
+  resolveColumns(headers, mapping = null, fields = importFields) {
+    const normalizedHeaders = headers.map(header => header.trim().toLowerCase());
+    const columns = {};
+    const missing = [];
+
+    for (const { field, required } of fields) {
+      const source = mapping ? mapping[field] : field;
+      const index = source ? normalizedHeaders.indexOf(String(source).trim().toLowerCase()) : -1;
+
+      if (index >= 0) {
+        columns[field] = index;
+      } else if (required) {
+        missing.push(mapping && source ? `${field} (column "${source}" is not in the file)` : field);
+      }
+    }
+
+    if (missing.length > 0) {
+      throw AppError.validationError(mapping
+        ? `No file column mapped to: ${missing.join(', ')}`
+        : `Missing required headers: ${missing.join(', ')}`);
+    }
+
+    return columns;
+  }
+
+  // Read and validate import rows one at a time
+  // Rows are streamed from disk (JSON files are read whole); each yielded row is either
+  // { row, data } or { row, values, line, column?, errors } where row is the row number in
+  // the source file, line the physical line it starts on and column the 1-based column of
+  // the offending field. mapping ({ field: file column }) picks the columns to read.
+  // Custom field values are validated against their definitions and returned in data.custom_fields.
+  // Throws a validation error when the file itself cannot be imported.
+  async *readRows(filePath, mapping = null) {
+    const fields = await this.getImportFields();
+    let headers = null;
+    let columns = null;
+    let customSchema = null;
+    let totalRows = 0;
+
+    // Caller field read from a 1-based file column, for positioning parse errors
+    const fieldAt = (column) => Object.keys(columns).find(field => columns[field] === column - 1) || 'row';
+
+    for await (const record of readRecords(filePath)) {
+      // First record is the header row
+      if (!headers) {
+        if (record.error) {
+          throw AppError.validationError(`Invalid header row: ${record.error.message}`);
+        }
+
+        headers = record.fields.map(h => h.trim());
+        columns = this.resolveColumns(headers, mapping, fields);
+        customSchema = customFieldsSchema(fields
+          .filter(({ field, definition }) => definition && field in columns)
+          .map(({ definition }) => definition));
+        continue;
+      }
+
+      // Skip rows that only contain whitespace
+      if (!record.error && record.fields.every(value => !value.trim())) {
+        continue;
+      }
+
+      totalRows++;
+      if (totalRows > config.upload.maxRows) {
+        throw AppError.validationError(`File must not contain more than ${config.upload.maxRows} rows`);
+      }
+
+      const row = {};
+      for (const [field, index] of Object.entries(columns)) {
+        row[field] = (record.fields[index] || '').trim();
+      }
+
+      if (record.error) {
+        yield {
+          row: record.row,
+          values: row,
+          line: record.error.line,
+          column: record.error.column,
+          errors: [{
+            field: fieldAt(record.error.column),
+            column: record.error.column,
+            message: record.error.message
+          }]
+        };
+        continue;
+      }
+
+      const extraValues = record.fields.slice(headers.length).filter(value => value.trim());
+      if (extraValues.length > 0) {
+        yield {
+          row: record.row,
+          values: row,
+          line: record.line,
+          column: headers.length + 1,
+          errors: [{
+            field: 'row',
+            column: headers.length + 1,
+            message: `Expected ${headers.length} fields but found ${record.fields.length}`
+          }]
+        };
+        continue;
+      }
+
+      // Validate each row using Zod schemas for the built-in and the custom fields
+      const rowValidation = validateData(callerSchemas.csvRow, row);
+      const customValidation = validateData(customSchema, row);
+      if (!rowValidation.success || !customValidation.success) {
+        const errors = [...(rowValidation.errors || []), ...(customValidation.errors || [])];
+        yield {
+          row: record.row,
+          values: row,
+          line: record.line,
+          errors: errors.map(error => ({ ...error, column: columns[error.field] + 1 }))
+        };
+      } else {
+        yield { row: record.row, data: { ...rowValidation.data, custom_fields: customValidation.data } };
+      }
+    }
+
+    if (!headers || totalRows === 0) {
+      throw AppError.validationError('File must contain headers and at least one data row');
+    }
+  }
+
+  // Count the data rows of an import file, checking headers and the row limit on the way
+  async countRows(filePath, mapping = null) {
+    const rows = this.readRows(filePath, mapping);
+    let totalRows = 0;
+    while (!(await rows.next()).done) {
+      totalRows++;
+    }
+    return totalRows;
+  }
+
+  // Parse and validate an import file
+  // Keeps every row in memory, so it is only used for files small enough to preview
+  async parseFile(filePath, mapping = null) {
+    try {
+      const validRows = [];
+      const errors = [];
+
+      for await (const result of this.readRows(filePath, mapping)) {
+        if (validRows.length + errors.length >= config.upload.maxPreviewRows) {
+          return {
+            success: false,
+            errors: [{ field: 'file', message: `File must not contain more than ${config.upload.maxPreviewRows} rows to be previewed` }],
+            data: []
+          };
+        }
+
+        if (result.errors) {
+          errors.push(result);
+        } else {
+          validRows.push(result);
+        }
+      }
+
+      return {
+        success: errors.length === 0,
+        data: validRows.map(validRow => validRow.data),
+        validRows,
+        errors,
+        totalRows: validRows.length + errors.length
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        return {
+          success: false,
+          errors: [{ field: 'file', message: error.message }],
+          data: []
+        };
+      }
+
+      logger.error('Error parsing import file:', error);
+      return {
+        success: false,
+        errors: [{ field: 'file', message: 'Failed to read the uploaded file' }],
+        data: []
+      };
+    }
+  }
+
+  // Split parsed rows into new callers, duplicates within the file and duplicates of existing callers
+  // existingCallers are the callers whose email or phone appears in the file, doNotCall the
+  // do-not-call entries listing any of them; rows on the do-not-call list are never imported.
+  // Emails are compared ignoring letter case and phones in E.164, so "(234) 567-8900" in the file
+  // matches a caller stored as "+1 234 567 8900" when the default phone country is US.
+  // Pass the same seen maps when classifying a file chunk by chunk so rows repeated
+  // across chunks still count as in-file duplicates.
+  classifyRows(parseResult, existingCallers, doNotCall = [], seen = { emails: new Map(), phones: new Map() }) {
+    const byEmail = new Map();
+    const byPhone = new Map();
+    for (const caller of existingCallers) {
+      if (!byEmail.has(normalizeEmail(caller.email))) {
+        byEmail.set(normalizeEmail(caller.email), caller);
+      }
+      if (caller.phone_e164 && !byPhone.has(caller.phone_e164)) {
+        byPhone.set(caller.phone_e164, caller);
+      }
+    }
+
+    const listed = new Map(doNotCall.map(entry => [`${entry.contact_type}:${entry.contact}`, entry]));
+
+    const seenEmails = seen.emails;
+    const seenPhones = seen.phones;
+    const valid = [];
+    const inFileDuplicates = [];
+    const duplicates = [];
+    const onDoNotCall = [];
+
+    for (const validRow of parseResult.validRows) {
+      const email = normalizeEmail(validRow.data.email);
+      const phone = toE164(validRow.data.phone);
+
+      const listedPhone = listed.get(`phone:${phone}`);
+      const listedEmail = listed.get(`email:${email}`);
+      if (listedPhone || listedEmail) {
+        onDoNotCall.push({
+          ...validRow,
+          entry: listedPhone || listedEmail,
+          matchedOn: [listedEmail && 'email', listedPhone && 'phone'].filter(Boolean)
+        });
+        continue;
+      }
+
+      // Later occurrences of the same email or phone in the file are never imported
+      const firstRow = seenEmails.get(email) || seenPhones.get(phone);
+      if (firstRow) {
+        inFileDuplicates.push({
+          ...validRow,
+          duplicateOfRow: firstRow,
+          matchedOn: [seenEmails.has(email) && 'email', seenPhones.has(phone) && 'phone'].filter(Boolean)
+        });
+        continue;
+      }
+      seenEmails.set(email, validRow.row);
+      seenPhones.set(phone, validRow.row);
+
+      const emailMatch = byEmail.get(email);
+      const phoneMatch = byPhone.get(phone);
+
+      if (emailMatch || phoneMatch) {
+        duplicates.push({
+          ...validRow,
+          existing: emailMatch || phoneMatch,
+          matchedOn: [emailMatch && 'email', phoneMatch && 'phone'].filter(Boolean),
+          // Email and phone belong to two different callers, so there is no single caller to update
+          ambiguous: Boolean(emailMatch && phoneMatch && emailMatch.id !== phoneMatch.id)
+        });
+      } else {
+        valid.push(validRow);
+      }
+    }
+
+    return {
+      valid,
+      invalid: parseResult.errors,
+      inFileDuplicates,
+      duplicates,
+      doNotCall: onDoNotCall,
+      totalRows: parseResult.totalRows
+    };
+  }
+
+  // Decide what to do with each previewed row under a duplicate policy
+  // skip: leave existing callers alone; update: overwrite the existing caller with the row;
+  // create: add the row as a new caller flagged as a duplicate of the existing one.
+  // Returns the callers to create, the callers to update and an outcome for every duplicate.
+  planImport(preview, policy) {
+    const creates = preview.valid.map(({ data }) => data);
+    const updates = [];
+    const outcomes = [];
+
+    for (const duplicate of preview.inFileDuplicates) {
+      outcomes.push({
+        row: duplicate.row,
+        data: duplicate.data,
+        action: 'skipped',
+        reason: `Same ${duplicate.matchedOn.join(' and ')} as row ${duplicate.duplicateOfRow} of this file`
+      });
+    }
+
+    for (const duplicate of preview.duplicates) {
+      const outcome = {
+        row: duplicate.row,
+        data: duplicate.data,
+        existing: duplicate.existing,
+        reason: `Same ${duplicate.matchedOn.join(' and ')} as existing caller #${duplicate.existing.id}`
+      };
+
+      if (policy === 'update' && duplicate.ambiguous) {
+        outcome.action = 'skipped';
+        outcome.reason = 'Email and phone match two different existing callers';
+      } else if (policy === 'update') {
+        updates.push({ id: duplicate.existing.id, data: duplicate.data });
+        outcome.action = 'updated';
+      } else if (policy === 'create') {
+        creates.push({ ...duplicate.data, duplicate_of: duplicate.existing.id });
+        outcome.action = 'created';
+      } else {
+        outcome.action = 'skipped';
+      }
+
+      outcomes.push(outcome);
+    }
+
+    outcomes.sort((a, b) => a.row - b.row);
+    return { creates, updates, outcomes };
+  }
+
+  // Read a do-not-call upload: phone, email and reason columns, found by the same header aliases
+  // as caller uploads. Returns the valid entries and the row numbers of the rows that were skipped
+  async readDoNotCallFile(filePath) {
+    let columns = null;
+    const entries = [];
+    const invalidRows = [];
+
+    for await (const record of readRecords(filePath)) {
+      if (!columns) {
+        if (record.error) {
+          throw AppError.validationError(`Invalid header row: ${record.error.message}`);
+        }
+        const headers = record.fields.map(h => h.trim());
+        const mapping = this.suggestMapping(headers, [
+          { field: 'phone', label: 'Phone' },
+          { field: 'email', label: 'Email' },
+          { field: 'reason', label: 'Reason' }
+        ]);
+        if (!mapping.phone && !mapping.email) {
+          throw AppError.validationError('File must have a phone or an email column');
+        }
+        columns = Object.fromEntries(Object.entries(mapping).map(([field, header]) => [field, headers.indexOf(header)]));
+        continue;
+      }
+
+      if (!record.error && record.fields.every(value => !value.trim())) {
+        continue;
+      }
+      if (entries.length + invalidRows.length >= config.upload.maxRows) {
+        throw AppError.validationError(`File must not contain more than ${config.upload.maxRows} rows`);
+      }
+
+      const values = Object.fromEntries(
+        Object.entries(columns).map(([field, index]) => [field, record.fields[index] ?? ''])
+      );
+      const validation = record.error ? null : validateData(doNotCallSchemas.add, values);
+      if (validation && validation.success) {
+        entries.push(validation.data);
+      } else {
+        invalidRows.push(record.row);
+      }
+    }
+
+    if (!columns) {
+      throw AppError.validationError('File must contain headers and at least one data row');
+    }
+
+    return { entries, invalidRows };
+  }
+
+  // Build a CSV report with one line per field error, followed by the row's original values
+  createErrorCSV(errors, fields = importFields) {
+    const valueColumns = fields.map(({ field }) => field);
+    let csv = formatCSVRow(['row', 'line', 'column', 'field', 'message', ...valueColumns]);
+
+    for (const rowError of errors) {
+      const values = valueColumns.map(column => rowError.values?.[column] ?? '');
+      for (const fieldError of rowError.errors) {
+        csv += formatCSVRow([
+          rowError.row,
+          rowError.line,
+          fieldError.column || '',
+          fieldError.field,
+          fieldError.message,
+          ...values
+        ]);
+      }
+    }
+
+    return csv;
+  }
+
+  // Clean up temporary file
+  cleanupTempFile(filePath) {
+    try {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+        logger.info(`Temporary file cleaned up: ${filePath}`);
+      }
+    } catch (error) {
+      logger.error('Error cleaning up temporary file:', { filePath, error: error.message });
+    }
+  }
+
+  // Remove upload files older than config.importJobs.staleUploadAge
+  // These belong to imports abandoned on the mapping or preview step; files in keepPaths
+  // (those of import jobs still to run) are kept whatever their age. Returns how many were removed.
+  async removeStaleUploads(keepPaths = []) {
+    const keep = new Set(keepPaths.map(filePath => path.resolve(filePath)));
+    const cutoff = Date.now() - config.importJobs.staleUploadAge;
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(config.upload.directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    let removed = 0;
+    for (const entry of entries) {
+      const filePath = path.join(config.upload.directory, entry.name);
+      if (!entry.isFile() || keep.has(filePath)) {
+        continue;
+      }
+
+      try {
+        const { mtimeMs } = await fs.promises.stat(filePath);
+        if (mtimeMs < cutoff) {
+          this.cleanupTempFile(filePath);
+          removed++;
+        }
+      } catch (error) {
+        logger.error('Error checking upload file age:', { filePath, error: error.message });
+      }
+    }
+
+    return removed;
+  }
+
+  // Get file size limit in human readable format
+  getFileSizeLimit() {
+    const sizeInMB = this.maxFileSize / (1024 * 1024);
+    return `${sizeInMB}MB`;
+  }
+}
+
+export default new ImportHandler();
@@ -0,0 +1,148 @@
+// Record readers for caller import files
+// Each reader turns a CSV, XLSX or JSON file into records shaped like the CSV parser's
+// { row, line, fields, error }: the first record holds the column names and error,
+// if any, is { line, column, message } with the location already described in the message.
+// Rows are numbered the way the admin sees them in the source file: record number for
+// CSV, sheet row for XLSX and 1-based array position for JSON.
+
+import fs from 'fs';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import config from '../config/index.js';
+import AppError from './AppError.js';
+import { parseCSVStream } from './csvParser.js';
+
+// Find the import format ('csv', 'xlsx' or 'json') of a file from its extension
+export function getImportFormat(fileName) {
+  const extension = path.extname(fileName || '').toLowerCase();
+  return config.upload.formats[extension]?.format || null;
+}
+
+// CSV: stream records from the RFC 4180 parser
+async function* readCSVRecords(filePath) {
+  for await (const record of parseCSVStream(fs.createReadStream(filePath))) {
+    if (record.error) {
+      const { line, column, position, message } = record.error;
+      yield {
+        ...record,
+        error: { line, column, message: `Line ${line}, column ${column} (character ${position}): ${message}` }
+      };
+    } else {
+      yield record;
+    }
+  }
+}
+
+// Turn an Excel cell value (text, number, date, rich text, hyperlink, formula) into text
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if ('result' in value) {
+      return cellText(value.result);
+    }
+    if ('text' in value) {
+      return cellText(value.text);
+    }
+    if ('error' in value) {
+      return '';
+    }
+  }
+  return String(value);
+}
+
+// XLSX: stream the rows of the first worksheet
+async function* readXLSXRecords(filePath) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+    sharedStrings: 'cache',
+    styles: 'cache',
+    hyperlinks: 'ignore',
+    worksheets: 'emit',
+    entries: 'ignore'
+  });
+
+  for await (const worksheet of workbook) {
+    for await (const sheetRow of worksheet) {
+      // row.values is 1-based; index 0 is always empty
+      const fields = Array.from(sheetRow.values).slice(1).map(cellText);
+      yield { row: sheetRow.number, line: sheetRow.number, fields, error: null };
+    }
+    return;
+  }
+}
+
+// JSON: an array of objects keyed by column name
+// Column names are collected from every object in the order they first appear;
+// keys differing only in case share a column
+async function* readJSONRecords(filePath) {
+  let items;
+  try {
+    items = JSON.parse(await fs.promises.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    throw AppError.validationError(`File is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(items)) {
+    throw AppError.validationError('JSON file must contain an array of callers');
+  }
+
+  const keys = [];
+  const headerIndex = new Map();
+  for (const item of items) {
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      for (const key of Object.keys(item)) {
+        const header = key.trim().toLowerCase();
+        if (!headerIndex.has(header)) {
+          headerIndex.set(header, keys.length);
+          keys.push(key.trim());
+        }
+      }
+    }
+  }
+
+  yield { row: 0, line: 0, fields: keys, error: null };
+
+  for (const [index, item] of items.entries()) {
+    const position = index + 1;
+
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      yield { row: position, line: position, fields: [], error: { line: position, column: null, message: `Item ${position} is not an object` } };
+      continue;
+    }
+
+    const fields = keys.map(() => '');
+    let error = null;
+    for (const [key, value] of Object.entries(item)) {
+      const column = headerIndex.get(key.trim().toLowerCase());
+      if (value !== null && typeof value === 'object') {
+        error = error || { line: position, column: column + 1, message: `Item ${position}: "${key}" must be a text, number or boolean value` };
+        continue;
+      }
+      fields[column] = value === null || value === undefined ? '' : String(value);
+    }
+
+    yield { row: position, line: position, fields, error };
+  }
+}
+
+const readers = {
+  csv: readCSVRecords,
+  xlsx: readXLSXRecords,
+  json: readJSONRecords
+};
+
+// Read the records of an import file, picking the reader from the file extension
+export function readRecords(filePath) {
+  const format = getImportFormat(filePath);
+  if (!format) {
+    throw AppError.validationError(`Unsupported file type: ${path.extname(filePath) || 'no extension'}`);
+  }
+  return readers[format](filePath);
+}
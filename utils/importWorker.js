@@ -0,0 +1,165 @@
+// Background import worker for the Call Manager application
+// Runs inside the web process: picks up queued import jobs and imports each file
+// in chunks, recording progress after every chunk so the job page can show it
+
+import Caller from '../models/Caller.js';
+import ImportJob from '../models/ImportJob.js';
+import DoNotCall from '../models/DoNotCall.js';
+import importHandler from './importHandler.js';
+import { rescoreCallers } from './leadScoring.js';
+import config from '../config/index.js';
+import logger from './logger.js';
+
+// Import one chunk of rows and add it to the job's counters in the same transaction
+// A job resumed after an interruption then starts right after the last chunk that was saved
+async function importChunk(job, importBatchId, rows, seen) {
+  const validRows = rows.filter(result => !result.errors);
+  const invalidRows = rows.filter(result => result.errors);
+
+  const emails = validRows.map(({ data }) => data.email);
+  const phones = validRows.map(({ data }) => data.phone);
+  const existingCallers = await Caller.findByEmailsOrPhones(emails, phones);
+  const doNotCall = await DoNotCall.findByEmailsOrPhones(emails, phones);
+  const preview = importHandler.classifyRows({ validRows, errors: invalidRows, totalRows: rows.length }, existingCallers, doNotCall, seen);
+  const { creates, updates } = importHandler.planImport(preview, job.duplicate_policy);
+
+  let created = [];
+  await ImportJob.withTransaction(async (execute) => {
+    if (creates.length + updates.length > 0) {
+      created = await Caller.createBatch(creates, job.batch_id, { id: importBatchId }, updates, execute);
+    }
+
+    await ImportJob.recordChunk(job.id, {
+      lastRow: rows[rows.length - 1].row,
+      processed: rows.length,
+      imported: creates.length,
+      updated: updates.length,
+      duplicates: preview.duplicates.length + preview.inFileDuplicates.length,
+      doNotCall: preview.doNotCall.length,
+      invalidRows
+    }, execute);
+  });
+
+  // Scored once the chunk is recorded, so a scoring failure never imports the chunk twice
+  await rescoreCallers({ callerIds: [...created.map(caller => caller.id), ...updates.map(update => update.id)] });
+}
+
+class ImportWorker {
+  constructor() {
+    this.timer = null;
+    this.busy = false;
+    this.lastSweep = 0;
+  }
+
+  // Start polling for queued jobs; jobs interrupted by a restart are picked up again
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    try {
+      await ImportJob.requeueInterrupted();
+    } catch (error) {
+      logger.error('Import worker could not requeue interrupted jobs:', { error: error.message });
+    }
+
+    this.timer = setInterval(() => this.wake(), config.importJobs.pollInterval);
+    this.timer.unref();
+    logger.info('Import worker started');
+    this.wake();
+  }
+
+  // Stop polling; a chunk in progress finishes and the job is resumed on the next start
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Import worker stopped');
+    }
+  }
+
+  // Process queued jobs one after another until none are left
+  // Called on every poll and right after a job is queued
+  async wake() {
+    if (this.busy) {
+      return;
+    }
+
+    this.busy = true;
+    try {
+      await this.sweepUploads();
+
+      let job;
+      while (this.timer && (job = await ImportJob.claimNext())) {
+        await this.run(job);
+      }
+    } catch (error) {
+      logger.error('Import worker failed to claim a job:', { error: error.message });
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  // Remove the files of uploads abandoned before they were imported
+  // Runs at most once per config.importJobs.sweepInterval; a failure is logged and retried on the next sweep
+  async sweepUploads() {
+    if (Date.now() - this.lastSweep < config.importJobs.sweepInterval) {
+      return;
+    }
+
+    this.lastSweep = Date.now();
+    try {
+      const removed = await importHandler.removeStaleUploads(await ImportJob.getPendingFilePaths());
+      if (removed > 0) {
+        logger.upload(`Removed ${removed} abandoned upload files`);
+      }
+    } catch (error) {
+      logger.error('Import worker could not remove abandoned uploads:', { error: error.message });
+    }
+  }
+
+  // Import a job's file chunk by chunk
+  // Rows up to job.last_row were imported before an interruption and are skipped
+  async run(job) {
+    logger.upload(`Import job ${job.id} started: ${job.file_name}${job.last_row > 0 ? ` (resuming after row ${job.last_row})` : ''}`);
+
+    try {
+      const totalRows = await importHandler.countRows(job.file_path, job.column_mapping);
+      const importBatchId = await ImportJob.start(job, totalRows);
+
+      // Shared across chunks so rows repeated anywhere in the file are caught
+      const seen = { emails: new Map(), phones: new Map() };
+      let chunk = [];
+
+      for await (const result of importHandler.readRows(job.file_path, job.column_mapping)) {
+        if (result.row <= job.last_row) {
+          continue;
+        }
+
+        chunk.push(result);
+        if (chunk.length >= config.importJobs.chunkSize) {
+          await importChunk(job, importBatchId, chunk, seen);
+          chunk = [];
+        }
+      }
+
+      if (chunk.length > 0) {
+        await importChunk(job, importBatchId, chunk, seen);
+      }
+
+      await ImportJob.complete(job.id);
+      importHandler.cleanupTempFile(job.file_path);
+    } catch (error) {
+      logger.error('Import job failed:', { id: job.id, error: error.message });
+
+      try {
+        await ImportJob.fail(job.id, error.message);
+      } catch (failError) {
+        logger.error('Import worker could not record job failure:', { id: job.id, error: failError.message });
+      }
+      importHandler.cleanupTempFile(job.file_path);
+    }
+  }
+}
+
+export default new ImportWorker();
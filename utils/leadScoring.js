@@ -0,0 +1,75 @@
+// Lead scoring for the Call Manager application
+// Turns the active scoring rules into one SQL expression and rescores callers with it
+
+import Caller from '../models/Caller.js';
+import LeadScoringRule from '../models/LeadScoringRule.js';
+import logger from './logger.js';
+
+// Custom field keys as defined in caller_fields; checked before a key is used in a JSON path
+const customFieldKeyPattern = /^[a-z][a-z0-9_]*$/;
+
+// Points per unit, capped at max_units when the rule has one
+function perUnitTerm(rule, unitsSql) {
+  if (rule.max_units === null || rule.max_units === undefined) {
+    return { sql: `(? * ${unitsSql})`, params: [rule.points] };
+  }
+  return { sql: `(? * LEAST(${unitsSql}, ?))`, params: [rule.points, rule.max_units] };
+}
+
+// SQL term (over callers c) for one rule, or null for a rule that cannot match
+function ruleTerm(rule) {
+  switch (rule.rule_type) {
+  case 'batch':
+    return { sql: '(CASE WHEN c.batch_id = ? THEN ? ELSE 0 END)', params: [rule.match_value, rule.points] };
+  case 'custom_field':
+    if (!customFieldKeyPattern.test(rule.field_key || '')) {
+      return null;
+    }
+    // Values are compared as text, ignoring case, the way the caller list filters them
+    return {
+      sql: '(CASE WHEN LOWER(JSON_UNQUOTE(JSON_EXTRACT(c.custom_fields, ?))) = LOWER(?) THEN ? ELSE 0 END)',
+      params: [`$.${rule.field_key}`, rule.match_value, rule.points]
+    };
+  case 'attempts':
+    return perUnitTerm(rule, '(SELECT COUNT(*) FROM call_attempts a WHERE a.caller_id = c.id)');
+  case 'age':
+    return perUnitTerm(rule, 'DATEDIFF(NOW(), c.created_at)');
+  default:
+    return null;
+  }
+}
+
+// Build the score expression for a set of rules: the sum of every rule's points
+// Returns { expression, params } for Caller.recalculateScores; no rules scores 0
+export function buildScoreSql(rules) {
+  const terms = rules.map(ruleTerm).filter(Boolean);
+  if (terms.length === 0) {
+    return { expression: '0', params: [] };
+  }
+
+  return {
+    expression: terms.map(term => term.sql).join(' + '),
+    params: terms.flatMap(term => term.params)
+  };
+}
+
+// Rescore callers with the active rules
+// scope: { callerIds, batchId, assignedTo, unassignedOnly }; without one every caller is rescored
+export async function refreshLeadScores(scope = {}) {
+  const rules = await LeadScoringRule.findAll({ activeOnly: true });
+  const rescored = await Caller.recalculateScores(buildScoreSql(rules), scope);
+
+  logger.info(`Lead scores recalculated for ${rescored} callers`, { scope, rules: rules.length });
+  return rescored;
+}
+
+// Rescore callers after a change that is already saved
+// A failure is only logged: the change stands and the scores catch up on the next recalculation
+export async function rescoreCallers(scope = {}) {
+  try {
+    return await refreshLeadScores(scope);
+  } catch (error) {
+    logger.error('Error refreshing lead scores:', { scope, error: error.message });
+    return 0;
+  }
+}
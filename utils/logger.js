@@ -100,6 +100,16 @@ class Logging {
     }
   }
 
+  upload(...args) {
+    this.writeLog('UPLOAD', args);
+    if (this.showLogs) {
+      console.log(
+        chalk.cyan(`[${new Date().toLocaleString()}][Upload]:`),
+        typeof args === 'string' ? chalk.cyanBright(args) : args
+      );
+    }
+  }
+
   debug(...args) {
     if (this.showLogs) {
       this.writeLog('DEBUG', args);
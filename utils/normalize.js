@@ -0,0 +1,46 @@
+// Contact normalisation helpers for the Call Manager application
+
+import config from '../config/index.js';
+
+// Strip formatting so "+1 (555) 123-4567" and "+15551234567" compare equal
+export function normalizePhone(phone) {
+  return String(phone || '').replace(/[\s\-().]/g, '');
+}
+
+// Convert a phone number to E.164 ("+12345678900"), the form phone numbers are matched in
+// Numbers without "+" or an international prefix are read as national numbers of the country
+// (config.phone.defaultCountry unless given), so "(234) 567-8900", "1 234 567 8900" and
+// "+1 234-567-8900" all give the same value. Returns null for anything that is not a phone number.
+export function toE164(phone, country = config.phone.defaultCountry) {
+  const value = normalizePhone(phone);
+  const rules = config.phone.countries[country];
+  if (!/^\+?\d+$/.test(value) || !rules) {
+    return null;
+  }
+
+  const internationalPrefix = rules.internationalPrefix || '00';
+  let digits;
+  if (value.startsWith('+')) {
+    digits = value.slice(1);
+  } else if (value.startsWith('00') || value.startsWith(internationalPrefix)) {
+    digits = value.slice(value.startsWith(internationalPrefix) ? internationalPrefix.length : 2);
+  } else {
+    let national = value;
+    if (rules.trunkPrefix && national.startsWith(rules.trunkPrefix) &&
+        (!rules.nationalLength || national.length === rules.trunkPrefix.length + rules.nationalLength)) {
+      national = national.slice(rules.trunkPrefix.length);
+    }
+    if (rules.nationalLength && national.length !== rules.nationalLength) {
+      return null;
+    }
+    digits = rules.callingCode + national;
+  }
+
+  // E.164 allows at most 15 digits, and calling codes never start with 0
+  return /^[1-9]\d{6,14}$/.test(digits) ? `+${digits}` : null;
+}
+
+// Emails compare case-insensitively
+export function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
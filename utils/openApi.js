@@ -0,0 +1,532 @@
+// OpenAPI document for the Call Manager JSON API
+// Request bodies and query parameters are converted from the Zod schemas in utils/validation.js,
+// and the resources the API answers with extend those same schemas, so the document follows
+// the validation. Error codes come from config/errorCodes.js.
+
+import { z } from 'zod';
+import config from '../config/index.js';
+import { errorCodes } from '../config/errorCodes.js';
+import { userSchemas, callerSchemas, assignmentSchemas, noteSchemas, uploadSchemas, apiQuerySchemas } from './validation.js';
+
+// Convert a Zod schema to an OpenAPI 3.0 schema object, describing the input it accepts
+// Preprocessing, refinements and transforms cannot be described and are looked through.
+export function zodToOpenApi(schema) {
+  const def = schema._def;
+
+  switch (def.typeName) {
+    case 'ZodString': {
+      const result = { type: 'string' };
+      for (const check of def.checks) {
+        if (check.kind === 'min') result.minLength = check.value;
+        if (check.kind === 'max') result.maxLength = check.value;
+        if (check.kind === 'length') result.minLength = result.maxLength = check.value;
+        if (check.kind === 'email') result.format = 'email';
+        if (check.kind === 'datetime') result.format = 'date-time';
+        if (check.kind === 'regex') result.pattern = check.regex.source;
+      }
+      return result;
+    }
+
+    case 'ZodNumber': {
+      const isInteger = def.checks.some(check => check.kind === 'int');
+      const result = { type: isInteger ? 'integer' : 'number' };
+      for (const check of def.checks) {
+        // An exclusive bound on an integer reads better as the next integer (positive() is minimum 1)
+        if (check.kind === 'min') {
+          result.minimum = !check.inclusive && isInteger ? check.value + 1 : check.value;
+          if (!check.inclusive && !isInteger) result.exclusiveMinimum = true;
+        }
+        if (check.kind === 'max') {
+          result.maximum = !check.inclusive && isInteger ? check.value - 1 : check.value;
+          if (!check.inclusive && !isInteger) result.exclusiveMaximum = true;
+        }
+      }
+      return result;
+    }
+
+    case 'ZodBoolean':
+      return { type: 'boolean' };
+
+    case 'ZodDate':
+      return { type: 'string', format: 'date-time' };
+
+    case 'ZodEnum':
+      return { type: 'string', enum: [...def.values] };
+
+    case 'ZodLiteral':
+      return { enum: [def.value] };
+
+    case 'ZodArray': {
+      const result = { type: 'array', items: zodToOpenApi(def.type) };
+      if (def.minLength) result.minItems = def.minLength.value;
+      if (def.maxLength) result.maxItems = def.maxLength.value;
+      if (def.exactLength) result.minItems = result.maxItems = def.exactLength.value;
+      return result;
+    }
+
+    case 'ZodObject': {
+      const shape = def.shape();
+      const properties = {};
+      const required = [];
+      for (const [key, field] of Object.entries(shape)) {
+        properties[key] = zodToOpenApi(field);
+        if (!field.isOptional()) {
+          required.push(key);
+        }
+      }
+      return { type: 'object', properties, ...(required.length > 0 ? { required } : {}) };
+    }
+
+    case 'ZodRecord':
+      return { type: 'object', additionalProperties: zodToOpenApi(def.valueType) };
+
+    case 'ZodUnion':
+      return { oneOf: def.options.map(zodToOpenApi) };
+
+    case 'ZodOptional':
+      return zodToOpenApi(def.innerType);
+
+    case 'ZodNullable':
+      return { ...zodToOpenApi(def.innerType), nullable: true };
+
+    case 'ZodDefault':
+      return { ...zodToOpenApi(def.innerType), default: def.defaultValue() };
+
+    case 'ZodEffects':
+      return zodToOpenApi(def.schema);
+
+    case 'ZodPipeline':
+      return zodToOpenApi(def.in);
+
+    default:
+      return {};
+  }
+}
+
+// Query parameters from the fields of a Zod object schema
+function queryParameters(schema) {
+  const { properties, required = [] } = zodToOpenApi(schema);
+  return Object.entries(properties).map(([name, fieldSchema]) => ({
+    name,
+    in: 'query',
+    required: required.includes(name),
+    schema: fieldSchema
+  }));
+}
+
+const timestamp = z.string().datetime();
+const id = z.number().int().positive();
+
+// Resources the API answers with, built on the request schemas
+const resourceSchemas = {
+  User: userSchemas.create.omit({ password: true }).extend({
+    id,
+    role_name: z.enum(['super_admin', 'employee']),
+    created_at: timestamp,
+    updated_at: timestamp.nullable()
+  }),
+
+  Caller: callerSchemas.create.extend({
+    id,
+    phone_e164: z.string().nullable(),
+    status: z.enum(config.calls.statuses),
+    assigned_to: id.nullable(),
+    assigned_at: timestamp.nullable(),
+    assigned_employee_name: z.string().nullable(),
+    campaign_id: id.nullable(),
+    campaign_name: z.string().nullable(),
+    lead_score: z.number().int(),
+    timezone: z.string().nullable(),
+    custom_fields: z.record(z.string().nullable()).nullable(),
+    duplicate_of: id.nullable(),
+    on_dnc: z.number().int().min(0).max(1),
+    consent_status: z.enum(config.doNotCall.consentStatuses),
+    consent_updated_at: timestamp.nullable(),
+    created_at: timestamp,
+    updated_at: timestamp.nullable()
+  }),
+
+  Note: noteSchemas.create.extend({
+    id,
+    caller_id: id,
+    author_id: id.nullable(),
+    author_name: z.string().nullable(),
+    created_at: timestamp,
+    updated_at: timestamp.nullable()
+  }),
+
+  AssignmentLogEntry: z.object({
+    id,
+    caller_id: id,
+    employee_id: id.nullable(),
+    employee_name: z.string().nullable(),
+    previous_employee_id: id.nullable(),
+    previous_employee_name: z.string().nullable(),
+    assigned_by: id,
+    assigned_by_name: z.string().nullable(),
+    assigned_at: timestamp,
+    method: z.enum(['auto', 'manual']),
+    action: z.enum(['assign', 'reassign', 'unassign'])
+  }),
+
+  AssignmentResult: z.object({
+    callerId: id,
+    employeeId: id.optional(),
+    previousEmployeeId: id.nullable().optional(),
+    success: z.boolean(),
+    status: z.string().optional(),
+    code: z.enum(Object.keys(errorCodes)).optional(),
+    error: z.string().optional()
+  }),
+
+  EmployeeWorkload: z.object({
+    id,
+    name: z.string(),
+    email: z.string().email(),
+    phone: z.string(),
+    caller_count: z.number().int()
+  }),
+
+  Pagination: z.object({
+    page: z.number().int(),
+    limit: z.number().int(),
+    total: z.number().int(),
+    pages: z.number().int()
+  }),
+
+  // The error envelope of AppError.getResponse()
+  Error: z.object({
+    error: z.object({
+      code: z.enum(Object.keys(errorCodes)),
+      message: z.string(),
+      timestamp,
+      statusCode: z.number().int(),
+      details: z.array(z.object({ field: z.string(), message: z.string() })).optional()
+    })
+  })
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+const dataOf = (schema) => ({ type: 'object', properties: { data: schema }, required: ['data'] });
+const summaryOf = (counter) => zodToOpenApi(z.object({
+  requested: z.number().int(),
+  [counter]: z.number().int(),
+  failed: z.number().int()
+}));
+
+const idParameter = (description) => ({
+  name: 'id',
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'integer', minimum: 1 }
+});
+
+// Error responses grouped by HTTP status, each listing the codes it can carry
+function errorResponses(codes) {
+  const byStatus = {};
+  for (const code of codes) {
+    const { statusCode } = errorCodes[code];
+    byStatus[statusCode] = [...(byStatus[statusCode] || []), code];
+  }
+
+  return Object.fromEntries(Object.entries(byStatus).map(([status, statusCodes]) => [status, {
+    description: statusCodes.map(code => `\`${code}\`: ${errorCodes[code].message}`).join('; '),
+    content: jsonContent(ref('Error'))
+  }]));
+}
+
+// Build one operation; every one needs a token, and a scope when one is given
+function operation({ tag, summary, description, scope = null, adminOnly = false, parameters = [], body = null, status = 200, response = null, errors = [] }) {
+  const notes = [
+    description,
+    scope ? `Needs an API token with the \`${scope}\` scope.` : 'Works with any API token.',
+    adminOnly ? 'Only tokens of super admins may call it.' : null
+  ].filter(Boolean).join(' ');
+
+  const errorList = [
+    'API_TOKEN_MISSING',
+    'API_TOKEN_INVALID',
+    ...(scope ? ['API_TOKEN_SCOPE_MISSING'] : []),
+    ...(adminOnly ? ['AUTH_INSUFFICIENT_PERMISSIONS'] : []),
+    ...(parameters.length > 0 || body ? ['VALIDATION_FAILED'] : []),
+    ...errors,
+    'SERVER_INTERNAL_ERROR'
+  ];
+
+  return {
+    tags: [tag],
+    summary,
+    description: notes,
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(body ? { requestBody: { required: true, content: jsonContent(body) } } : {}),
+    responses: {
+      [status]: response
+        ? { description: 'Success', content: jsonContent(response) }
+        : { description: 'Success, no content' },
+      ...errorResponses([...new Set(errorList)])
+    }
+  };
+}
+
+// Build the whole document
+function buildDocument() {
+  const paginated = (name) => ({
+    type: 'object',
+    properties: { data: { type: 'array', items: ref(name) }, pagination: ref('Pagination') },
+    required: ['data', 'pagination']
+  });
+
+  const callerUpdate = zodToOpenApi(callerSchemas.update);
+  callerUpdate.properties.priority = {
+    ...zodToOpenApi(callerSchemas.priority).properties.priority,
+    description: 'Only super admins may set the priority'
+  };
+  callerUpdate.properties.status.description = 'Only super admins may change the status; retry and completed follow from recorded calls';
+  callerUpdate.properties.custom_fields = {
+    type: 'object',
+    additionalProperties: { type: 'string', nullable: true },
+    description: 'Values of custom caller fields by field key, merged into the caller\'s; null clears one'
+  };
+
+  const callerCreate = zodToOpenApi(callerSchemas.create);
+  callerCreate.properties.custom_fields = callerUpdate.properties.custom_fields;
+
+  const fileRules = zodToOpenApi(uploadSchemas.importFile).properties.file.properties;
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: `${config.app.name} API`,
+      version: config.app.version,
+      description: [
+        'JSON API for users, callers, assignments, notes and reports.',
+        '',
+        'Authenticate every request with a personal API token created on the profile page (`/auth/profile`): `Authorization: Bearer <token>`. ' +
+        'A token acts as the user who created it: employees only reach the callers assigned to them.',
+        '',
+        'Successful responses wrap the result in `data`; lists add `pagination`. Failures answer the `Error` envelope, ' +
+        'whose `code` is one of the error codes listed in `x-error-codes`.'
+      ].join('\n')
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ apiToken: [] }],
+    tags: [
+      { name: 'Account' },
+      { name: 'Users' },
+      { name: 'Callers' },
+      { name: 'Assignments' },
+      { name: 'Notes' },
+      { name: 'Reports' }
+    ],
+    paths: {
+      '/me': {
+        get: operation({
+          tag: 'Account',
+          summary: 'Get the token\'s user and scopes',
+          response: dataOf({
+            type: 'object',
+            properties: {
+              user: ref('User'),
+              token: zodToOpenApi(z.object({
+                id,
+                name: z.string(),
+                scopes: z.array(z.enum(Object.keys(config.api.scopes))),
+                expires_at: timestamp.nullable()
+              }))
+            }
+          })
+        })
+      },
+      '/users': {
+        get: operation({
+          tag: 'Users', summary: 'List users', scope: 'users:read',
+          parameters: queryParameters(apiQuerySchemas.users),
+          response: paginated('User')
+        }),
+        post: operation({
+          tag: 'Users', summary: 'Create a user', scope: 'users:write',
+          body: zodToOpenApi(userSchemas.create),
+          status: 201, response: dataOf(ref('User')),
+          errors: ['USER_EMAIL_EXISTS', 'USER_PHONE_EXISTS']
+        })
+      },
+      '/users/{id}': {
+        get: operation({
+          tag: 'Users', summary: 'Get a user', scope: 'users:read',
+          parameters: [idParameter('User ID')],
+          response: dataOf(ref('User')),
+          errors: ['USER_NOT_FOUND']
+        }),
+        patch: operation({
+          tag: 'Users', summary: 'Update a user', scope: 'users:write',
+          parameters: [idParameter('User ID')],
+          body: zodToOpenApi(userSchemas.update),
+          response: dataOf(ref('User')),
+          errors: ['USER_NOT_FOUND', 'USER_EMAIL_EXISTS', 'USER_PHONE_EXISTS']
+        }),
+        delete: operation({
+          tag: 'Users', summary: 'Delete a user', description: 'A user cannot delete their own account.', scope: 'users:write',
+          parameters: [idParameter('User ID')],
+          status: 204,
+          errors: ['USER_NOT_FOUND']
+        })
+      },
+      '/callers': {
+        get: operation({
+          tag: 'Callers', summary: 'List callers', description: 'Employees only get the callers assigned to them.', scope: 'callers:read',
+          parameters: queryParameters(apiQuerySchemas.callers),
+          response: paginated('Caller')
+        }),
+        post: operation({
+          tag: 'Callers', summary: 'Create a caller', scope: 'callers:write', adminOnly: true,
+          body: callerCreate,
+          status: 201, response: dataOf(ref('Caller')),
+          errors: ['CALLER_EMAIL_EXISTS', 'CALLER_PHONE_EXISTS', 'CALLER_ON_DNC', 'CAMPAIGN_NOT_FOUND']
+        })
+      },
+      '/callers/{id}': {
+        get: operation({
+          tag: 'Callers', summary: 'Get a caller', scope: 'callers:read',
+          parameters: [idParameter('Caller ID')],
+          response: dataOf(ref('Caller')),
+          errors: ['AUTH_INSUFFICIENT_PERMISSIONS', 'CALLER_NOT_FOUND']
+        }),
+        patch: operation({
+          tag: 'Callers', summary: 'Update a caller', description: 'Employees can only update the callers assigned to them; only admins set `priority` or `status`.', scope: 'callers:write',
+          parameters: [idParameter('Caller ID')],
+          body: callerUpdate,
+          response: dataOf(ref('Caller')),
+          errors: ['AUTH_INSUFFICIENT_PERMISSIONS', 'CALLER_NOT_FOUND', 'CALLER_EMAIL_EXISTS', 'CALLER_PHONE_EXISTS']
+        }),
+        delete: operation({
+          tag: 'Callers', summary: 'Delete a caller', scope: 'callers:write', adminOnly: true,
+          parameters: [idParameter('Caller ID')],
+          status: 204,
+          errors: ['CALLER_NOT_FOUND']
+        })
+      },
+      '/callers/{id}/assignments': {
+        get: operation({
+          tag: 'Assignments', summary: 'Get a caller\'s assignment timeline, newest first', scope: 'assignments:read',
+          parameters: [idParameter('Caller ID')],
+          response: dataOf({ type: 'array', items: ref('AssignmentLogEntry') }),
+          errors: ['AUTH_INSUFFICIENT_PERMISSIONS', 'CALLER_NOT_FOUND']
+        })
+      },
+      '/assignments': {
+        post: operation({
+          tag: 'Assignments',
+          summary: 'Assign unassigned callers to an employee',
+          description: 'Each caller succeeds or fails on its own; with `atomic` the whole batch is rolled back when any caller fails.',
+          scope: 'assignments:write',
+          body: zodToOpenApi(assignmentSchemas.assign),
+          response: dataOf({
+            type: 'object',
+            properties: { summary: summaryOf('assigned'), results: { type: 'array', items: ref('AssignmentResult') } }
+          }),
+          errors: ['USER_NOT_FOUND', 'USER_INVALID_ROLE', 'ASSIGNMENT_ROLLED_BACK']
+        })
+      },
+      '/assignments/reassign': {
+        post: operation({
+          tag: 'Assignments',
+          summary: 'Move callers to another employee',
+          description: 'Unassigned callers are simply assigned; with `atomic` the whole batch is rolled back when any caller fails.',
+          scope: 'assignments:write',
+          body: zodToOpenApi(assignmentSchemas.reassign),
+          response: dataOf({
+            type: 'object',
+            properties: { summary: summaryOf('reassigned'), results: { type: 'array', items: ref('AssignmentResult') } }
+          }),
+          errors: ['USER_NOT_FOUND', 'USER_INVALID_ROLE', 'ASSIGNMENT_ROLLED_BACK']
+        })
+      },
+      '/assignments/unassign': {
+        post: operation({
+          tag: 'Assignments', summary: 'Release callers back to the unassigned pool', scope: 'assignments:write',
+          body: zodToOpenApi(assignmentSchemas.unassign),
+          response: dataOf({
+            type: 'object',
+            properties: { summary: summaryOf('unassigned'), results: { type: 'array', items: ref('AssignmentResult') } }
+          })
+        })
+      },
+      '/callers/{id}/notes': {
+        get: operation({
+          tag: 'Notes', summary: 'List a caller\'s notes, newest first', scope: 'notes:read',
+          parameters: [idParameter('Caller ID')],
+          response: dataOf({ type: 'array', items: ref('Note') }),
+          errors: ['AUTH_INSUFFICIENT_PERMISSIONS', 'CALLER_NOT_FOUND']
+        }),
+        post: operation({
+          tag: 'Notes', summary: 'Add a note to a caller', scope: 'notes:write',
+          parameters: [idParameter('Caller ID')],
+          body: zodToOpenApi(noteSchemas.create),
+          status: 201, response: dataOf(ref('Note')),
+          errors: ['AUTH_INSUFFICIENT_PERMISSIONS', 'CALLER_NOT_FOUND']
+        })
+      },
+      '/notes/{id}': {
+        patch: operation({
+          tag: 'Notes', summary: 'Edit one of your notes', scope: 'notes:write',
+          parameters: [idParameter('Note ID')],
+          body: zodToOpenApi(noteSchemas.create),
+          response: dataOf(ref('Note')),
+          errors: ['NOTE_NOT_FOUND', 'NOTE_EDIT_FORBIDDEN']
+        }),
+        delete: operation({
+          tag: 'Notes', summary: 'Delete one of your notes', scope: 'notes:write',
+          parameters: [idParameter('Note ID')],
+          status: 204,
+          errors: ['NOTE_NOT_FOUND', 'NOTE_EDIT_FORBIDDEN']
+        })
+      },
+      '/reports/summary': {
+        get: operation({
+          tag: 'Reports',
+          summary: 'Caller statistics',
+          description: 'Super admins get user, caller and upload batch statistics; employees get the counts of their own open callers, the callers they completed and their completion rate.',
+          scope: 'reports:read',
+          response: dataOf({ type: 'object', additionalProperties: true })
+        })
+      },
+      '/reports/employees': {
+        get: operation({
+          tag: 'Reports', summary: 'Employees with the number of open callers each holds', scope: 'reports:read', adminOnly: true,
+          response: dataOf({ type: 'array', items: ref('EmployeeWorkload') })
+        })
+      }
+    },
+    components: {
+      securitySchemes: {
+        apiToken: {
+          type: 'http',
+          scheme: 'bearer',
+          description: `Personal API token (starts with \`${config.api.tokenPrefix}\`), created on the profile page`
+        }
+      },
+      schemas: {
+        ...Object.fromEntries(Object.entries(resourceSchemas).map(([name, schema]) => [name, zodToOpenApi(schema)])),
+        CallerImportRow: {
+          ...zodToOpenApi(callerSchemas.csvRow),
+          description: 'One row of a caller import file uploaded by admins at /admin/callers/upload. ' +
+            `Files: ${Object.keys(config.upload.formats).join(', ')}, at most ${fileRules.size.maximum / (1024 * 1024)}MB ` +
+            `and ${config.upload.maxRows} rows.`
+        }
+      }
+    },
+    'x-error-codes': errorCodes
+  };
+}
+
+// The document only depends on code and configuration, so it is built once
+let openApiDocument = null;
+
+export function getOpenApiDocument() {
+  if (!openApiDocument) {
+    openApiDocument = buildDocument();
+  }
+  return openApiDocument;
+}
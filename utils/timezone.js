@@ -0,0 +1,104 @@
+// Timezone helpers for the Call Manager application
+// Uses the built-in Intl API so no extra date library is needed
+
+import config from '../config/index.js';
+import { toE164 } from './normalize.js';
+
+// Check if a string is a valid IANA timezone name (e.g. "Europe/London")
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// IANA timezone names for pickers, e.g. "America/New_York"
+export function listTimeZones() {
+  return Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+}
+
+// Get the wall-clock parts of a date in a timezone
+export function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = Object.fromEntries(parts.map(part => [part.type, part.value]));
+
+  return {
+    year: parseInt(values.year),
+    month: parseInt(values.month),
+    day: parseInt(values.day),
+    hour: parseInt(values.hour),
+    minute: parseInt(values.minute),
+    second: parseInt(values.second),
+    weekday: values.weekday
+  };
+}
+
+// Get the offset of a timezone from UTC in minutes at a given moment
+export function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const actual = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - actual) / 60000);
+}
+
+// Convert a local date/time string ("YYYY-MM-DDTHH:mm") in a timezone to a UTC Date
+export function zonedTimeToUtc(localDateTime, timeZone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(localDateTime || '');
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second = '0'] = match;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Apply the offset, then re-check it in case the guess crossed a DST change
+  let offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  let result = wallClock - offset * 60000;
+  const correctedOffset = getTimeZoneOffset(new Date(result), timeZone);
+  if (correctedOffset !== offset) {
+    offset = correctedOffset;
+    result = wallClock - offset * 60000;
+  }
+
+  return new Date(result);
+}
+
+// Format a date for display in a timezone
+export function formatInTimeZone(date, timeZone, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+  return new Date(date).toLocaleString('en-US', { ...options, timeZone });
+}
+
+// Guess a timezone from the country calling code of a phone number ("+44 20 7946 0958");
+// national numbers are read as numbers of config.phone.defaultCountry, unknown codes give null
+export function inferTimeZoneFromPhone(phone) {
+  const match = /^\+(\d{1,3})/.exec(toE164(phone) || '');
+  if (!match) {
+    return null;
+  }
+
+  // Calling codes are prefix-free, so the first known prefix is the country
+  for (let length = 1; length <= match[1].length; length++) {
+    const timeZone = config.callingHours.countryTimezones[match[1].slice(0, length)];
+    if (timeZone) {
+      return timeZone;
+    }
+  }
+  return null;
+}
@@ -3,6 +3,21 @@
 
 import { z } from 'zod';
 import config from '../config/index.js';
+import { isValidTimeZone, zonedTimeToUtc } from './timezone.js';
+import { assignmentStrategies } from './assignmentStrategies.js';
+import { parseScriptQuestions } from './callScript.js';
+import { toE164 } from './normalize.js';
+
+// Phone number as entered; it must also convert to E.164, the form it is matched in
+const phoneNumber = z.string()
+  .min(10, 'Phone number must be at least 10 digits')
+  .max(20, 'Phone number must be less than 20 digits')
+  .regex(/^[\+]?[0-9\s\-\(\)]+$/, 'Invalid phone number format')
+  .trim()
+  .refine(
+    value => toE164(value) !== null,
+    `Invalid phone number; numbers outside ${config.phone.defaultCountry} need their country code (e.g. +44 20 7946 0958)`
+  );
 
 // User validation schemas
 export const userSchemas = {
@@ -18,11 +33,7 @@ export const userSchemas = {
       .max(255, 'Email must be less than 255 characters')
       .toLowerCase()
       .trim(),
-    phone: z.string()
-      .min(10, 'Phone number must be at least 10 digits')
-      .max(20, 'Phone number must be less than 20 digits')
-      .regex(/^[\+]?[0-9\s\-\(\)]+$/, 'Invalid phone number format')
-      .trim(),
+    phone: phoneNumber,
     password: z.string()
       .min(8, 'Password must be at least 8 characters')
       .max(100, 'Password must be less than 100 characters')
@@ -47,12 +58,7 @@ export const userSchemas = {
       .toLowerCase()
       .trim()
       .optional(),
-    phone: z.string()
-      .min(10, 'Phone number must be at least 10 digits')
-      .max(20, 'Phone number must be less than 20 digits')
-      .regex(/^[\+]?[0-9\s\-\(\)]+$/, 'Invalid phone number format')
-      .trim()
-      .optional(),
+    phone: phoneNumber.optional(),
     role_id: z.number()
       .int('Role ID must be an integer')
       .min(1, 'Role ID must be at least 1')
@@ -75,6 +81,19 @@ export const userSchemas = {
 };
 
 // Caller validation schemas
+const callerPriority = z.coerce.number()
+  .int('Invalid priority')
+  .min(0, 'Invalid priority')
+  .max(config.leadScoring.maxPriority, `Priority must be between 0 and ${config.leadScoring.maxPriority}`);
+
+// Caller timezone; a blank one (null) is guessed from the phone number
+const callerTimezone = z.string()
+  .trim()
+  .max(64, 'Invalid timezone')
+  .refine(value => !value || isValidTimeZone(value), 'Invalid timezone')
+  .optional()
+  .transform(value => (value === undefined ? undefined : value || null));
+
 export const callerSchemas = {
   // Schema for creating a single caller
   create: z.object({
@@ -88,14 +107,29 @@ export const callerSchemas = {
       .max(255, 'Email must be less than 255 characters')
       .toLowerCase()
       .trim(),
-    phone: z.string()
-      .min(10, 'Phone number must be at least 10 digits')
-      .max(20, 'Phone number must be less than 20 digits')
-      .regex(/^[\+]?[0-9\s\-\(\)]+$/, 'Invalid phone number format')
-      .trim(),
+    phone: phoneNumber,
     batch_id: z.string()
       .max(50, 'Batch ID must be less than 50 characters')
-      .optional()
+      .optional(),
+    campaign_id: z.preprocess(
+      (value) => (value === '' || value === null ? undefined : value),
+      z.coerce.number().int('Invalid campaign selected').positive('Invalid campaign selected').optional()
+    ),
+    priority: z.preprocess(
+      (value) => (value === '' || value === null ? undefined : value),
+      callerPriority.default(0)
+    ),
+    timezone: callerTimezone
+  }),
+
+  // Schema for setting a caller's priority; kept apart from update so only admins set it
+  priority: z.object({
+    priority: callerPriority
+  }),
+
+  // Schema for setting a caller's timezone
+  timezone: z.object({
+    timezone: callerTimezone.transform(value => value ?? null)
   }),
 
   // Schema for updating a caller
@@ -112,15 +146,12 @@ export const callerSchemas = {
       .toLowerCase()
       .trim()
       .optional(),
-    phone: z.string()
-      .min(10, 'Phone number must be at least 10 digits')
-      .max(20, 'Phone number must be less than 20 digits')
-      .regex(/^[\+]?[0-9\s\-\(\)]+$/, 'Invalid phone number format')
-      .trim()
-      .optional(),
+    phone: phoneNumber.optional(),
+    // Only admins take a caller out of circulation or back; retry and completed come from dispositions
     status: z.enum(['active', 'inactive'], {
       errorMap: () => ({ message: 'Status must be either "active" or "inactive"' })
-    }).optional()
+    }).optional(),
+    timezone: callerTimezone
   }),
 
   // Schema for CSV row validation
@@ -135,11 +166,14 @@ export const callerSchemas = {
       .max(255, 'Email must be less than 255 characters')
       .toLowerCase()
       .trim(),
-    phone: z.string()
-      .min(10, 'Phone number must be at least 10 digits')
-      .max(20, 'Phone number must be less than 20 digits')
-      .regex(/^[\+]?[0-9\s\-\(\)]+$/, 'Invalid phone number format')
+    phone: phoneNumber,
+    batch_id: z.string()
       .trim()
+      .max(50, 'Batch ID must be less than 50 characters')
+      .regex(/^[A-Za-z0-9_-]*$/, 'Batch ID may only contain letters, numbers, dashes and underscores')
+      .optional()
+      .transform(value => value || undefined),
+    timezone: callerTimezone.transform(value => value || undefined)
   })
 };
 
@@ -152,29 +186,586 @@ export const assignmentSchemas = {
       .max(100, 'Maximum 100 callers can be assigned at once'),
     employee_id: z.number()
       .int('Employee ID must be an integer')
-      .positive('Employee ID must be positive')
+      .positive('Employee ID must be positive'),
+    atomic: z.boolean().default(false)
+  }),
+
+  // Schema for moving callers to another employee
+  reassign: z.object({
+    caller_ids: z.array(z.number().int('Caller ID must be an integer').positive('Caller ID must be positive'))
+      .min(1, 'At least one caller must be selected')
+      .max(100, 'Maximum 100 callers can be reassigned at once'),
+    employee_id: z.number()
+      .int('Employee ID must be an integer')
+      .positive('Employee ID must be positive'),
+    atomic: z.boolean().default(false)
+  }),
+
+  // Schema for releasing callers back to the unassigned pool
+  unassign: z.object({
+    caller_ids: z.array(z.number().int('Caller ID must be an integer').positive('Caller ID must be positive'))
+      .min(1, 'At least one caller must be selected')
+      .max(100, 'Maximum 100 callers can be unassigned at once')
+  }),
+
+  // Schema for automatic caller assignment
+  autoAssign: z.object({
+    strategy: z.enum(assignmentStrategies, {
+      errorMap: () => ({ message: `Strategy must be one of: ${assignmentStrategies.join(', ')}` })
+    }).default(config.assignment.defaultStrategy),
+    batch_id: z.string()
+      .trim()
+      .max(50, 'Batch ID must be less than 50 characters')
+      .optional()
+      .transform(value => value || undefined),
+    campaign_id: z.preprocess(
+      (value) => (value === '' || value === null ? undefined : value),
+      z.coerce.number().int('Invalid campaign selected').positive('Invalid campaign selected').optional()
+    ),
+    capacity: z.coerce.number()
+      .int('Capacity must be an integer')
+      .positive('Capacity must be at least 1')
+      .default(config.assignment.defaultCapacity),
+    limit: z.coerce.number()
+      .int('Limit must be an integer')
+      .positive('Limit must be at least 1')
+      .max(config.assignment.maxPerRun, `Maximum ${config.assignment.maxPerRun} callers can be auto-assigned at once`)
+      .default(config.assignment.maxPerRun),
+    employee_ids: z.array(z.coerce.number().int('Employee ID must be an integer').positive('Employee ID must be positive'))
+      .optional()
+  })
+};
+
+// Call attempt validation schemas
+const callAttemptFields = z.object({
+  outcome: z.enum(config.calls.outcomes, {
+    errorMap: () => ({ message: `Outcome must be one of: ${config.calls.outcomes.join(', ')}` })
+  }),
+  summary: z.string()
+    .max(2000, 'Summary must be less than 2000 characters')
+    .trim()
+    .optional(),
+  started_at: z.coerce.date({ invalid_type_error: 'Invalid call start time' }).optional(),
+  ended_at: z.coerce.date({ invalid_type_error: 'Invalid call end time' }).optional(),
+  duration_seconds: z.coerce.number()
+    .int('Duration must be a whole number of seconds')
+    .min(0, 'Duration cannot be negative')
+    .optional()
+});
+
+const callEndsAfterStart = [
+  (data) => !data.started_at || !data.ended_at || data.ended_at >= data.started_at,
+  { message: 'Call end time must be after the start time', path: ['ended_at'] }
+];
+
+export const callAttemptSchemas = {
+  // Schema for recording a call attempt with its disposition
+  disposition: callAttemptFields.extend({
+    disposition_id: z.coerce.number({ invalid_type_error: 'Please select a disposition' })
+      .int('Disposition ID must be an integer')
+      .positive('Please select a disposition'),
+    script_answers: z.record(z.string({ invalid_type_error: 'Script answers must be text' })).optional()
+  }).refine(...callEndsAfterStart)
+};
+
+// Disposition catalogue validation schemas
+const checkbox = z.preprocess(
+  (value) => value === true || value === 'on' || value === 'true' || value === '1',
+  z.boolean()
+);
+
+export const dispositionSchemas = {
+  // Schema for creating a disposition
+  create: z.object({
+    code: z.string()
+      .trim()
+      .toLowerCase()
+      .min(2, 'Code must be at least 2 characters')
+      .max(50, 'Code must be less than 50 characters')
+      .regex(/^[a-z0-9_]+$/, 'Code may only contain letters, numbers and underscores'),
+    label: z.string()
+      .trim()
+      .min(2, 'Label must be at least 2 characters')
+      .max(100, 'Label must be less than 100 characters'),
+    is_final: checkbox,
+    adds_to_dnc: checkbox,
+    sort_order: z.coerce.number()
+      .int('Sort order must be an integer')
+      .min(0, 'Sort order cannot be negative')
+      .default(0)
+  }),
+
+  // Schema for updating a disposition
+  update: z.object({
+    label: z.string()
+      .trim()
+      .min(2, 'Label must be at least 2 characters')
+      .max(100, 'Label must be less than 100 characters'),
+    is_final: checkbox,
+    adds_to_dnc: checkbox,
+    is_active: checkbox,
+    sort_order: z.coerce.number()
+      .int('Sort order must be an integer')
+      .min(0, 'Sort order cannot be negative')
+      .default(0)
+  })
+};
+
+// Campaign validation schemas
+// Checkbox lists post nothing, one value or an array; ids always come out as an array
+const idList = (message) => z.preprocess(
+  (value) => (value === undefined || value === null || value === '' ? [] : [value].flat()),
+  z.array(z.coerce.number().int(message).positive(message))
+);
+
+const optionalDate = (message) => z.string()
+  .trim()
+  .refine(value => !value || (/^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))), message)
+  .optional()
+  .transform(value => value || null);
+
+export const campaignSchemas = {
+  // Schema for creating or updating a campaign
+  save: z.object({
+    name: z.string()
+      .trim()
+      .min(2, 'Name must be at least 2 characters')
+      .max(100, 'Name must be less than 100 characters'),
+    description: z.string()
+      .trim()
+      .max(2000, 'Description must be less than 2000 characters')
+      .optional()
+      .transform(value => value || null),
+    start_date: optionalDate('Invalid start date'),
+    end_date: optionalDate('Invalid end date'),
+    status: z.enum(config.campaigns.statuses, {
+      errorMap: () => ({ message: `Status must be one of: ${config.campaigns.statuses.join(', ')}` })
+    }).default('draft'),
+    script_id: z.preprocess(
+      (value) => (value === '' || value === null ? undefined : value),
+      z.coerce.number().int('Invalid call script selected').positive('Invalid call script selected').optional()
+    ).transform(value => value || null),
+    member_ids: idList('Invalid employee selected'),
+    disposition_ids: idList('Invalid disposition selected')
+  }).refine(
+    (data) => !data.start_date || !data.end_date || data.end_date >= data.start_date,
+    { message: 'End date must be on or after the start date', path: ['end_date'] }
+  ),
+
+  // Schema for attaching a batch of callers to a campaign
+  attachBatch: z.object({
+    batch_id: z.string({ required_error: 'Batch ID is required' })
+      .trim()
+      .min(1, 'Batch ID is required')
+      .max(50, 'Batch ID must be less than 50 characters')
+  })
+};
+
+// Call script validation schemas
+export const callScriptSchemas = {
+  // Schema for creating or updating a call script
+  save: z.object({
+    name: z.string()
+      .trim()
+      .min(2, 'Name must be at least 2 characters')
+      .max(100, 'Name must be less than 100 characters'),
+    body: z.string({ required_error: 'Script text is required' })
+      .trim()
+      .min(1, 'Script text is required')
+      .max(10000, 'Script text must be less than 10000 characters'),
+    questions: z.string()
+      .max(10000, 'Questions must be less than 10000 characters')
+      .optional()
+      .transform((text, ctx) => {
+        try {
+          return parseScriptQuestions(text);
+        } catch (error) {
+          ctx.addIssue({ code: z.ZodIssueCode.custom, message: error.message });
+          return z.NEVER;
+        }
+      }),
+    is_active: checkbox
   }),
 
-  // Schema for marking caller as called
-  markCalled: z.object({
-    caller_id: z.number()
-      .int('Caller ID must be an integer')
-      .positive('Caller ID must be positive')
+  // Schema for using a script for the callers of an upload batch
+  attachBatch: z.object({
+    batch_id: z.string({ required_error: 'Batch ID is required' })
+      .trim()
+      .min(1, 'Batch ID is required')
+      .max(50, 'Batch ID must be less than 50 characters')
+  })
+};
+
+// Lead scoring rule validation schemas
+const ruleName = z.string()
+  .trim()
+  .min(2, 'Name must be at least 2 characters')
+  .max(100, 'Name must be less than 100 characters');
+
+const ruleMatchValue = z.string()
+  .trim()
+  .max(255, 'Value must be less than 255 characters')
+  .optional()
+  .transform(value => value || null);
+
+const rulePoints = z.coerce.number({ invalid_type_error: 'Points must be a whole number' })
+  .int('Points must be a whole number')
+  .min(-1000, 'Points must be between -1000 and 1000')
+  .max(1000, 'Points must be between -1000 and 1000');
+
+// Cap on the attempts or days an attempts or age rule counts; blank means no cap
+const ruleMaxUnits = z.preprocess(
+  (value) => (value === '' || value === null ? undefined : value),
+  z.coerce.number().int('Limit must be a whole number').positive('Limit must be at least 1').optional()
+).transform(value => value ?? null);
+
+export const leadScoringRuleSchemas = {
+  // Schema for creating a scoring rule
+  // batch rules match a batch ID and custom_field rules a field value; attempts and age
+  // rules give points per previous call attempt or per day since the caller was added
+  create: z.object({
+    name: ruleName,
+    rule_type: z.enum(config.leadScoring.ruleTypes, {
+      errorMap: () => ({ message: `Rule type must be one of: ${config.leadScoring.ruleTypes.join(', ')}` })
+    }),
+    field_key: z.string()
+      .trim()
+      .toLowerCase()
+      .optional()
+      .transform(value => value || null),
+    match_value: ruleMatchValue,
+    points: rulePoints,
+    max_units: ruleMaxUnits
+  }).superRefine((data, ctx) => {
+    if (data.rule_type === 'custom_field' && !data.field_key) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Choose the custom field this rule matches', path: ['field_key'] });
+    }
+    if (['batch', 'custom_field'].includes(data.rule_type) && !data.match_value) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Enter the value this rule matches', path: ['match_value'] });
+    }
+  }),
+
+  // Schema for updating a scoring rule; its type and field are fixed once created
+  update: z.object({
+    name: ruleName,
+    match_value: ruleMatchValue,
+    points: rulePoints,
+    max_units: ruleMaxUnits,
+    is_active: checkbox
+  })
+};
+
+// Do-not-call list validation schemas
+const blankToUndefined = (value) => (typeof value === 'string' && !value.trim() ? undefined : value);
+
+export const doNotCallSchemas = {
+  // Schema for listing a phone number and/or an email
+  add: z.object({
+    phone: z.preprocess(blankToUndefined, phoneNumber.optional()),
+    email: z.preprocess(blankToUndefined, z.string()
+      .email('Invalid email format')
+      .max(255, 'Email must be less than 255 characters')
+      .toLowerCase()
+      .trim()
+      .optional()),
+    reason: z.string()
+      .trim()
+      .max(255, 'Reason must be less than 255 characters')
+      .optional()
+      .transform(value => value || null)
+  }).refine(data => data.phone || data.email, {
+    message: 'Enter a phone number or an email',
+    path: ['phone']
+  }),
+
+  // Schema for recording a caller's consent to be called ('unknown' is only where callers start)
+  consent: z.object({
+    consent_status: z.enum(['granted', 'withdrawn'], {
+      errorMap: () => ({ message: 'Consent must be either "granted" or "withdrawn"' })
+    })
+  })
+};
+
+// Calling window validation schemas
+const timeOfDay = (label) => z.string({ required_error: `${label} is required` })
+  .regex(/^([01]\d|2[0-3]):[0-5]\d$/, `${label} must be a time like 09:00`);
+
+export const callingWindowSchemas = {
+  // Schema for adding a window on one or more days; a blank campaign makes it global
+  create: z.object({
+    campaign_id: z.preprocess(
+      (value) => (value === '' || value === null ? undefined : value),
+      z.coerce.number().int('Invalid campaign selected').positive('Invalid campaign selected').optional()
+    ).transform(value => value ?? null),
+    days: z.preprocess(
+      (value) => (value === undefined || value === '' ? [] : [].concat(value)),
+      z.array(z.coerce.number().int('Invalid day').min(0, 'Invalid day').max(6, 'Invalid day'))
+        .min(1, 'Choose at least one day')
+    ).transform(days => [...new Set(days)]),
+    start_time: timeOfDay('Start time'),
+    end_time: timeOfDay('End time')
+  }).refine(data => data.end_time > data.start_time, {
+    message: 'End time must be after the start time',
+    path: ['end_time']
+  })
+};
+
+// Custom caller field validation schemas
+const fieldLabel = z.string()
+  .trim()
+  .min(2, 'Label must be at least 2 characters')
+  .max(100, 'Label must be less than 100 characters');
+
+// Select options are entered one per line; blank lines and repeats are dropped
+const fieldOptions = z.preprocess(
+  (value) => (typeof value === 'string' ? value.split(/\r?\n/) : value ?? []),
+  z.array(z.string().trim().max(100, 'Options must be less than 100 characters'))
+    .transform(options => [...new Set(options.filter(Boolean))])
+);
+
+const fieldSortOrder = z.coerce.number()
+  .int('Sort order must be an integer')
+  .min(0, 'Sort order cannot be negative')
+  .default(0);
+
+export const callerFieldSchemas = {
+  // Schema for defining a custom caller field
+  create: z.object({
+    field_key: z.string()
+      .trim()
+      .toLowerCase()
+      .min(2, 'Key must be at least 2 characters')
+      .max(50, 'Key must be less than 50 characters')
+      .regex(/^[a-z][a-z0-9_]*$/, 'Key must start with a letter and may only contain letters, numbers and underscores')
+      .refine(key => !config.callerFields.reservedKeys.includes(key), 'This key is used by a built-in caller field'),
+    label: fieldLabel,
+    field_type: z.enum(config.callerFields.types, {
+      errorMap: () => ({ message: `Type must be one of: ${config.callerFields.types.join(', ')}` })
+    }),
+    is_required: checkbox,
+    options: fieldOptions,
+    sort_order: fieldSortOrder
+  }).refine(
+    (data) => data.field_type !== 'select' || data.options.length > 0,
+    { message: 'Select fields need at least one option', path: ['options'] }
+  ),
+
+  // Schema for updating a custom caller field; its key and type are fixed once created
+  update: z.object({
+    label: fieldLabel,
+    is_required: checkbox,
+    is_active: checkbox,
+    options: fieldOptions,
+    sort_order: fieldSortOrder
+  })
+};
+
+// Schema for one custom field value, read from a form, an import file or JSON
+// Values are trimmed text until validated; select values match their option ignoring case
+function customValueSchema(field) {
+  const { label } = field;
+
+  switch (field.field_type) {
+  case 'number':
+    return z.string()
+      .regex(/^-?\d+(\.\d+)?$/, `${label} must be a number`)
+      .transform(Number);
+  case 'date':
+    // XLSX cells holding dates are read as ISO timestamps at midnight UTC
+    return z.string()
+      .regex(/^\d{4}-\d{2}-\d{2}(T00:00:00(\.000)?Z)?$/, `${label} must be a date (YYYY-MM-DD)`)
+      .transform(value => value.slice(0, 10))
+      .refine(value => !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value), `${label} must be a valid date`);
+  case 'select':
+    return z.string()
+      .transform(value => field.options.find(option => option.toLowerCase() === value.toLowerCase()) ?? value)
+      .refine(value => field.options.includes(value), `${label} must be one of: ${field.options.join(', ')}`);
+  case 'boolean':
+    return z.string()
+      .toLowerCase()
+      .refine(value => ['yes', 'no', 'true', 'false', '1', '0'].includes(value), `${label} must be yes or no`)
+      .transform(value => ['yes', 'true', '1'].includes(value));
+  default:
+    return z.string().max(255, `${label} must be less than 255 characters`);
+  }
+}
+
+// Build the schema for a caller's custom field values from the field definitions
+// Blank values become null so an update can clear them; required fields must have a value
+export function customFieldsSchema(fields) {
+  const shape = {};
+
+  for (const field of fields) {
+    const schema = customValueSchema(field);
+    shape[field.field_key] = z.preprocess(
+      (value) => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim()),
+      field.is_required
+        ? z.string({ invalid_type_error: `${field.label} is required` }).pipe(schema)
+        : schema.nullable()
+    );
+  }
+
+  return z.object(shape);
+}
+
+// Callback scheduling validation schemas
+export const callbackSchemas = {
+  // Schema for scheduling a callback; due_at is a local time in the given timezone
+  create: z.object({
+    due_at: z.string({ required_error: 'Callback date and time is required' })
+      .regex(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/, 'Invalid callback date and time'),
+    timezone: z.string()
+      .trim()
+      .refine(isValidTimeZone, 'Invalid timezone')
+      .default(config.calls.defaultTimezone),
+    reason: z.string()
+      .trim()
+      .max(255, 'Reason must be less than 255 characters')
+      .optional()
+  }).transform((data) => ({
+    ...data,
+    due_at: zonedTimeToUtc(data.due_at, data.timezone)
+  })).refine(
+    (data) => data.due_at > new Date(),
+    { message: 'Callback time must be in the future', path: ['due_at'] }
+  ),
+
+  // Schema for reassigning a callback to another employee
+  reassign: z.object({
+    employee_id: z.coerce.number()
+      .int('Employee ID must be an integer')
+      .positive('Please select an employee')
+  })
+};
+
+// Caller note validation schemas
+export const noteSchemas = {
+  // Schema for adding or editing a note
+  create: z.object({
+    note: z.string({ required_error: 'Note content is required' })
+      .trim()
+      .min(1, 'Note content is required')
+      .max(2000, 'Note must be less than 2000 characters')
   })
 };
 
 // File upload validation schemas
+// Caller import validation schemas
+const duplicatePolicy = z.enum(config.upload.duplicatePolicies, {
+  errorMap: () => ({ message: `Duplicate policy must be one of: ${config.upload.duplicatePolicies.join(', ')}` })
+}).default(config.upload.defaultDuplicatePolicy);
+
+export const importSchemas = {
+  // Schema for confirming a previewed import
+  confirm: z.object({
+    valid_only: checkbox,
+    duplicate_policy: duplicatePolicy
+  }),
+
+  // Schema for the column mapping step
+  // mapping[field] is the file column a caller field is read from; background imports
+  // also take their duplicate policy from this step
+  mapping: z.object({
+    mapping: z.record(z.string().trim().max(255, 'Column names must be less than 255 characters')).default({}),
+    preset_name: z.string()
+      .trim()
+      .max(100, 'Preset name must be less than 100 characters')
+      .optional()
+      .transform(name => name || null),
+    duplicate_policy: duplicatePolicy
+  })
+};
+
+const importExtensions = Object.keys(config.upload.formats);
+
 export const uploadSchemas = {
-  // Schema for CSV upload validation - configurable file size limit
-  csvUpload: z.object({
+  // Schema for caller import file validation (CSV, XLSX or JSON) - configurable file size limit
+  importFile: z.object({
     file: z.object({
-      mimetype: z.string().refine(
-        (type) => type === 'text/csv',
-        'Only CSV files are allowed'
-      ),
+      mimetype: z.string(),
       size: z.number().max(config.upload.maxFileSize, `File size must be less than ${config.upload.maxFileSize / (1024 * 1024)}MB`),
-      originalname: z.string().endsWith('.csv', 'File must have .csv extension')
-    })
+      originalname: z.string().refine(
+        (name) => importExtensions.some(extension => name.toLowerCase().endsWith(extension)),
+        `File must have one of these extensions: ${importExtensions.join(', ')}`
+      )
+    }).refine(
+      (file) => {
+        const extension = importExtensions.find(extension => file.originalname.toLowerCase().endsWith(extension));
+        return !extension || config.upload.formats[extension].mimeTypes.includes(file.mimetype);
+      },
+      { message: 'The file content type does not match its extension', path: ['mimetype'] }
+    )
+  })
+};
+
+// API token validation schemas
+export const apiTokenSchemas = {
+  // Schema for creating a personal API token; no expiry keeps it valid until revoked
+  create: z.object({
+    name: z.string({ required_error: 'Token name is required' })
+      .trim()
+      .min(1, 'Token name is required')
+      .max(100, 'Token name must be less than 100 characters'),
+    scopes: z.preprocess(
+      (value) => (value === undefined || value === '' ? [] : [].concat(value)),
+      z.array(z.enum(Object.keys(config.api.scopes), {
+        errorMap: () => ({ message: `Scopes must be among: ${Object.keys(config.api.scopes).join(', ')}` })
+      })).min(1, 'Choose at least one scope')
+    ).transform(scopes => [...new Set(scopes)]),
+    expires_in_days: z.preprocess(
+      (value) => (value === '' || value === null ? undefined : value),
+      z.coerce.number()
+        .int('Expiry must be a whole number of days')
+        .min(1, 'Expiry must be at least 1 day')
+        .max(config.api.maxTokenDays, `Expiry must be at most ${config.api.maxTokenDays} days`)
+        .optional()
+    ).transform(value => value ?? null)
+  })
+};
+
+// JSON API query validation schemas
+const sortOrder = z.preprocess(
+  (value) => (typeof value === 'string' ? value.toUpperCase() : value),
+  z.enum(['ASC', 'DESC'], { errorMap: () => ({ message: 'Sort order must be ASC or DESC' }) }).default('DESC')
+);
+
+const listPage = {
+  page: z.coerce.number().int('Page must be an integer').min(1, 'Page must be at least 1').default(1),
+  limit: z.coerce.number()
+    .int('Limit must be an integer')
+    .min(1, 'Limit must be at least 1')
+    .max(config.api.maxPageSize, `Limit must be at most ${config.api.maxPageSize}`)
+    .default(config.api.defaultPageSize)
+};
+
+export const apiQuerySchemas = {
+  // Query of GET /api/v1/users
+  users: z.object({
+    ...listPage,
+    search: z.string().trim().max(100).default(''),
+    role_id: z.coerce.number().int('Invalid role').positive('Invalid role').optional(),
+    sortBy: z.enum(['created_at', 'name', 'email'], {
+      errorMap: () => ({ message: 'Users can be sorted by created_at, name or email' })
+    }).default('created_at'),
+    sortOrder
+  }),
+
+  // Query of GET /api/v1/callers
+  callers: z.object({
+    ...listPage,
+    search: z.string().trim().max(100).default(''),
+    status: z.enum(config.calls.statuses, {
+      errorMap: () => ({ message: `Status must be one of: ${config.calls.statuses.join(', ')}` })
+    }).optional(),
+    assigned_to: z.union([z.enum(['assigned', 'unassigned']), z.coerce.number().int().positive()], {
+      errorMap: () => ({ message: 'assigned_to must be an employee ID, assigned or unassigned' })
+    }).optional(),
+    batch_id: z.string().trim().max(50).optional(),
+    campaign_id: z.coerce.number().int('Invalid campaign').positive('Invalid campaign').optional(),
+    sortBy: z.enum(['created_at', 'name', 'email', 'status', 'assigned_at', 'priority', 'lead_score'], {
+      errorMap: () => ({ message: 'Callers can be sorted by created_at, name, email, status, assigned_at, priority or lead_score' })
+    }).default('created_at'),
+    sortOrder
   })
 };
 